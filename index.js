@@ -1,48 +1,154 @@
 import * as THREE from "three";
 import gsap from 'gsap';
 import { isMobileDevice, getQualitySettings } from "./src/js/utils/mobileDetect.js";
-import { setupScene } from "./src/js/scene/sceneSetup.js";
-import { setupLights } from "./src/js/lights/lights.js";
+import { setupScene, setFogEnabled } from "./src/js/scene/sceneSetup.js";
+import { loadSceneManifest } from "./src/js/scene/sceneManifest.js";
+import { setupLights, setShadowsEnabled, setShadowMapSize } from "./src/js/lights/lights.js";
+import { setupTimeOfDay } from "./src/js/lights/timeOfDay.js";
 import { setupModelLoader } from "./src/js/loaders/modelLoader.js";
+import { patchPsxMaterials, setPsxMaterialStrength } from "./src/js/materials/psxMaterials.js";
 import { setupCameraControls, setupOrbNavigation } from "./src/js/controls/cameraControls.js";
 import { setupPositionTracker } from "./src/js/utils/positionTracker.js";
+import { setupPostProcessingManager } from "./src/js/postprocessing/postProcessingManager.js";
 import { setupResizeHandler } from "./src/js/utils/resizeHandler.js";
 import { createAnimationLoop } from "./src/js/animation/animationLoop.js";
 import { setupInteractiveObjects } from "./src/js/utils/interactiveObjects.js";
 import { setupCameraInteractiveObjects } from "./src/js/utils/cameraInteractiveObjects.js";
 import { setupScreenVideoTexture } from "./src/js/utils/screenVideoTexture.js";
+import { setupTvControls } from "./src/js/utils/tvControls.js";
 import { initializeCursorManager } from "./src/js/utils/cursorManager.js";
-// mute UI removed: audioController UI setup/imports cleaned from index.js
 import { setupNavbar } from "./src/js/utils/navbar.js";
-import { initLoadingScreen } from "./src/js/utils/loadingScreen.js";
+import { setupDeepLinks } from "./src/js/utils/deepLinks.js";
+import { setupNavigationHistory } from "./src/js/utils/navigationHistory.js";
+import { setupKeyboardNavigation } from "./src/js/utils/keyboardNavigation.js";
+import { setupPortfolioMode } from "./src/js/utils/portfolioMode.js";
+import { setMotionMode } from "./src/js/utils/motionPreferences.js";
+import { initSettings } from "./src/js/utils/settingsStore.js";
+import { setupQualityGovernor } from "./src/js/utils/qualityGovernor.js";
+import { setupPerformanceHud } from "./src/js/utils/performanceHud.js";
+import { setupSettingsPanel } from "./src/js/utils/settingsPanel.js";
+import { setChannelVolume, muteAll, unmuteAll } from "./src/js/utils/audioController.js";
+import { initAudio, registerAmbientBed, followAmbienceZones, attachPositionalSound } from "./src/js/audio/audioManager.js";
+import { forestWind, cabinHum, fluorescentBuzz, lanternCrackle, boisvertDrone } from "./src/js/audio/proceduralSounds.js";
+import { setupAudioControls } from "./src/js/audio/audioControls.js";
+import { initLoadingScreen, setupLoadingManager } from "./src/js/utils/loadingScreen.js";
+import { getLoadingManager, retryFailedAssets } from "./src/js/loaders/assetLoadingManager.js";
 import { setupBoisvertTeleporter } from "./src/js/utils/boisvertTeleporter.js";
+import { setupChaseFeedback } from "./src/js/utils/chaseFeedback.js";
 import { initAchievements, registerDefaultAchievements } from "./src/js/utils/achievements.js";
+import { setupProgressCodeControls } from "./src/js/utils/progressCodeControls.js";
+import { setupAchievementsPopup } from "./src/js/utils/achievementsPopup.js";
+import { emit, on, setEventLogging } from "./src/js/utils/eventBus.js";
 
 // Initialize loading screen
 const loadingController = initLoadingScreen();
+// Every boot-time asset reports through one LoadingManager, which drives the bar and
+// lists anything that failed with a retry button
+setupLoadingManager(getLoadingManager(), loadingController, retryFailedAssets);
+
+// Load the scene manifest (navigation nodes, Boisvert spawns, interactive objects).
+// Everything index-aligned below is derived from it, so a bad manifest stops boot here
+// with a readable list of problems instead of silently misaligning arrays.
+let sceneData;
+try {
+    sceneData = await loadSceneManifest();
+} catch (err) {
+    console.error('[sceneManifest]', err && err.message ? err.message : err);
+    if (loadingController && typeof loadingController.showError === 'function') {
+        loadingController.showError(err && err.errors ? `SCENE MANIFEST ERROR: ${err.errors[0]}` : 'SCENE MANIFEST ERROR');
+    }
+    throw err;
+}
 
 const qualitySettings = getQualitySettings();
 
-// Texture loader
-const loader = new THREE.TextureLoader();
-const cross = loader.load('src/textures/cross.png');
+// Persisted user settings. Graphics values are folded into qualitySettings so the scene,
+// lights, particles and pixelation pass are created with them; the rest is applied below.
+const settings = initSettings(qualitySettings);
+
+/**
+ * Achievements options from the Progress settings
+ * @returns {Object} Options for initAchievements
+ */
+function achievementOptions() {
+    return {
+        persistent: settings.get('achievementProgress') === 'persistent',
+        toastDurationMs: settings.get('toastDuration') * 1000
+    };
+}
+
+const GRAPHICS_SETTING_KEYS = ['pixelSize', 'particleCount', 'fogEnabled', 'shadowsEnabled'];
+// PSX effect passes (see postprocesses.js); the post-processing manager holds them until its composer loads
+const EFFECT_SETTING_KEYS = ['ditherEnabled', 'colorBits', 'chromaEnabled', 'chromaOffset', 'crtEnabled', 'crtCurvature', 'crtScanlines', 'crtMask'];
+
+// The device profile is only a starting point; the governor moves from there based on
+// measured frame time unless a preset is pinned in settings
+const qualityPreset = settings.get('qualityPreset');
+const qualityGovernor = setupQualityGovernor({
+    startLevel: qualitySettings.isMobile ? 'medium' : 'high',
+    pinned: qualityPreset === 'auto' ? null : qualityPreset,
+    onChange: () => applyQuality()
+});
+
+/**
+ * Graphics values in effect: user settings scaled by the governor's current level
+ * @returns {Object} Partial quality settings
+ */
+function effectiveQuality() {
+    const level = qualityGovernor.getLevel();
+    return {
+        pixelSize: settings.get('pixelSize') * level.pixelScale,
+        particleCount: Math.round(settings.get('particleCount') * level.particleScale),
+        renderScale: level.renderScale,
+        shadowMapSize: level.shadowMapSize,
+        extraLights: level.extraLights,
+        fogEnabled: settings.get('fogEnabled'),
+        shadowsEnabled: settings.get('shadowsEnabled')
+    };
+}
+Object.assign(qualitySettings, effectiveQuality());
 
-// Set up scene, camera, and renderer
-const { scene, camera, renderer } = setupScene(qualitySettings);
+// Set up scene, camera, and renderer. Without WebGL the renderer can't be created, so
+// show the plain 2D portfolio instead of a blank page and stop booting the 3D scene.
+let sceneParts;
+try {
+    sceneParts = setupScene(qualitySettings);
+} catch (err) {
+    console.error('[sceneSetup] WebGL unavailable; showing the 2D portfolio instead', err);
+    if (loadingController && typeof loadingController.hide === 'function') loadingController.hide();
+    try {
+        registerDefaultAchievements();
+        initAchievements([], achievementOptions());
+    } catch (e) {
+        console.warn('[achievements] init failed in 2D fallback', e);
+    }
+    setupPortfolioMode({ fallback: true }).show();
+    throw err;
+}
+const { scene, camera, renderer } = sceneParts;
+// Start at the manifest's first navigation node
+camera.position.set(...sceneData.navigationPositions[0]);
 
 // Make camera and scene globally accessible for animation loop
 window.camera = camera;
 window.scene = scene;
 
-// Set up post-processing with pixelation effect - composer will be set by lazy loader if enabled
-let composer, pixelationPass;
+// Post-processing manager; the composer and PSX passes are lazy-loaded into it if enabled
+const postProcessing = setupPostProcessingManager(renderer, scene, camera, {
+    renderScale: qualitySettings.renderScale,
+    pixelSize: qualitySettings.pixelSize
+});
 
 // Set up position tracker
 const positionTracker = setupPositionTracker(qualitySettings);
 const { allMeshes, updatePositionInfo } = positionTracker;
 
 // Load models
-const models = setupModelLoader(scene, allMeshes);
+// The PSX material patch is opt-in; turning it on later patches the loaded scene then
+const models = setupModelLoader(scene, allMeshes, {
+    psxMaterials: settings.get('psxGeometry'),
+    psxExcludedObjects: sceneData.psxExcludedObjects
+});
 
 // Set up camera controls (first-person click-drag style)
 const fpControls = setupCameraControls(camera, renderer.domElement, qualitySettings);
@@ -156,22 +262,15 @@ initializeCursorManager(renderer.domElement, camera);
 
 
 
-const BASE_NAVIGATION_POSITIONS = [
-    [-1.73, 1.2, 38],
-    [-1.7, 0.5, 32],
-    [-1, 0, 22],
-    [-0.87, 0.6, 10.78],
-    [1.62, 0.75, 2.16],
-    [3.13, 0.7, 0.04]
-];
+const BASE_NAVIGATION_POSITIONS = sceneData.navigationPositions;
 
-// Wire settings UI (settingsButton, settingsPanel, dragSpeedRange) to camera controls
-document.addEventListener('DOMContentLoaded', () => {
+// Wire settings UI (settingsButton, settingsPanel); the controls inside are built by setupSettingsPanel.
+// Module scripts are deferred, so the DOM is already parsed when this runs. Don't wait for
+// DOMContentLoaded: the top-level await above can let it fire before these lines are reached.
+function initSettingsUI() {
     try {
         const settingsBtn = document.getElementById('settingsButton');
         const settingsPanel = document.getElementById('settingsPanel');
-        const dragRange = document.getElementById('dragSpeedRange');
-        const dragVal = document.getElementById('dragSpeedValue');
 
         // Mute control removed: no mute checkbox wiring
 
@@ -188,28 +287,6 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         } catch (e) {}
 
-        if (dragRange && dragVal) {
-            // Initialize value from controls if available
-            try {
-                if (window.controls && typeof window.controls.getDragSpeed === 'function') {
-                    const current = window.controls.getDragSpeed();
-                    dragRange.value = current;
-                    dragVal.innerText = Number(current).toFixed(4);
-                }
-            } catch (e) {}
-
-            dragRange.addEventListener('input', (e) => {
-                const v = e.target.value;
-                dragVal.innerText = Number(v).toFixed(4);
-                try {
-                    if (window.controls && typeof window.controls.setDragSpeed === 'function') {
-                        window.controls.setDragSpeed(Number(v));
-                    } else if (window.fpControls && typeof window.fpControls.setDragSpeed === 'function') {
-                        window.fpControls.setDragSpeed(Number(v));
-                    }
-                } catch (err) { console.warn('[settings] failed to set drag speed', err); }
-            });
-        }
         // Achievements panel close button if present
         try {
             const achClose = document.getElementById('achievementsCloseBtn');
@@ -219,7 +296,8 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         } catch (e) {}
     } catch (e) {}
-});
+}
+initSettingsUI();
 
 // Centralized UI initialization: move inline index.html scripts here
 function initUI() {
@@ -306,95 +384,70 @@ function initUI() {
     }
 }
 
-document.addEventListener('DOMContentLoaded', initUI);
-
+// Called directly for the same reason as initSettingsUI
+initUI();
 
-const ADDITIONAL_NAVIGATION_POSITIONS = [
-    [4, -8, 10]
-];
 
-// Expose additional positions on window for modules that expect a global reference
-try { window.ADDITIONAL_NAVIGATION_POSITIONS = ADDITIONAL_NAVIGATION_POSITIONS; } catch (e) {}
+const ADDITIONAL_NAVIGATION_POSITIONS = sceneData.additionalNavigationPositions;
 
 // Keep `navigationPositions` as the original base array for achievements and special logic
 const navigationPositions = BASE_NAVIGATION_POSITIONS;
 
 // `orbNavigationPositions` is used by the orb navigation system and may include DLC positions
 const orbNavigationPositions = BASE_NAVIGATION_POSITIONS.concat(ADDITIONAL_NAVIGATION_POSITIONS);
-// Boisvert spawn positions for each camera position (base values)
-const boisvertSpawnPositions = [
-    [-3.5, -.5, 42],      // Position 0: First camera position
-    [-10, 1.5, 32],          // Position 1
-    [11.11,1.2, 25],          // Position 2
-    [-3.5, -2.5, 20],          // Position 3
-    [-3.15, -1, -.9],          // Position 4
-    [-3.8, -1.5, 0]           // Position 5: Last/inside position
-];
-
-// If you've added additional navigation positions, extend boisvert spawn positions by
-// repeating the last known spawn position so indices stay aligned. You can customize
-// `ADDITIONAL_BOISVERT_SPAWNS` if you want per-position spawn coordinates.
-const ADDITIONAL_BOISVERT_SPAWNS = [];
-const extendedBoisvertSpawnPositions = boisvertSpawnPositions.concat(
-    ADDITIONAL_BOISVERT_SPAWNS.length ? ADDITIONAL_BOISVERT_SPAWNS : new Array(ADDITIONAL_NAVIGATION_POSITIONS.length).fill(boisvertSpawnPositions[boisvertSpawnPositions.length - 1])
-);
-
-// Boisvert Z rotation for each navigation position (base values)
-const boisvertZRotations = [
-    Math.PI / 2-4.5, // nav position 0
-    Math.PI / 2, // nav position 1
-    Math.PI /2, // nav position 2
-    Math.PI / 5, // nav position 3
-    0,           // nav position 4
-    -Math.PI / 2 // nav position 5
-];
-
-// Extend rotations similarly by repeating the last rotation if no explicit additional rotations are provided
-const ADDITIONAL_BOISVERT_Z = [];
-const extendedBoisvertZRotations = boisvertZRotations.concat(
-        ADDITIONAL_BOISVERT_Z.length ? ADDITIONAL_BOISVERT_Z : new Array(ADDITIONAL_NAVIGATION_POSITIONS.length).fill(boisvertZRotations[boisvertZRotations.length - 1])
-);
+// Boisvert spawn positions and Z rotations, one per orb navigation node (base + DLC)
+const boisvertSpawnPositions = sceneData.boisvertSpawnPositions;
+const boisvertZRotations = sceneData.boisvertZRotations;
 
 // Positions where camera-interactive objects are (TV screen)
 // These are NOT part of the orb navigation - accessed only by clicking objects
-const cameraInteractivePositions = [
-    [-0.3, 0.10, -0.85] // Screen position
-];
-
-// Particle arrays may be populated by lazy loader. Keep a local reference for early wiring.
-let particleArrays = null;
+const cameraInteractivePositions = sceneData.cameraInteractivePositions;
+
+// Weather is created by the lazy loader; the animation loop and HUD reach it through a getter
+let weather = null;
+
+/**
+ * Indoor volumes for the weather, measured from the loaded cabin geometry
+ * @param {Object} weatherModule - The lazily imported weather.js
+ */
+function updateWeatherExclusions(weatherModule) {
+    models.ready.then((loaded) => {
+        if (!weather) return;
+        weather.setExclusionVolumes(weatherModule.computeExclusionVolumes(loaded.environment, sceneData.weatherExclusionObjects));
+    });
+}
 
-// Lazy-load heavy subsystems (postprocessing, particles) during idle time so initial path stays fast.
+// Lazy-load heavy subsystems (postprocessing, weather particles) during idle time so initial path stays fast.
 function lazyLoadHeavyModules() {
     const doLoad = () => {
         // Postprocessing - only if allowed by quality settings
         if (qualitySettings && qualitySettings.enablePostProcessing) {
-            import('./src/js/postprocessing/postprocesses.js')
-                .then(mod => {
-                        try {
-                        const postProcessing = mod.setupPostProcessing(renderer, scene, camera, qualitySettings);
-                        composer = postProcessing.composer;
-                        pixelationPass = postProcessing.pixelationPass;
-                        // expose globally so animation loop can pick it up
-                        try { window.composer = composer; window.pixelationPass = pixelationPass; } catch (e) {}
-                    } catch (e) { console.warn('[lazy] postprocessing init failed', e); }
-                })
-                .catch(err => { console.warn('[lazy] failed to import postprocessing', err); });
+            postProcessing.load();
         }
 
-        // Particles - always lazy-load (heavy) but still respect quality settings
+        // Weather particles - always lazy-load but still respect quality settings
+        import('./src/js/particles/weather.js')
+            .then(mod => {
+                try {
+                    weather = mod.setupWeather(scene, {
+                        count: qualitySettings.particleCount,
+                        camera,
+                        zones: sceneData.weatherZones,
+                        randomInterval: sceneData.weatherRandomInterval,
+                        mode: settings.get('weatherMode')
+                    });
+                    updateWeatherExclusions(mod);
+                } catch (e) { console.warn('[lazy] weather init failed', e); }
+            })
+            .catch(err => { console.warn('[lazy] failed to import weather', err); });
+
         import('./src/js/particles/particles.js')
             .then(mod => {
-                    try {
-                    const p = mod.setupParticles(scene, cross, qualitySettings);
-                    particleArrays = p && p.particleArrays ? p.particleArrays : null;
-                    try { window.particleArrays = particleArrays; window.updateParticles = mod.updateParticles; } catch (e) {}
+                try {
                     // If flashlight/mouse interactions are enabled, hook the particle mouse listener
-                    try {
-                        if (qualitySettings && qualitySettings.enableFlashlight && typeof mod.setupParticleMouseListener === 'function' && typeof mouse !== 'undefined' && mouse) {
-                            mod.setupParticleMouseListener(mouse, qualitySettings);
-                        }
-                    } catch (e) {}
+                    if (qualitySettings && qualitySettings.enableFlashlight && typeof mod.setupParticleMouseListener === 'function' && typeof mouse !== 'undefined' && mouse) {
+                        mod.setupParticleMouseListener(mouse, qualitySettings);
+                    }
                 } catch (e) { console.warn('[lazy] particles init failed', e); }
             })
             .catch(err => { console.warn('[lazy] failed to import particles', err); });
@@ -413,16 +466,140 @@ const { flashlight, raycaster, mouse, centerLight } = lights;
 // expose flashlight for global fallback access
 try { window.flashlight = flashlight; } catch (e) {}
 
+// Dusk / night / pre-dawn from the visitor's clock; the settings applier sets any override
+const timeOfDay = setupTimeOfDay(scene, lights);
+
+// Audio: listener on the camera, ambient beds per manifest zone (silent until the first click/key)
+try {
+    initAudio(camera);
+    registerAmbientBed('forest', forestWind);
+    registerAmbientBed('cabin', cabinHum);
+    registerAmbientBed('backrooms', fluorescentBuzz);
+    followAmbienceZones(camera, sceneData.ambienceZones);
+} catch (e) { console.warn('[audio] init failed', e); }
+// Footsteps in walk mode; heartbeat, breathing and vignette during the chase
+const chaseFeedback = setupChaseFeedback({ vignette: settings.get('chaseVignette') });
+
 // Defer heavy particle/postprocessing initialization until after lights exist (mouse variable will be available)
 try { lazyLoadHeavyModules(); } catch (e) { /* ignore */ }
 
 // Set up window resize handler
-setupResizeHandler(camera, renderer, composer, pixelationPass, qualitySettings);
+setupResizeHandler(camera, renderer, postProcessing, qualitySettings, effectiveQuality);
+
+// Extra cabin light only at the governor's richer levels
+if (lights.cabinLight2) lights.cabinLight2.visible = !!qualitySettings.extraLights;
+
+let particleRebuildTimer = null;
+function rebuildParticles() {
+    // Rebuilding allocates new buffers, so wait for sliders / governor steps to settle
+    clearTimeout(particleRebuildTimer);
+    particleRebuildTimer = setTimeout(() => {
+        // Not created yet: the lazy loader will use the new count
+        if (weather) weather.setParticleCount(qualitySettings.particleCount);
+    }, 250);
+}
+
+/**
+ * Push the effective graphics values (settings x governor level) into the live scene
+ */
+function applyQuality() {
+    const previous = { ...qualitySettings };
+    const next = effectiveQuality();
+    Object.assign(qualitySettings, next);
+
+    postProcessing.setPixelSize(next.pixelSize);
+    postProcessing.setRenderScale(next.renderScale);
+    if (next.particleCount !== previous.particleCount) rebuildParticles();
+    if (next.shadowMapSize !== previous.shadowMapSize) setShadowMapSize(lights, next.shadowMapSize);
+    if (lights.cabinLight2) lights.cabinLight2.visible = next.extraLights;
+}
+
+// Performance overlay; the ` hotkey flips the setting so the choice persists like the panel toggle
+const performanceHud = setupPerformanceHud(renderer, scene, {
+    onHotkey: show => settings.set('showPerformanceHud', show),
+    getWeather: () => weather,
+    qualityGovernor
+});
+
+/**
+ * Vertex snapping and affine warping on the environment materials. Switching the setting
+ * off only zeroes the strength; the patch itself stays installed.
+ */
+function applyPsxGeometry() {
+    const enabled = settings.get('psxGeometry');
+    if (enabled && models.environment) patchPsxMaterials(models.environment, { excludedObjects: sceneData.psxExcludedObjects });
+    setPsxMaterialStrength({
+        snap: enabled ? settings.get('vertexSnap') : 0,
+        affine: enabled ? settings.get('affineWarp') : 0
+    });
+}
+
+// Apply settings live. Each applier also runs once at boot with the stored value.
+const settingAppliers = {
+    lookSensitivity: v => fpControls.setLookSensitivity(v),
+    invertY: v => fpControls.setInvertY(v),
+    fov: (v) => {
+        camera.fov = v;
+        camera.updateProjectionMatrix();
+    },
+    pixelSize: () => applyQuality(),
+    particleCount: () => applyQuality(),
+    qualityPreset: v => qualityGovernor.setPinned(v === 'auto' ? null : v),
+    fogEnabled: (v) => {
+        qualitySettings.fogEnabled = v;
+        setFogEnabled(scene, v);
+    },
+    shadowsEnabled: (v) => {
+        qualitySettings.shadowsEnabled = v;
+        setShadowsEnabled(scene, renderer, lights, v, qualitySettings.shadowMapSize);
+    },
+    muted: v => (v ? muteAll() : unmuteAll()),
+    masterVolume: v => setChannelVolume('master', v),
+    musicVolume: v => setChannelVolume('music', v),
+    sfxVolume: v => setChannelVolume('sfx', v),
+    voiceVolume: v => setChannelVolume('voice', v),
+    motionMode: v => setMotionMode(v),
+    chaseVignette: v => chaseFeedback.setVignetteEnabled(v),
+    timeOfDay: v => timeOfDay.setOverride(v),
+    weatherMode: (v) => {
+        if (weather) weather.setMode(v);
+    },
+    ...Object.fromEntries(EFFECT_SETTING_KEYS.map(key => [key, v => postProcessing.applyEffectSettings({ [key]: v })])),
+    psxGeometry: () => applyPsxGeometry(),
+    vertexSnap: () => applyPsxGeometry(),
+    affineWarp: () => applyPsxGeometry(),
+    showPerformanceHud: v => performanceHud.setVisible(v),
+    logEvents: v => setEventLogging(v)
+};
+// Graphics values were used at creation time; everything else needs an explicit first apply
+const APPLIED_AT_CREATION = [...GRAPHICS_SETTING_KEYS, 'qualityPreset'];
+Object.keys(settingAppliers).forEach((key) => {
+    if (APPLIED_AT_CREATION.includes(key)) return;
+    try { settingAppliers[key](settings.get(key)); } catch (e) { console.warn('[settings] failed to apply', key, e); }
+});
+settings.subscribe((key, value) => {
+    const apply = settingAppliers[key];
+    if (!apply) return;
+    try { apply(value); } catch (e) { console.warn('[settings] failed to apply', key, e); }
+});
+// Meshes from the GLTF need their cast/receive flags once they exist
+models.ready.then(() => {
+    if (settings.get('shadowsEnabled')) settingAppliers.shadowsEnabled(true);
+});
+
+const settingsControls = document.getElementById('settingsControls');
+if (settingsControls) {
+    setupSettingsPanel(settings, settingsControls, document.getElementById('settingsResetBtn'));
+}
+setupAudioControls(settings, {
+    muteButton: document.getElementById('muteButton'),
+    volumeSlider: document.getElementById('masterVolumeSlider')
+});
 
 // Set up orb navigation system (after lights are added so orbs are visible)
 let orbManager;
 try {
-    orbManager = setupOrbNavigation(scene, camera, renderer.domElement, orbNavigationPositions, flashlight, qualitySettings, cameraInteractivePositions, navigationPositions.length);
+    orbManager = setupOrbNavigation(scene, camera, renderer.domElement, orbNavigationPositions, flashlight, qualitySettings, cameraInteractivePositions, navigationPositions.length, sceneData.nodeIds);
 } catch (error) {
     // Orb navigation setup failed
 }
@@ -431,112 +608,51 @@ try {
 // Navbar, achievements, interactive objects, and Boisvert logic remain tied to the original `navigationPositions`
 setupNavbar(camera, navigationPositions, orbManager, flashlight);
 
+// Shareable links (#at=<node>&open=<popup>); applied once the visitor enters the woods
+const deepLinks = setupDeepLinks(camera, sceneData, () => interactiveManager);
+
+// Browser Back/Forward (and the navbar BACK button) step through camera moves
+const navigationHistory = setupNavigationHistory(camera, orbManager, flashlight, document.getElementById('navBack'));
+
+// Keyboard focus traversal of orbs, interactive objects and the TV (same activation paths as clicks)
+const keyboardNavigation = setupKeyboardNavigation(camera, renderer.domElement, [
+    () => orbManager,
+    () => interactiveManager,
+    () => cameraInteractiveManager
+]);
+
 // Wire the new DLC nav button to navigate to the first additional position (if present)
 const dlcBtn = document.getElementById('navDLC');
 if (dlcBtn) {
     dlcBtn.addEventListener('click', () => {
         try {
             if (ADDITIONAL_NAVIGATION_POSITIONS && ADDITIONAL_NAVIGATION_POSITIONS.length > 0) {
-                const firstDLC = ADDITIONAL_NAVIGATION_POSITIONS[0];
-                // Use the global helper if available, otherwise fall back to direct GSAP
-                if (window.navigateToPosition) {
-                    window.navigateToPosition(firstDLC, 30);
-                } else {
-                    gsap.to(camera.position, {
-                        x: firstDLC[0], y: firstDLC[1], z: firstDLC[2], duration: 2, ease: 'power2.inOut',
-                        onComplete: () => { if (flashlight) flashlight.intensity = 30; if (orbManager && typeof orbManager.update === 'function') orbManager.update(); }
-                    });
-                }
+                emit('nav:goto', { position: ADDITIONAL_NAVIGATION_POSITIONS[0], flashlightIntensity: 30 });
             }
         } catch (e) { console.warn('[navDLC] error navigating to DLC position', e); }
     });
 }
 
+// Plain 2D portfolio, toggleable from the navbar at any time
+const portfolioMode = setupPortfolioMode();
+const portfolioBtn = document.getElementById('navPortfolio');
+if (portfolioBtn) {
+    portfolioBtn.addEventListener('click', () => portfolioMode.toggle());
+}
+
 // Initialize achievements system
 // Register defaults first so persistence logic can reference achievement metadata
 registerDefaultAchievements();
-const achievements = initAchievements();
-// keep explicit global reference for console testing
-window.achievements = achievements;
-// Unlock 'first_visit' when the user dismisses the welcome popup (ENTER THE WOODS)
-const welcomeBtn = document.getElementById('welcomeButton');
-if (welcomeBtn) {
-    welcomeBtn.addEventListener('click', () => {
-        try {
-            console.debug('[achievements] attempting unlock welcome_forest');
-            // mark that the player has entered the woods this session
-            try { window.hasEnteredWoods = true; } catch (e) {}
-            const ok = achievements.unlock('welcome_forest');
-            if (!ok) {
-                // show as fallback in case it's already unlocked or unlock failed
-                achievements.show && achievements.show('welcome_forest');
-                // ensure toggle indicates there's a new achievement until user opens panel
-                try {
-                    if (window.achievements && typeof window.achievements.markHasNew === 'function') {
-                        window.achievements.markHasNew();
-                    } else {
-                        // fallback to dispatching the unlocked event
-                        window.dispatchEvent(new CustomEvent('achievement:unlocked', { detail: { id: 'welcome_forest' } }));
-                    }
-                } catch (e) {}
-            }
-        } catch (e) {}
-    });
-}
-
-// Also listen for the centralized welcome event (fired after popup hides)
-window.addEventListener('welcome:entered', () => {
-    try {
-    // mark that the player has entered the woods this session
-    try { window.hasEnteredWoods = true; } catch (e) {}
-    console.debug('[achievements] welcome:entered received — unlocking welcome_forest');
-    const ok = achievements.unlock('welcome_forest');
-    if (!ok) achievements.show && achievements.show('welcome_forest');
-    } catch (e) {}
+const achievements = initAchievements([], achievementOptions());
+// Not in settingAppliers: those run before achievements exist, and the values are used above
+settings.subscribe((key, value) => {
+    if (key === 'achievementProgress') achievements.setPersistent(value === 'persistent');
+    if (key === 'toastDuration') achievements.setToastDuration(value * 1000);
 });
-
-// Populate achievements popup when it's opened and wire reset button
-function renderAchievementsPopup() {
-    const container = document.getElementById('achievementsListContainer');
-    if (!container || !window.achievements) return;
-    const list = window.achievements.getAll();
-    container.innerHTML = '';
-    list.forEach(a => {
-        const item = document.createElement('div');
-        item.className = 'achievement-item' + (a.unlocked ? ' unlocked' : '');
-        item.style.padding = '8px 6px';
-        item.style.borderBottom = '1px dashed rgba(255,255,255,0.05)';
-        item.style.display = 'flex';
-        item.style.alignItems = 'center';
-
-    const textWrap = document.createElement('div');
-    textWrap.style.display = 'flex';
-    textWrap.style.flexDirection = 'column';
-    textWrap.style.flex = '1 1 auto';
-
-    const title = document.createElement('div');
-    title.className = 'achievement-title';
-    title.innerText = a.title;
-    const desc = document.createElement('div');
-    desc.className = 'achievement-desc';
-    desc.innerText = a.description;
-
-    textWrap.appendChild(title);
-    textWrap.appendChild(desc);
-
-    const icon = document.createElement('span');
-    icon.className = 'achievement-icon';
-    icon.setAttribute('aria-hidden', 'true');
-    // Use the same '×' character as the popup close button for consistency
-    icon.innerText = a.unlocked ? '✔' : '×';
-    icon.style.marginLeft = '12px';
-    icon.style.flex = '0 0 auto';
-
-    item.appendChild(textWrap);
-    item.appendChild(icon);
-        container.appendChild(item);
-    });
-}
+const achievementsCard = document.querySelector('#achievementsPopup .popup-card');
+setupProgressCodeControls(achievementsCard, achievements);
+// The achievements popup's list; it re-renders itself on unlocks, progress and imports
+const achievementsList = setupAchievementsPopup(document.getElementById('achievementsListContainer'), achievements);
 
 // Open popup handler: ensure popup content is up to date
 const achToggle = document.getElementById('achievementsToggle');
@@ -553,17 +669,15 @@ if (achToggle) {
     achToggle.addEventListener('click', () => {
         // Opening the achievements panel should clear the new-achievement badge
         removeAchievementBadge();
-        setTimeout(renderAchievementsPopup, 50); // slight delay to ensure display
+        setTimeout(achievementsList.render, 50); // slight delay to ensure display
     });
 }
 
 // Reset button removed from UI - no wiring required
 
-// Keep popup updated when an achievement is unlocked
-window.addEventListener('achievement:unlocked', () => {
-    // Update the achievements popup and show a red exclamation badge on the toggle
-    try { renderAchievementsPopup(); } catch (e) {}
-
+// Flag the toggle when an achievement is unlocked
+on('achievement:unlocked', () => {
+    // Show a red exclamation badge on the toggle
     try {
         const btn = document.getElementById('achievementsToggle');
         if (btn) {
@@ -599,76 +713,47 @@ window.addEventListener('achievement:unlocked', () => {
     } catch (e) { /* ignore */ }
 });
 
-// Setup Boisvert teleporter (wait for model to load)
+// Setup Boisvert teleporter (needs the Boisvert model from the environment GLTF)
 let boisvertTeleporter = null;
-setTimeout(() => {
+function initBoisvertTeleporter() {
     boisvertTeleporter = setupBoisvertTeleporter(
         scene,
         camera,
         navigationPositions,
         controls,
-        extendedBoisvertSpawnPositions,
-        extendedBoisvertZRotations // <-- pass the extended arrays here
+        boisvertSpawnPositions,
+        boisvertZRotations,
+        { feedback: chaseFeedback, additionalPositions: ADDITIONAL_NAVIGATION_POSITIONS, timeOfDay }
     );
-    // Store globally for animation loop access
-    window.boisvertTeleporter = boisvertTeleporter;
-}, 2000); // Wait 2 seconds for model to load
+}
+
+// Positional sounds on scene objects: Boisvert's drone (voice bus) and the lantern's crackle
+function initPositionalAudio() {
+    if (boisvertTeleporter && typeof boisvertTeleporter.getModel === 'function') {
+        attachPositionalSound(boisvertTeleporter.getModel(), { factory: boisvertDrone, bus: 'voice', refDistance: 3, maxDistance: 25, rolloffFactor: 1.5 });
+    }
+    if (models.lanternLight && models.lanternLight.parent) {
+        attachPositionalSound(models.lanternLight.parent, { factory: lanternCrackle, volume: 0.7, refDistance: 1, maxDistance: 8, rolloffFactor: 2 });
+    }
+}
 
 // Set up interactive objects - Will be set after model loads
 let interactiveManager = null;
 
-// Wait for model to load, then set up real interactive objects
-setTimeout(() => {
-    // Last position is [3.13, 0.7, 0.04]
-    const interactiveConfigs = [
-        {
-            objectName: 'cola', // Parent object name in the GLTF scene
-            targetPosition: [2.71, 0.5, -0.02],
-            zOffset: 0,
-            shouldRotate: true,
-            rotationSpeed: 0.005, // Slow rotation speed
-            moveDuration: 1.5,
-            clickCooldown: 5000 // 5 second cooldown before user can click away
-        },
-        {
-            objectName: 'paper', // New paper object in the GLTF scene
-            targetPosition: [2.71, 0.6, -0.02], // Raised 0.1 higher on Y
-            zOffset: 0,
-            shouldRotate: false, // No continuous rotation
-            shouldJitter: true, // Enable shaking
-            jitterAmount: 0.007, // Tighter shake area
-            targetRotation: [0 , Math.PI / 10-.4, Math.PI / 2], // Rotate 90° Y, 30° Z
-            moveDuration: 1.5,
-            clickCooldown: 5000
-        },
-        {
-            objectName: 'painting', // Parent object name in the GLTF scene
-            targetPosition: [1.71, 1.0, -0.04], // Moved forward +1 X and up +0.5 Y for better viewing
-            zOffset: 0,
-            shouldRotate: false, // No rotation
-            shouldJitter: true, // Enable swaying motion
-            jitterAmount: 0.01, // Amount of sway movement
-            targetRotation: [0, Math.PI / 2, 0], // Rotate to face camera (90 degrees on Y axis)
-            moveDuration: 1.5,
-            clickCooldown: 5000 // 5 second cooldown before user can click away
-        }
-        // Add more interactive objects here with the same pattern
-    ];
+function initInteractiveObjects() {
+    const interactiveConfigs = sceneData.interactiveConfigs;
 
-    // Define allowed camera positions for clicking interactive objects:
-    // Only last navigation position (cola and painting only clickable from last position)
-    const allowedPositions = [
-        navigationPositions[navigationPositions.length - 1] // Last orb position [3.13, 0.7, 0.04]
-    ];
+    // Allowed camera positions for clicking interactive objects (cabin node by default)
+    const allowedPositions = sceneData.interactiveAllowedPositions;
 
     interactiveManager = setupInteractiveObjects(scene, renderer.domElement, camera, interactiveConfigs, allowedPositions);
-}, 2000); // Wait 2 seconds for model to load
+}
 
 // Set up camera-interactive objects (like screen) - Will be set after model loads
 let cameraInteractiveManager = null;
 let screenVideo = null;
 
-setTimeout(() => {
+function initCameraInteractiveObjects() {
     // Find the screen object in the scene
     let screenObject = null;
     scene.traverse((child) => {
@@ -678,20 +763,19 @@ setTimeout(() => {
     });
 
     if (screenObject) {
-        // Setup video texture on the 3D screen
-        screenVideo = setupScreenVideoTexture(screenObject, 'src/videos/NOLD.mp4');
+        // Setup video texture on the 3D screen. It shows a poster until the camera nears the cabin
+        // (the last navigation position); captions show from the camera spot in front of it.
+        const screenConfig = sceneData.cameraInteractiveConfigs.find(c => c.showVideo);
+        screenVideo = setupScreenVideoTexture(screenObject, sceneData.tvPlaylist, {
+            viewPosition: screenConfig ? screenConfig.cameraPosition : null,
+            loadPosition: navigationPositions[navigationPositions.length - 1]
+        });
+        setupTvControls(document.querySelector('#screenPopup .popup-card'), screenVideo);
         // Do NOT unlock on 'play' (user may scrub or autoplay). We'll unlock when
         // the player actually clicks the screen and the camera moves to the screen view.
     }
 
-    const cameraInteractiveConfigs = [
-        {
-            objectName: 'screen', // Name of screen object in GLTF
-            cameraPosition: [-0.3, 0.10, -0.85], // Camera position when viewing screen
-            moveDuration: 1.5,
-            showVideo: true // Show video when camera reaches position
-        }
-    ];
+    const cameraInteractiveConfigs = sceneData.cameraInteractiveConfigs;
 
     // Callback to re-enable previous orb when camera moves away from interactive objects
     const onCameraInteractiveClick = (object, config) => {
@@ -701,21 +785,10 @@ setTimeout(() => {
             orbManager.enablePreviousOrb(prevPos);
         }
 
-        // If this interaction is the screen (config.showVideo), unlock 'watched_screen'
+        // If this interaction is the screen (config.showVideo), report it (unlocks 'watched_screen')
         try {
             if (config && config.showVideo) {
-                // Prevent duplicate unlocks in-session and respect persisted state
-                if (!(achievements && typeof achievements.isUnlocked === 'function' && achievements.isUnlocked('watched_screen')) && !window._hasUnlockedWatchedScreen) {
-                    window._hasUnlockedWatchedScreen = true;
-                    try { achievements.unlock('watched_screen'); } catch (e) {}
-                    // Check composite master_interactor
-                    try {
-                        if (achievements && typeof achievements.isUnlocked === 'function') {
-                            const all = achievements.isUnlocked('clicked_paper') && achievements.isUnlocked('clicked_painting') && achievements.isUnlocked('clicked_cola');
-                            if (all) { try { achievements.unlock('master_interactor'); } catch(e) {} }
-                        }
-                    } catch(e) {}
-                }
+                emit('object:inspected', { id: 'screen' });
 
                 // Show screen popup with a single return control
                 try {
@@ -740,6 +813,11 @@ setTimeout(() => {
                     screenPopup.style.zIndex = '9999';
 
                     const resetToChair = () => {
+                        // The TV move is a history entry, so returning is just Back
+                        try {
+                            const entry = navigationHistory.getCurrent();
+                            if (entry && entry.source === 'screen' && navigationHistory.back()) return;
+                        } catch (e) {}
                         try {
                             const lastIdx = navigationPositions.length - 1;
                             const target = navigationPositions[lastIdx];
@@ -778,10 +856,8 @@ setTimeout(() => {
         }
     };
 
-    // Only show TV indicator from last position
-    const tvIndicatorPositions = [
-        navigationPositions[navigationPositions.length - 1] // Last orb position [3.13, 0.7, 0.04]
-    ];
+    // Only show TV indicator from the manifest's indicator nodes (the cabin)
+    const tvIndicatorPositions = sceneData.cameraIndicatorPositions;
 
     cameraInteractiveManager = setupCameraInteractiveObjects(
         scene, 
@@ -793,49 +869,60 @@ setTimeout(() => {
         onCameraInteractiveClick,
         tvIndicatorPositions // Pass allowed positions for showing indicator
     );
-    
-    // Store globally for animation loop access
-    window.cameraInteractiveManager = cameraInteractiveManager;
 
-    // Hook: unlock 'visited_last_position' when orbManager reaches last index
-    // Listen for arrival events and unlock when player actually arrives at last position
-    window.addEventListener('orb:arrived', (e) => {
+
+    // Report arrivals at the cabin (last position) and the first additional (DLC) position,
+    // which is at index === base length
+    on('orb:arrived', ({ index: idx }) => {
         try {
-            const idx = e && e.detail ? e.detail.index : null;
-            const lastIndex = navigationPositions.length - 1;
-            if (idx === lastIndex) {
-                if (!window.hasEnteredWoods) return;
-                if (window._hasUnlockedEnterCabin) return;
-                window._hasUnlockedEnterCabin = true;
-                if (achievements && typeof achievements.isUnlocked === 'function' && achievements.isUnlocked('enter_cabin')) return;
-                achievements.unlock('enter_cabin');
-            }
-            // If player arrives at the first additional (DLC) position (index === base length), unlock visited_first_dlc
-            try {
-                const firstDLCIndex = navigationPositions.length;
-                if (idx === firstDLCIndex) {
-                    try { achievements && achievements.unlock && achievements.unlock('visited_first_dlc'); } catch (e) {}
-                }
-            } catch (e) {}
+            let zone = null;
+            if (idx === navigationPositions.length - 1) zone = 'cabin';
+            else if (idx === navigationPositions.length) zone = 'dlc';
+            if (zone) emit('zone:entered', { zone, index: idx });
         } catch (err) {}
     });
-}, 2000); // Wait 2 seconds for model to load
+}
+
+// Initialize every model-dependent subsystem from the loader's ready signal instead of
+// guessing a delay. Each subsystem is isolated so one failing doesn't block the others.
+// The loading screen itself is released by the shared LoadingManager once every asset is in;
+// a failed environment load leaves `ready` pending until the visitor retries successfully.
+models.ready.then(() => {
+    const initializers = [
+        ['boisvertTeleporter', initBoisvertTeleporter],
+        ['positionalAudio', initPositionalAudio],
+        ['interactiveObjects', initInteractiveObjects],
+        ['cameraInteractiveObjects', initCameraInteractiveObjects]
+    ];
+    initializers.forEach(([name, init]) => {
+        try {
+            init();
+        } catch (err) {
+            console.error(`[boot] ${name} init failed`, err);
+        }
+    });
+});
 
 // Create and start animation loop
 // NOTE: Don't pass interactiveManager directly - animation loop will check the variable
 const animate = createAnimationLoop({
     renderer,
-    composer,
+    postProcessing,
     controls,
     qualitySettings,
     lights,
-    particleArrays,
     models,
     updatePositionInfo,
     orbManager,
     getInteractiveManager: () => interactiveManager, // Pass a getter function instead
+    getCameraInteractiveManager: () => cameraInteractiveManager,
+    getBoisvertTeleporter: () => boisvertTeleporter,
+    getWeather: () => weather,
+    qualityGovernor,
+    keyboardNavigation,
     youtubeScreen: () => screenVideo, // Pass video controller getter
-    navigationPositions
+    navigationPositions,
+    performanceHud
 });
 
 animate();
\ No newline at end of file
@@ -1,22 +1,28 @@
 import * as THREE from "three";
 import gsap from 'gsap';
+import { emit } from '../utils/eventBus.js';
 
 /**
  * Create and start the animation loop
  * @param {Object} params - Animation parameters
- * @param {THREE.WebGLRenderer} params.renderer - The renderer (fallback if no composer)
- * @param {Object} params.composer - The effect composer for post-processing
+ * @param {THREE.WebGLRenderer} params.renderer - The renderer (fallback if post-processing fails)
+ * @param {Object} params.postProcessing - Post-processing manager; renders straight to the screen until its composer loads
  * @param {Object} params.controls - The orbit controls
  * @param {Object} params.qualitySettings - The quality settings object
  * @param {Object} params.lights - The lights object containing flashlight, raycaster, mouse
- * @param {Array} params.particleArrays - Array of particle system objects for snow effect
  * @param {Object} params.models - The loaded models object
  * @param {Function} params.updatePositionInfo - Function to update position info display
- * @param {Object} params.interactiveManager - Manager for interactive clickable objects
+ * @param {Function} params.getInteractiveManager - Returns the manager for interactive clickable objects
+ * @param {Function} params.getCameraInteractiveManager - Returns the camera-interactive (TV) manager
+ * @param {Function} params.getBoisvertTeleporter - Returns the Boisvert teleporter
+ * @param {Function} params.getWeather - Returns the weather manager, or null until it has lazy-loaded
+ * @param {Object} params.qualityGovernor - Adaptive quality governor fed with frame timestamps
+ * @param {Object} params.keyboardNavigation - Keyboard navigation whose focus highlight follows its target
+ * @param {Object} params.performanceHud - Optional HUD (see setupPerformanceHud) that times each subsystem
  */
 export function createAnimationLoop({
     renderer,
-    composer,
+    postProcessing,
     controls,
     qualitySettings,
     lights,
@@ -24,51 +30,67 @@ export function createAnimationLoop({
     updatePositionInfo,
     orbManager,
     getInteractiveManager,
+    getCameraInteractiveManager = () => null,
+    getBoisvertTeleporter = () => null,
+    getWeather = () => null,
+    qualityGovernor = null,
+    keyboardNavigation = null,
     youtubeScreen,
-    navigationPositions
+    navigationPositions,
+    performanceHud = null
 }) {
     const { flashlight, raycaster, mouse, mobileSpotlight } = lights;
 
+    // Run a subsystem's per-frame work, timed by the HUD when there is one
+    const timed = performanceHud ? (label, fn) => performanceHud.time(label, fn) : (label, fn) => fn();
+
     function animate(t = 0) {
         requestAnimationFrame(animate);
+        if (performanceHud) performanceHud.beginFrame(t);
         
+        // Feed frame timing to the adaptive quality governor
+        if (qualityGovernor && typeof qualityGovernor.sample === 'function') {
+            qualityGovernor.sample(t);
+        }
+
         // Update flashlight position to follow camera - only on desktop
         if (qualitySettings.enableFlashlight && flashlight && raycaster && mouse) {
-            flashlight.position.copy(window.camera.position);
+            timed('flashlight', () => {
+                flashlight.position.copy(window.camera.position);
             
-            // Update raycaster with camera and mouse position
-            raycaster.setFromCamera(mouse, window.camera);
+                // Update raycaster with camera and mouse position
+                raycaster.setFromCamera(mouse, window.camera);
             
-            // Create a plane far in front of the camera to raycast against
-            const distance = 20; // Distance to project the flashlight beam
-            const direction = new THREE.Vector3();
-            raycaster.ray.direction.clone().normalize();
+                // Create a plane far in front of the camera to raycast against
+                const distance = 20; // Distance to project the flashlight beam
+                const direction = new THREE.Vector3();
+                raycaster.ray.direction.clone().normalize();
             
-            // Calculate target position for flashlight
-            const targetPosition = new THREE.Vector3();
-            targetPosition.copy(window.camera.position).add(
-                raycaster.ray.direction.multiplyScalar(distance)
-            );
+                // Calculate target position for flashlight
+                const targetPosition = new THREE.Vector3();
+                targetPosition.copy(window.camera.position).add(
+                    raycaster.ray.direction.multiplyScalar(distance)
+                );
             
-            // Update flashlight target
-            flashlight.target.position.copy(targetPosition);
-            flashlight.target.updateMatrixWorld();
+                // Update flashlight target
+                flashlight.target.position.copy(targetPosition);
+                flashlight.target.updateMatrixWorld();
             
-            // Update position info display
-            if (updatePositionInfo) {
-                updatePositionInfo(raycaster, mouse);
-            }
+                // Update position info display
+                if (updatePositionInfo) {
+                    updatePositionInfo(raycaster, mouse);
+                }
+            });
         }
 
         // Mobile dynamic spotlight intentionally disabled — no mobile flashlight effects.
         
-        // Update falling snow particles - stop at last position (works on both desktop and mobile)
+        // Advance the weather (lazy-loaded) - freeze it at the last position (works on both desktop and mobile)
         try {
-            const currentParticleArrays = (typeof window !== 'undefined' && window.particleArrays) ? window.particleArrays : null;
-            const particleUpdater = (typeof window !== 'undefined' && typeof window.updateParticles === 'function') ? window.updateParticles : null;
-            if (currentParticleArrays && particleUpdater) {
+            const weather = getWeather();
+            if (weather) {
                 const shouldUpdateParticles = !orbManager || !orbManager.isAtLastPosition();
-                particleUpdater(currentParticleArrays, undefined, shouldUpdateParticles);
+                timed('particles', () => weather.update(t, shouldUpdateParticles));
             }
         } catch (e) {
             // ignore particle update errors
@@ -79,23 +101,30 @@ export function createAnimationLoop({
         
         // Update orb navigation system
         if (orbManager && typeof orbManager.update === 'function') {
-            orbManager.update();
+            timed('orbs', () => orbManager.update());
         }
         
         // Update interactive objects (rotation animations)
         const interactiveManager = getInteractiveManager ? getInteractiveManager() : null;
         if (interactiveManager && typeof interactiveManager.update === 'function') {
-            interactiveManager.update();
+            timed('interactive', () => interactiveManager.update());
         }
         
         // Update camera interactive objects (indicators)
-        if (window.cameraInteractiveManager && typeof window.cameraInteractiveManager.update === 'function') {
-            window.cameraInteractiveManager.update();
+        const cameraInteractiveManager = getCameraInteractiveManager();
+        if (cameraInteractiveManager && typeof cameraInteractiveManager.update === 'function') {
+            timed('cameraInteractive', () => cameraInteractiveManager.update());
+        }
+        
+        // Keep the keyboard focus highlight over its target
+        if (keyboardNavigation && typeof keyboardNavigation.update === 'function') {
+            timed('keyboardNav', () => keyboardNavigation.update());
         }
         
         // Update Boisvert teleporter
-        if (window.boisvertTeleporter && typeof window.boisvertTeleporter.update === 'function') {
-            window.boisvertTeleporter.update();
+        const boisvertTeleporter = getBoisvertTeleporter();
+        if (boisvertTeleporter && typeof boisvertTeleporter.update === 'function') {
+            timed('boisvert', () => boisvertTeleporter.update());
         }
 
         // Collision: if player walks into the backroom-light-door, teleport them to the last navigation position
@@ -144,7 +173,7 @@ export function createAnimationLoop({
                                     // Ensure orb manager updates visible orbs / state
                                     try { if (orbManager && typeof orbManager.update === 'function') orbManager.update(); } catch (e) {}
                                     // mark arrival so other logic (achievements) can react
-                                    try { window.dispatchEvent(new CustomEvent('orb:arrived', { detail: { index: lastIdx } })); } catch (e) {}
+                                    emit('orb:arrived', { index: lastIdx });
                                 }
                             });
                         }
@@ -171,7 +200,7 @@ export function createAnimationLoop({
                     // Use a persisted flag on the animate function to avoid repeated events
                     if (dist <= ARRIVAL_THRESHOLD && !animate._wasAtLastPosition) {
                         animate._wasAtLastPosition = true;
-                        try { window.dispatchEvent(new CustomEvent('orb:arrived', { detail: { index: lastIdx } })); } catch (e) {}
+                        emit('orb:arrived', { index: lastIdx });
                     } else if (dist > ARRIVAL_THRESHOLD) {
                         animate._wasAtLastPosition = false;
                     }
@@ -179,23 +208,26 @@ export function createAnimationLoop({
             }
         } catch (e) {}
         
-        // Render using composer for post-processing, or fallback to renderer
-        try {
-            const activeComposer = (typeof window !== 'undefined' && window.composer) ? window.composer : composer;
-            if (activeComposer) {
-                activeComposer.render();
-            } else {
-                renderer.render(window.scene, window.camera);
+        // Render through the post-processing manager, or fallback to renderer
+        timed('render', () => {
+            try {
+                if (postProcessing) {
+                    postProcessing.render();
+                } else {
+                    renderer.render(window.scene, window.camera);
+                }
+            } catch (e) {
+                try { renderer.render(window.scene, window.camera); } catch (err) { /* swallow */ }
             }
-        } catch (e) {
-            try { renderer.render(window.scene, window.camera); } catch (err) { /* swallow */ }
-        }
+        });
         
         // Render CSS3D for YouTube screen
         const ytScreen = youtubeScreen ? youtubeScreen() : null;
         if (ytScreen) {
             ytScreen.render(window.camera);
         }
+
+        if (performanceHud) performanceHud.endFrame();
     }
 
     return animate;
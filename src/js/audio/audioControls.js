@@ -0,0 +1,45 @@
+/**
+ * Corner mute button and master volume slider. Both are views of the `muted` and
+ * `masterVolume` settings, so they stay in step with the settings panel and persist;
+ * the settings appliers in index.js push the values into the audio manager.
+ */
+
+/**
+ * Setup the mute / volume controls
+ * @param {Object} store - Settings store from initSettings
+ * @param {Object} elements
+ * @param {HTMLButtonElement} elements.muteButton - Toggles `muted`
+ * @param {HTMLInputElement} elements.volumeSlider - Range input bound to `masterVolume`
+ * @returns {Object} Controls with dispose
+ */
+export function setupAudioControls(store, { muteButton, volumeSlider } = {}) {
+    function render() {
+        const muted = store.get('muted');
+        if (muteButton) {
+            muteButton.textContent = muted ? 'MUTED' : 'SOUND';
+            muteButton.setAttribute('aria-pressed', muted ? 'true' : 'false');
+            muteButton.setAttribute('aria-label', muted ? 'Unmute' : 'Mute');
+        }
+        if (volumeSlider) {
+            volumeSlider.value = String(store.get('masterVolume'));
+            volumeSlider.disabled = muted;
+        }
+    }
+
+    const onClick = () => store.set('muted', !store.get('muted'));
+    const onInput = () => store.set('masterVolume', Number(volumeSlider.value));
+    if (muteButton) muteButton.addEventListener('click', onClick);
+    if (volumeSlider) volumeSlider.addEventListener('input', onInput);
+    const unsubscribe = store.subscribe((key) => {
+        if (key === 'muted' || key === 'masterVolume') render();
+    });
+    render();
+
+    return {
+        dispose() {
+            unsubscribe();
+            if (muteButton) muteButton.removeEventListener('click', onClick);
+            if (volumeSlider) volumeSlider.removeEventListener('input', onInput);
+        }
+    };
+}
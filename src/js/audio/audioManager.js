@@ -0,0 +1,373 @@
+import * as THREE from "three";
+
+/**
+ * Audio manager built on THREE.AudioListener (attached to the camera).
+ *
+ *   sources -> bus (music / sfx / voice) -> listener input -> master gain -> speakers
+ *
+ * Mix state (master volume, bus volumes, mute) lives here and works before initAudio() is
+ * called, so settings can be applied at boot; HTML media elements follow the same mix
+ * through audioController.js, which listens with onMixChange. Ambient beds are looped
+ * sources crossfaded per navigation zone; positional sounds are THREE.PositionalAudio
+ * children of scene objects. Browsers keep the context suspended until a user gesture,
+ * so it's resumed on the first pointer/key press.
+ */
+
+export const BUSES = ['music', 'sfx', 'voice'];
+// Zone lookups (nearest navigation node) and how long crossfades take
+const ZONE_CHECK_MS = 500;
+const AMBIENCE_FADE_SECONDS = 3;
+// Gain changes glide over this time constant to avoid clicks
+const GAIN_SMOOTHING = 0.05;
+
+const mix = {
+    master: 1,
+    muted: false,
+    buses: { music: 1, sfx: 1, voice: 1 }
+};
+const mixListeners = new Set();
+
+let listener = null;
+const busNodes = {};
+// name -> { factory, gain, sound, stopTimer }
+const beds = new Map();
+let currentBed = null;
+const positionalSounds = new Set();
+
+function clamp01(v) {
+    const n = Number(v);
+    return Number.isFinite(n) ? Math.max(0, Math.min(1, n)) : null;
+}
+
+function rampGain(param, value) {
+    if (!listener) return;
+    param.setTargetAtTime(value, listener.context.currentTime, GAIN_SMOOTHING);
+}
+
+function applyMix() {
+    if (listener) {
+        rampGain(listener.gain.gain, mix.muted ? 0 : mix.master);
+        BUSES.forEach(bus => rampGain(busNodes[bus].gain, mix.buses[bus]));
+    }
+    const snapshot = getMix();
+    mixListeners.forEach((fn) => {
+        try { fn(snapshot); } catch (e) { console.warn('[audioManager] mix listener failed', e); }
+    });
+}
+
+/**
+ * @returns {Object} { master, muted, buses: { music, sfx, voice } }
+ */
+export function getMix() {
+    return { master: mix.master, muted: mix.muted, buses: { ...mix.buses } };
+}
+
+/**
+ * Listen for mix changes
+ * @param {Function} fn - Called with getMix()
+ * @returns {Function} Unsubscribe
+ */
+export function onMixChange(fn) {
+    mixListeners.add(fn);
+    return () => mixListeners.delete(fn);
+}
+
+/**
+ * @param {number} level - 0..1
+ */
+export function setMasterVolume(level) {
+    const v = clamp01(level);
+    if (v === null) return;
+    mix.master = v;
+    applyMix();
+}
+
+/**
+ * @param {string} bus - 'music', 'sfx' or 'voice'
+ * @param {number} level - 0..1
+ */
+export function setBusVolume(bus, level) {
+    if (!BUSES.includes(bus)) {
+        console.warn('[audioManager] unknown bus', bus);
+        return;
+    }
+    const v = clamp01(level);
+    if (v === null) return;
+    mix.buses[bus] = v;
+    applyMix();
+}
+
+/**
+ * @param {boolean} muted
+ */
+export function setMuted(muted) {
+    mix.muted = !!muted;
+    applyMix();
+}
+
+/**
+ * @returns {boolean}
+ */
+export function isMuted() {
+    return mix.muted;
+}
+
+/**
+ * Create the listener and buses. Safe to call more than once.
+ * @param {THREE.Camera} camera - Camera the listener rides on
+ * @returns {THREE.AudioListener}
+ */
+export function initAudio(camera) {
+    if (listener) return listener;
+    listener = new THREE.AudioListener();
+    camera.add(listener);
+    const context = listener.context;
+    BUSES.forEach((bus) => {
+        busNodes[bus] = context.createGain();
+        busNodes[bus].connect(listener.getInput());
+    });
+    applyMix();
+
+    const resume = () => {
+        if (context.state === 'suspended') context.resume().catch(() => {});
+        if (context.state === 'running') {
+            ['pointerdown', 'keydown', 'touchstart'].forEach(type => window.removeEventListener(type, resume, true));
+        }
+    };
+    ['pointerdown', 'keydown', 'touchstart'].forEach(type => window.addEventListener(type, resume, true));
+    return listener;
+}
+
+/**
+ * @returns {THREE.AudioListener|null}
+ */
+export function getListener() {
+    return listener;
+}
+
+/**
+ * Send a THREE.Audio / PositionalAudio to a bus instead of straight to the listener
+ */
+function routeToBus(sound, bus) {
+    sound.gain.disconnect();
+    sound.gain.connect(busNodes[BUSES.includes(bus) ? bus : 'sfx']);
+}
+
+/**
+ * Play a non-positional one-shot (footsteps, heartbeats); it cleans itself up
+ * @param {Function} factory - (AudioContext) => { output, stop, duration }
+ * @param {Object} options
+ * @param {string} options.bus - 'music', 'sfx' or 'voice' (default 'sfx')
+ * @param {number} options.volume - Own level, 0..1
+ */
+export function playOneShot(factory, { bus = 'sfx', volume = 1 } = {}) {
+    if (!listener || listener.context.state !== 'running') return;
+    try {
+        const gain = listener.context.createGain();
+        gain.gain.value = clamp01(volume) ?? 1;
+        gain.connect(busNodes[BUSES.includes(bus) ? bus : 'sfx']);
+        const sound = factory(listener.context);
+        sound.output.connect(gain);
+        setTimeout(() => {
+            sound.stop();
+            gain.disconnect();
+        }, (sound.duration || 1) * 1000 + 100);
+    } catch (e) {
+        console.warn('[audioManager] one-shot failed', e);
+    }
+}
+
+/**
+ * Decode an audio file into a factory for playOneShot
+ * @param {string} url - Audio file
+ * @returns {Promise<Function>} Resolves with (AudioContext) => { output, stop, duration }
+ */
+export function loadSample(url) {
+    return new Promise((resolve, reject) => {
+        new THREE.AudioLoader().load(url, (buffer) => {
+            resolve((context) => {
+                const source = context.createBufferSource();
+                source.buffer = buffer;
+                source.start();
+                return {
+                    output: source,
+                    stop: () => { try { source.stop(); } catch (e) {} },
+                    duration: buffer.duration
+                };
+            });
+        }, undefined, reject);
+    });
+}
+
+/**
+ * Start a non-positional loop whose level the caller drives (e.g. breathing)
+ * @param {Function} factory - (AudioContext) => { output, stop }
+ * @param {Object} options
+ * @param {string} options.bus - 'music', 'sfx' or 'voice' (default 'sfx')
+ * @param {number} options.volume - Starting level, 0..1
+ * @returns {Object|null} Handle with sound, setVolume and stop; null before initAudio
+ */
+export function playLoop(factory, { bus = 'sfx', volume = 1 } = {}) {
+    if (!listener) return null;
+    const context = listener.context;
+    let sound;
+    const gain = context.createGain();
+    gain.gain.value = clamp01(volume) ?? 1;
+    try {
+        sound = factory(context);
+        sound.output.connect(gain);
+    } catch (e) {
+        console.warn('[audioManager] loop failed to start', e);
+        return null;
+    }
+    gain.connect(busNodes[BUSES.includes(bus) ? bus : 'sfx']);
+    return {
+        sound,
+        setVolume(level) {
+            gain.gain.setTargetAtTime(clamp01(level) ?? 0, context.currentTime, GAIN_SMOOTHING * 4);
+        },
+        stop() {
+            sound.stop();
+            gain.disconnect();
+        }
+    };
+}
+
+/**
+ * Register a looped ambient bed that setAmbience can fade in
+ * @param {string} name - Bed name used in the scene manifest (e.g. 'forest')
+ * @param {Function} factory - (AudioContext) => { output, stop }; see proceduralSounds.js
+ */
+export function registerAmbientBed(name, factory) {
+    beds.set(name, { factory, gain: null, sound: null, stopTimer: null });
+}
+
+/**
+ * Crossfade to an ambient bed; beds that fade out are stopped so they cost nothing
+ * @param {string|null} name - Registered bed, or null for silence
+ * @param {number} fadeSeconds - Crossfade time
+ */
+export function setAmbience(name, fadeSeconds = AMBIENCE_FADE_SECONDS) {
+    if (!listener || name === currentBed) return;
+    if (name && !beds.has(name)) {
+        console.warn('[audioManager] unknown ambient bed', name);
+        return;
+    }
+    const context = listener.context;
+    const timeConstant = Math.max(0.01, fadeSeconds / 3);
+
+    if (currentBed) {
+        const old = beds.get(currentBed);
+        old.gain.gain.setTargetAtTime(0, context.currentTime, timeConstant);
+        clearTimeout(old.stopTimer);
+        old.stopTimer = setTimeout(() => {
+            if (old.sound) old.sound.stop();
+            old.sound = null;
+        }, fadeSeconds * 1000 + 500);
+    }
+    currentBed = name || null;
+    if (!currentBed) return;
+
+    const bed = beds.get(currentBed);
+    clearTimeout(bed.stopTimer);
+    if (!bed.gain) {
+        bed.gain = context.createGain();
+        bed.gain.gain.value = 0;
+        bed.gain.connect(busNodes.sfx);
+    }
+    if (!bed.sound) {
+        try {
+            bed.sound = bed.factory(context);
+            bed.sound.output.connect(bed.gain);
+        } catch (e) {
+            console.warn('[audioManager] ambient bed failed to start', currentBed, e);
+            return;
+        }
+    }
+    bed.gain.gain.setTargetAtTime(1, context.currentTime, timeConstant);
+}
+
+/**
+ * Switch ambience by navigation zone: the bed of the node nearest the camera
+ * @param {THREE.Camera} camera
+ * @param {Array} zones - [{ id, position, ambience }] from the scene manifest
+ * @returns {Function} Stop following
+ */
+export function followAmbienceZones(camera, zones) {
+    let zone;
+    const check = () => {
+        let best = null;
+        let bestDistance = Infinity;
+        zones.forEach((z) => {
+            const d = camera.position.distanceToSquared(new THREE.Vector3(...z.position));
+            if (d < bestDistance) {
+                bestDistance = d;
+                best = z;
+            }
+        });
+        if (best && best.id !== zone) {
+            zone = best.id;
+            setAmbience(best.ambience || null);
+        }
+    };
+    check();
+    const timer = setInterval(check, ZONE_CHECK_MS);
+    return () => clearInterval(timer);
+}
+
+/**
+ * Attach a looping positional sound to an object
+ * @param {THREE.Object3D} object - Object the sound comes from
+ * @param {Object} options
+ * @param {Function} options.factory - (AudioContext) => { output, stop } for synthesized sounds
+ * @param {string} options.url - Or an audio file to loop
+ * @param {string} options.bus - 'music', 'sfx' or 'voice' (default 'sfx')
+ * @param {number} options.volume - Own level, 0..1
+ * @param {number} options.refDistance - Distance at which the sound is at full volume
+ * @param {number} options.maxDistance - Distance beyond which it stops getting quieter
+ * @param {number} options.rolloffFactor - How quickly it fades with distance
+ * @returns {Object|null} Handle with audio, setVolume and dispose; null before initAudio
+ */
+export function attachPositionalSound(object, { factory, url, bus = 'sfx', volume = 1, refDistance = 2, maxDistance = 30, rolloffFactor = 1 } = {}) {
+    if (!listener || !object) return null;
+    const audio = new THREE.PositionalAudio(listener);
+    audio.setRefDistance(refDistance);
+    audio.setMaxDistance(maxDistance);
+    audio.setRolloffFactor(rolloffFactor);
+    audio.setDistanceModel('inverse');
+    audio.setVolume(volume);
+    routeToBus(audio, bus);
+    object.add(audio);
+
+    let synth = null;
+    if (typeof factory === 'function') {
+        try {
+            synth = factory(listener.context);
+            audio.setNodeSource(synth.output);
+        } catch (e) {
+            console.warn('[audioManager] positional sound failed to start', e);
+        }
+    } else if (url) {
+        new THREE.AudioLoader().load(url, (buffer) => {
+            audio.setBuffer(buffer);
+            audio.setLoop(true);
+            audio.play();
+        }, undefined, err => console.warn('[audioManager] failed to load', url, err));
+    }
+
+    const handle = {
+        audio,
+        setVolume(level) {
+            audio.setVolume(clamp01(level) ?? 0);
+        },
+        dispose() {
+            positionalSounds.delete(handle);
+            if (synth) synth.stop();
+            else if (audio.isPlaying) audio.stop();
+            try { audio.disconnect(); } catch (e) {}
+            if (audio.parent) audio.parent.remove(audio);
+        }
+    };
+    positionalSounds.add(handle);
+    return handle;
+}
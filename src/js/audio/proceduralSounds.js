@@ -0,0 +1,339 @@
+/**
+ * Sound sources synthesized with Web Audio, so ambience works without shipping audio files
+ * (and suits the lo-fi look). Each factory takes an AudioContext and returns
+ * { output, stop }: connect `output` wherever the sound should go and call stop() when
+ * it's no longer needed.
+ */
+
+const NOISE_SECONDS = 2;
+
+function noiseBuffer(context, seconds = NOISE_SECONDS, brown = false) {
+    const length = Math.floor(context.sampleRate * seconds);
+    const buffer = context.createBuffer(1, length, context.sampleRate);
+    const data = buffer.getChannelData(0);
+    let last = 0;
+    for (let i = 0; i < length; i++) {
+        const white = Math.random() * 2 - 1;
+        if (brown) {
+            // Integrated white noise: a deeper rumble
+            last = (last + 0.02 * white) / 1.02;
+            data[i] = last * 3.5;
+        } else {
+            data[i] = white;
+        }
+    }
+    return buffer;
+}
+
+function loopedSource(context, buffer) {
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.loop = true;
+    return source;
+}
+
+function lfo(context, frequency, depth, target) {
+    const osc = context.createOscillator();
+    osc.frequency.value = frequency;
+    const gain = context.createGain();
+    gain.gain.value = depth;
+    osc.connect(gain);
+    gain.connect(target);
+    return osc;
+}
+
+/**
+ * Start everything and build the { output, stop } pair
+ * @param {AudioNode} output - Node the sound comes out of
+ * @param {Array<AudioScheduledSourceNode>} sources - Oscillators and buffer sources
+ */
+function started(output, sources) {
+    sources.forEach(source => source.start());
+    return {
+        output,
+        stop() {
+            sources.forEach((source) => {
+                try { source.stop(); } catch (e) {}
+            });
+            try { output.disconnect(); } catch (e) {}
+        }
+    };
+}
+
+/**
+ * Wind through trees: low-passed noise that swells and fades
+ * @param {AudioContext} context
+ */
+export function forestWind(context) {
+    const output = context.createGain();
+    output.gain.value = 0.35;
+    const noise = loopedSource(context, noiseBuffer(context));
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 450;
+    noise.connect(filter);
+    filter.connect(output);
+    // Gusts: slow swells in level and brightness
+    const gust = lfo(context, 0.07, 0.2, output.gain);
+    const sweep = lfo(context, 0.11, 250, filter.frequency);
+    return started(output, [noise, gust, sweep]);
+}
+
+/**
+ * Mains hum and a little room tone for the cabin
+ * @param {AudioContext} context
+ */
+export function cabinHum(context) {
+    const output = context.createGain();
+    output.gain.value = 0.25;
+    const oscillators = [[60, 0.18], [120, 0.06], [180, 0.02]].map(([frequency, level]) => {
+        const osc = context.createOscillator();
+        osc.frequency.value = frequency;
+        const gain = context.createGain();
+        gain.gain.value = level;
+        osc.connect(gain);
+        gain.connect(output);
+        return osc;
+    });
+    const room = loopedSource(context, noiseBuffer(context, NOISE_SECONDS, true));
+    const roomGain = context.createGain();
+    roomGain.gain.value = 0.08;
+    room.connect(roomGain);
+    roomGain.connect(output);
+    return started(output, [...oscillators, room]);
+}
+
+/**
+ * Fluorescent tube buzz for the backrooms: a harsh 120 Hz saw with a nervous flutter
+ * @param {AudioContext} context
+ */
+export function fluorescentBuzz(context) {
+    const output = context.createGain();
+    output.gain.value = 0.12;
+    const saw = context.createOscillator();
+    saw.type = 'sawtooth';
+    saw.frequency.value = 120;
+    const band = context.createBiquadFilter();
+    band.type = 'bandpass';
+    band.frequency.value = 1400;
+    band.Q.value = 1.5;
+    saw.connect(band);
+    band.connect(output);
+    const hum = context.createOscillator();
+    hum.frequency.value = 240;
+    const humGain = context.createGain();
+    humGain.gain.value = 0.3;
+    hum.connect(humGain);
+    humGain.connect(output);
+    const flutter = lfo(context, 7.3, 0.04, output.gain);
+    return started(output, [saw, hum, flutter]);
+}
+
+/**
+ * Oil lantern: sparse crackles over a soft hiss
+ * @param {AudioContext} context
+ */
+export function lanternCrackle(context) {
+    const seconds = 3;
+    const length = Math.floor(context.sampleRate * seconds);
+    const buffer = context.createBuffer(1, length, context.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) data[i] = (Math.random() * 2 - 1) * 0.03;
+    // A few dozen short decaying pops
+    const pops = 40;
+    for (let p = 0; p < pops; p++) {
+        const start = Math.floor(Math.random() * (length - 400));
+        const size = 0.3 + Math.random() * 0.7;
+        for (let j = 0; j < 400; j++) data[start + j] += (Math.random() * 2 - 1) * size * Math.exp(-j / 60);
+    }
+    const source = loopedSource(context, buffer);
+    const filter = context.createBiquadFilter();
+    filter.type = 'highpass';
+    filter.frequency.value = 1500;
+    const output = context.createGain();
+    output.gain.value = 0.6;
+    source.connect(filter);
+    filter.connect(output);
+    return started(output, [source]);
+}
+
+/**
+ * Boisvert: a low detuned drone with slow, breathy noise on top
+ * @param {AudioContext} context
+ */
+export function boisvertDrone(context) {
+    const output = context.createGain();
+    output.gain.value = 0.5;
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 280;
+    filter.connect(output);
+    const oscillators = [55, 55.8, 82.4].map((frequency) => {
+        const osc = context.createOscillator();
+        osc.type = 'sawtooth';
+        osc.frequency.value = frequency;
+        osc.connect(filter);
+        return osc;
+    });
+    const breath = loopedSource(context, noiseBuffer(context));
+    const breathFilter = context.createBiquadFilter();
+    breathFilter.type = 'bandpass';
+    breathFilter.frequency.value = 500;
+    const breathGain = context.createGain();
+    breathGain.gain.value = 0.15;
+    breath.connect(breathFilter);
+    breathFilter.connect(breathGain);
+    breathGain.connect(output);
+    const breathing = lfo(context, 0.25, 0.15, breathGain.gain);
+    return started(output, [...oscillators, breath, breathing]);
+}
+
+/**
+ * Start sources that end by themselves after `duration` seconds (one-shots)
+ */
+function oneShot(output, sources, duration) {
+    const sound = started(output, sources);
+    const end = output.context.currentTime + duration;
+    sources.forEach((source) => {
+        try { source.stop(end); } catch (e) {}
+    });
+    sound.duration = duration;
+    return sound;
+}
+
+// Filter shape and length of a footstep per surface
+const FOOTSTEP_SURFACES = {
+    snow: { type: 'lowpass', frequency: 1800, q: 0.7, decay: 0.16, level: 0.5, thump: 0 },
+    wood: { type: 'bandpass', frequency: 350, q: 1.2, decay: 0.07, level: 0.7, thump: 0.5 },
+    carpet: { type: 'lowpass', frequency: 450, q: 0.7, decay: 0.06, level: 0.35, thump: 0.2 }
+};
+
+/**
+ * A single footstep
+ * @param {AudioContext} context
+ * @param {string} surface - 'snow', 'wood' or 'carpet'
+ */
+export function footstep(context, surface = 'carpet') {
+    const look = FOOTSTEP_SURFACES[surface] || FOOTSTEP_SURFACES.carpet;
+    const now = context.currentTime;
+    const output = context.createGain();
+    output.gain.setValueAtTime(look.level * (0.8 + Math.random() * 0.4), now);
+    output.gain.exponentialRampToValueAtTime(0.001, now + look.decay * 2);
+
+    const noise = loopedSource(context, noiseBuffer(context, 0.5));
+    const filter = context.createBiquadFilter();
+    filter.type = look.type;
+    filter.frequency.value = look.frequency * (0.9 + Math.random() * 0.2);
+    filter.Q.value = look.q;
+    noise.connect(filter);
+    filter.connect(output);
+    const sources = [noise];
+
+    if (look.thump > 0) {
+        // Heel strike: a short falling sine under the noise
+        const heel = context.createOscillator();
+        heel.frequency.setValueAtTime(110, now);
+        heel.frequency.exponentialRampToValueAtTime(50, now + look.decay);
+        const heelGain = context.createGain();
+        heelGain.gain.value = look.thump;
+        heel.connect(heelGain);
+        heelGain.connect(output);
+        sources.push(heel);
+    }
+    return oneShot(output, sources, look.decay * 2);
+}
+
+/**
+ * One heartbeat ("lub-dub")
+ * @param {AudioContext} context
+ */
+export function heartbeat(context) {
+    const now = context.currentTime;
+    const output = context.createGain();
+    output.gain.value = 0.9;
+    const beats = [[0, 1], [0.18, 0.7]].map(([offset, level]) => {
+        const osc = context.createOscillator();
+        osc.frequency.setValueAtTime(70, now + offset);
+        osc.frequency.exponentialRampToValueAtTime(40, now + offset + 0.12);
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(0, now);
+        gain.gain.setValueAtTime(0.0001, now + offset);
+        gain.gain.exponentialRampToValueAtTime(level, now + offset + 0.015);
+        gain.gain.exponentialRampToValueAtTime(0.0001, now + offset + 0.15);
+        osc.connect(gain);
+        gain.connect(output);
+        return osc;
+    });
+    return oneShot(output, beats, 0.4);
+}
+
+/**
+ * Ragged breathing; setRate(breathsPerSecond) speeds it up
+ * @param {AudioContext} context
+ */
+export function breathing(context) {
+    const output = context.createGain();
+    output.gain.value = 0.4;
+    const noise = loopedSource(context, noiseBuffer(context));
+    const filter = context.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.frequency.value = 900;
+    filter.Q.value = 0.8;
+    const breath = context.createGain();
+    breath.gain.value = 0.5;
+    noise.connect(filter);
+    filter.connect(breath);
+    breath.connect(output);
+    // Each LFO cycle is one breath in and out
+    const rate = context.createOscillator();
+    rate.frequency.value = 0.3;
+    const depth = context.createGain();
+    depth.gain.value = 0.5;
+    rate.connect(depth);
+    depth.connect(breath.gain);
+    const sound = started(output, [noise, rate]);
+    sound.setRate = (breathsPerSecond) => {
+        rate.frequency.setTargetAtTime(breathsPerSecond, context.currentTime, 0.5);
+    };
+    return sound;
+}
+
+// Achievement chime notes (Hz) per rarity: rarer unlocks get a longer arpeggio
+const CHIME_NOTES = {
+    common: [659.25, 987.77],
+    rare: [587.33, 783.99, 1174.66],
+    epic: [523.25, 659.25, 783.99, 1046.5],
+    legendary: [523.25, 659.25, 783.99, 1046.5, 1318.51]
+};
+const CHIME_STEP = 0.08;
+
+/**
+ * Achievement unlock chime: a short square-wave arpeggio, one-shot
+ * @param {AudioContext} context
+ * @param {string} rarity - 'common', 'rare', 'epic' or 'legendary'
+ */
+export function achievementChime(context, rarity = 'common') {
+    const notes = CHIME_NOTES[rarity] || CHIME_NOTES.common;
+    const now = context.currentTime;
+    const output = context.createGain();
+    output.gain.value = 0.18;
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 3500;
+    filter.connect(output);
+    const sources = notes.map((frequency, i) => {
+        const start = now + i * CHIME_STEP;
+        const osc = context.createOscillator();
+        osc.type = 'square';
+        osc.frequency.value = frequency;
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(0, now);
+        gain.gain.setValueAtTime(0.0001, start);
+        gain.gain.exponentialRampToValueAtTime(1, start + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.3);
+        osc.connect(gain);
+        gain.connect(filter);
+        return osc;
+    });
+    return oneShot(output, sources, notes.length * CHIME_STEP + 0.3);
+}
@@ -1,6 +1,8 @@
 import gsap from 'gsap';
 import * as THREE from 'three';
 import { setClickableCursor, setDefaultCursor, registerInteractiveManager } from '../utils/cursorManager.js';
+import { motionDuration } from '../utils/motionPreferences.js';
+import { emit } from '../utils/eventBus.js';
 
 /**
  * Set up first-person look controls for camera (click and drag to look around)
@@ -21,7 +23,10 @@ export function setupCameraControls(camera, domElement, qualitySettings = {}) {
     let clampYawRange = null;
     let clampPitchRange = null;
     
-    let rotationSpeed = qualitySettings.isMobile ? 0.004 : 0.002;
+    const baseRotationSpeed = qualitySettings.isMobile ? 0.004 : 0.002;
+    let rotationSpeed = baseRotationSpeed;
+    let lookSensitivity = 1;
+    let invertY = false;
     
     const controls = {
         isLocked: false,
@@ -35,6 +40,25 @@ export function setupCameraControls(camera, domElement, qualitySettings = {}) {
         getDragSpeed() {
             return rotationSpeed;
         },
+        /**
+         * Scale look speed relative to the device default (1 = default)
+         * @param {number} v - Sensitivity multiplier
+         */
+        setLookSensitivity(v) {
+            const n = Number(v);
+            if (Number.isNaN(n) || n <= 0) return;
+            lookSensitivity = n;
+            rotationSpeed = baseRotationSpeed * n;
+        },
+        getLookSensitivity() {
+            return lookSensitivity;
+        },
+        setInvertY(v) {
+            invertY = !!v;
+        },
+        getInvertY() {
+            return invertY;
+        },
         setShouldDisableLookFn(fn) {
             shouldDisableLookFn = fn;
         },
@@ -82,7 +106,7 @@ export function setupCameraControls(camera, domElement, qualitySettings = {}) {
 
             euler.setFromQuaternion(camera.quaternion);
             euler.y -= movementX * rotationSpeed;
-            euler.x -= movementY * rotationSpeed;
+            euler.x -= movementY * rotationSpeed * (invertY ? -1 : 1);
             euler.x = Math.max(-PI_2 + 0.1, Math.min(PI_2 - 0.1, euler.x));
 
             if (isClamping && clampBaseYaw !== null && typeof clampYawRange === 'number') {
@@ -160,9 +184,10 @@ export function setupCameraControls(camera, domElement, qualitySettings = {}) {
  * @param {Object} qualitySettings - Quality settings for orb sizing (optional)
  * @param {Array<Array<number>>} excludePositions - Positions where orbs should never appear (optional)
  * @param {number} basePositionsLength - Original positions length before DLC additions (optional)
+ * @param {Array<string>} nodeIds - Scene manifest node id per position, used to name orbs for screen readers (optional)
  * @returns {Object} orbManager with update() method
  */
-export function setupOrbNavigation(scene, camera, domElement, positions = [], flashlight = null, qualitySettings = {}, excludePositions = [], basePositionsLength = null) {
+export function setupOrbNavigation(scene, camera, domElement, positions = [], flashlight = null, qualitySettings = {}, excludePositions = [], basePositionsLength = null, nodeIds = []) {
     const raycaster = new THREE.Raycaster();
     const pointer = new THREE.Vector2();
     const orbMeshes = [];
@@ -172,6 +197,12 @@ export function setupOrbNavigation(scene, camera, domElement, positions = [], fl
 
     let currentIndex = 0;
     const EXCLUDE_THRESHOLD = 0.5;
+
+    // 'cabin-door' -> 'Go to cabin door'
+    function orbLabel(index) {
+        const id = nodeIds[index];
+        return id ? `Go to ${String(id).replace(/[-_]+/g, ' ')}` : `Go to position ${index + 1}`;
+    }
     
     function shouldExcludePosition(pos) {
         for (const excludePos of excludePositions) {
@@ -340,53 +371,50 @@ export function setupOrbNavigation(scene, camera, domElement, positions = [], fl
         const intersects = raycaster.intersectObjects(group.children, false);
         
         if (intersects.length > 0) {
-            const picked = intersects[0].object;
-            const targetPos = picked.userData.position.clone();
-            const targetIdx = picked.userData.index;
-
-            gsap.killTweensOf(camera.position);
-            gsap.killTweensOf(picked.scale);
-            group.remove(picked);
-
-            const duration = 1.5;
-            gsap.to(camera.position, {
-                x: targetPos.x,
-                y: targetPos.y,
-                z: targetPos.z,
-                duration,
-                ease: 'power2.inOut',
-                onComplete: () => {
-                    currentIndex = targetIdx;
-                    updateVisibleOrbs();
-                    
-                    if (flashlight) {
-                        const effectiveLastIdx = (typeof basePositionsLength === 'number' && basePositionsLength > 0) 
-                            ? basePositionsLength - 1 
-                            : positions.length - 1;
-                        
-                        if (targetIdx === effectiveLastIdx) {
-                            flashlight.intensity = 5;
-                        } else {
-                            flashlight.intensity = 30;
-                        }
-                    }
-                    
-                    try {
-                        window.dispatchEvent(new CustomEvent('orb:arrived', { detail: { index: targetIdx } }));
-                    } catch (e) {}
-
-                    try {
-                        if (picked && picked.userData && picked.userData.isPreviousOrb) {
-                            if (window.boisvertTeleporter && typeof window.boisvertTeleporter.lookAtBoisvert === 'function') {
-                                window.boisvertTeleporter.lookAtBoisvert();
-                            }
-                        }
-                    } catch (e) {}
-                }
-            });
+            travelToOrb(intersects[0].object);
         }
     }
 
+    /**
+     * Move the camera to a picked orb. Shared by pointer clicks and keyboard activation.
+     * @param {THREE.Mesh} picked - One of the orb meshes currently in the group
+     */
+    function travelToOrb(picked) {
+        const targetPos = picked.userData.position.clone();
+        const targetIdx = picked.userData.index;
+
+        gsap.killTweensOf(camera.position);
+        gsap.killTweensOf(picked.scale);
+        group.remove(picked);
+
+        const effectiveLastIdx = (typeof basePositionsLength === 'number' && basePositionsLength > 0) 
+            ? basePositionsLength - 1 
+            : positions.length - 1;
+        const arrivalIntensity = targetIdx === effectiveLastIdx ? 5 : 30;
+
+        emit('camera:navigate', { position: [targetPos.x, targetPos.y, targetPos.z], flashlightIntensity: arrivalIntensity, source: 'orb' });
+
+        const duration = motionDuration(1.5);
+        gsap.to(camera.position, {
+            x: targetPos.x,
+            y: targetPos.y,
+            z: targetPos.z,
+            duration,
+            ease: 'power2.inOut',
+            onComplete: () => {
+                currentIndex = targetIdx;
+                updateVisibleOrbs();
+
+                if (flashlight) {
+                    flashlight.intensity = arrivalIntensity;
+                }
+
+                // `previous` marks a step back onto the previous orb (Boisvert turns the player round)
+                emit('orb:arrived', { index: targetIdx, previous: !!(picked && picked.userData && picked.userData.isPreviousOrb) });
+            }
+        });
+    }
+
     if (!qualitySettings.isMobile) {
         registerInteractiveManager(() => group.children);
     }
@@ -404,6 +432,22 @@ export function setupOrbNavigation(scene, camera, domElement, positions = [], fl
         getCurrentIndex() {
             return currentIndex;
         },
+        /**
+         * Orbs a keyboard user can travel to right now, labelled with where they lead
+         * @returns {Array<Object>} Focus targets ({ id, object, label, activate })
+         */
+        getFocusTargets() {
+            return group.children
+                .filter(orb => orb.userData.isActive)
+                .map(orb => ({
+                    id: `orb:${orb.userData.index}`,
+                    object: orb,
+                    label: orbLabel(orb.userData.index),
+                    activate: () => {
+                        if (group.children.includes(orb)) travelToOrb(orb);
+                    }
+                }));
+        },
         isAtLastPosition() {
             const effectiveLastIdx = (typeof basePositionsLength === 'number' && basePositionsLength > 0) 
                 ? basePositionsLength - 1 
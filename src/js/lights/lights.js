@@ -131,3 +131,57 @@ export function setupLights(scene, camera, qualitySettings) {
 
     return lights;
 }
+
+/**
+ * Turn shadows on or off after setup: the renderer's shadow map, the lights that cast
+ * them, and casting/receiving on every mesh in the scene
+ * @param {THREE.Scene} scene - The scene
+ * @param {THREE.WebGLRenderer} renderer - The renderer
+ * @param {Object} lights - Lights returned by setupLights
+ * @param {boolean} enabled - Whether shadows should be drawn
+ * @param {number} shadowMapSize - Shadow map resolution for the lights
+ */
+export function setShadowsEnabled(scene, renderer, lights, enabled, shadowMapSize = 512) {
+    renderer.shadowMap.enabled = !!enabled;
+    if (enabled) renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+
+    ['cabinLight', 'cabinLight2', 'flashlight'].forEach((name) => {
+        const light = lights[name];
+        if (!light) return;
+        light.castShadow = !!enabled;
+        if (enabled) {
+            light.shadow.mapSize.width = shadowMapSize;
+            light.shadow.mapSize.height = shadowMapSize;
+        }
+    });
+    if (enabled && lights.flashlight) {
+        lights.flashlight.shadow.camera.near = 0.5;
+        lights.flashlight.shadow.camera.far = 30;
+    }
+
+    scene.traverse((child) => {
+        if (!child.isMesh) return;
+        child.castShadow = !!enabled;
+        child.receiveShadow = !!enabled;
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach((m) => { if (m) m.needsUpdate = true; });
+    });
+}
+
+/**
+ * Change the shadow map resolution of the shadow-casting lights. The old maps are
+ * disposed so three.js reallocates them at the new size on the next shadowed frame.
+ * @param {Object} lights - Lights returned by setupLights
+ * @param {number} size - Shadow map width/height in pixels
+ */
+export function setShadowMapSize(lights, size) {
+    ['cabinLight', 'cabinLight2', 'flashlight'].forEach((name) => {
+        const light = lights[name];
+        if (!light || !light.shadow) return;
+        light.shadow.mapSize.set(size, size);
+        if (light.shadow.map) {
+            light.shadow.map.dispose();
+            light.shadow.map = null;
+        }
+    });
+}
@@ -0,0 +1,207 @@
+import * as THREE from "three";
+import { setFogLook } from "../scene/sceneSetup.js";
+import { emit } from "../utils/eventBus.js";
+
+/**
+ * Time of day. The night rig from setupLights is blended between three looks (dusk,
+ * night and a pale pre-dawn) according to the visitor's local clock, or a debug override.
+ * The controller drives the ambient, hemisphere, moon and cabin lights, the fog and the
+ * CSS sky behind the transparent canvas, and dims the flashlight beam. Other modules read
+ * the phase through getPhase() on the controller they are given, or listen for `timeofday:changed`
+ * ({ phase, hours }).
+ */
+
+/**
+ * Looks per phase. `cabin` and `flashlight` scale the intensities the lights were created
+ * with; the night look reproduces the original rig.
+ */
+export const PHASE_LOOKS = {
+    dusk: {
+        ambient: { color: 0xffd8b8, intensity: 0.4 },
+        hemi: { sky: 0x8a6688, ground: 0x221316, intensity: 0.5 },
+        moon: { color: 0xffaa77, intensity: 0.6 },
+        cabin: 0.8,
+        flashlight: 0.8,
+        fog: { color: 0x4a3a44, near: 12, far: 30 },
+        sky: { top: 0x2a1a2e, bottom: 0x6b3a3a }
+    },
+    night: {
+        ambient: { color: 0xffffff, intensity: 0.3 },
+        hemi: { sky: 0x4466aa, ground: 0x111122, intensity: 0.4 },
+        moon: { color: 0xaaccff, intensity: 0.5 },
+        cabin: 1.0,
+        flashlight: 1.0,
+        fog: { color: 0x333333, near: 10, far: 25 },
+        sky: { top: 0x0b0b0f, bottom: 0x111217 }
+    },
+    predawn: {
+        ambient: { color: 0xdde6ff, intensity: 0.45 },
+        hemi: { sky: 0x8899bb, ground: 0x222233, intensity: 0.55 },
+        moon: { color: 0xccddff, intensity: 0.4 },
+        cabin: 0.7,
+        flashlight: 0.6,
+        fog: { color: 0x6a7080, near: 8, far: 22 },
+        sky: { top: 0x3a4458, bottom: 0x8a93a6 }
+    }
+};
+
+// Local hour at which each look is at full strength; in between, neighbours blend.
+// The daytime stretch fades the pre-dawn mist back into dusk.
+const KEYFRAMES = [
+    { hour: 5.5, phase: 'predawn' },
+    { hour: 8, phase: 'predawn' },
+    { hour: 18, phase: 'dusk' },
+    { hour: 22, phase: 'night' },
+    { hour: 3, phase: 'night' }
+].sort((a, b) => a.hour - b.hour);
+
+// Hour used for each phase when overriding by name
+const PHASE_HOURS = { dusk: 18, night: 0, predawn: 6 };
+const REFRESH_MS = 15000;
+
+function localHours(date = new Date()) {
+    return date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
+}
+
+/**
+ * Find the two keyframes around an hour and how far between them it is
+ * @param {number} hours - 0-24
+ * @returns {{from: Object, to: Object, t: number}}
+ */
+function keyframesAround(hours) {
+    const h = ((hours % 24) + 24) % 24;
+    let index = KEYFRAMES.length - 1;
+    for (let i = 0; i < KEYFRAMES.length; i++) {
+        if (KEYFRAMES[i].hour <= h) index = i;
+    }
+    const from = KEYFRAMES[index];
+    const to = KEYFRAMES[(index + 1) % KEYFRAMES.length];
+    const span = ((to.hour - from.hour) + 24) % 24 || 24;
+    const elapsed = ((h - from.hour) + 24) % 24;
+    const t = elapsed / span;
+    return { from, to, t: t * t * (3 - 2 * t) };
+}
+
+function mixColor(a, b, t) {
+    return new THREE.Color(a).lerp(new THREE.Color(b), t);
+}
+
+function mixLooks(a, b, t) {
+    const lerp = THREE.MathUtils.lerp;
+    return {
+        ambient: { color: mixColor(a.ambient.color, b.ambient.color, t), intensity: lerp(a.ambient.intensity, b.ambient.intensity, t) },
+        hemi: {
+            sky: mixColor(a.hemi.sky, b.hemi.sky, t),
+            ground: mixColor(a.hemi.ground, b.hemi.ground, t),
+            intensity: lerp(a.hemi.intensity, b.hemi.intensity, t)
+        },
+        moon: { color: mixColor(a.moon.color, b.moon.color, t), intensity: lerp(a.moon.intensity, b.moon.intensity, t) },
+        cabin: lerp(a.cabin, b.cabin, t),
+        flashlight: lerp(a.flashlight, b.flashlight, t),
+        fog: { color: mixColor(a.fog.color, b.fog.color, t), near: lerp(a.fog.near, b.fog.near, t), far: lerp(a.fog.far, b.fog.far, t) },
+        sky: { top: mixColor(a.sky.top, b.sky.top, t), bottom: mixColor(a.sky.bottom, b.sky.bottom, t) }
+    };
+}
+
+/**
+ * Setup the time-of-day controller
+ * @param {THREE.Scene} scene - The scene (for fog)
+ * @param {Object} lights - Lights returned by setupLights
+ * @param {Object} options
+ * @param {string|number|null} options.override - A phase name, an hour (0-24), or null for the local clock
+ * @returns {Object} Controller with getPhase, getHours, setOverride, refresh and dispose
+ */
+export function setupTimeOfDay(scene, lights, { override = null } = {}) {
+    // Intensities the rig was built with; phases scale these
+    const baseCabin = ['cabinLight', 'cabinLight2', 'centerLight']
+        .filter(name => lights[name])
+        .map(name => ({ light: lights[name], intensity: lights[name].intensity }));
+
+    let currentOverride = null;
+    let hours = 0;
+    let phase = null;
+
+    function resolveHours() {
+        if (typeof currentOverride === 'number') return currentOverride;
+        if (typeof currentOverride === 'string' && PHASE_HOURS[currentOverride] !== undefined) return PHASE_HOURS[currentOverride];
+        return localHours();
+    }
+
+    function apply(look) {
+        if (lights.ambientLight) {
+            lights.ambientLight.color.copy(look.ambient.color);
+            lights.ambientLight.intensity = look.ambient.intensity;
+        }
+        if (lights.hemiLight) {
+            lights.hemiLight.color.copy(look.hemi.sky);
+            lights.hemiLight.groundColor.copy(look.hemi.ground);
+            lights.hemiLight.intensity = look.hemi.intensity;
+        }
+        if (lights.directionalLight) {
+            lights.directionalLight.color.copy(look.moon.color);
+            lights.directionalLight.intensity = look.moon.intensity;
+        }
+        baseCabin.forEach(({ light, intensity }) => { light.intensity = intensity * look.cabin; });
+        // The beam is dimmed through its colour: navigation code sets flashlight.intensity
+        // directly (30 outdoors, 5 at the cabin) and those presets should keep their ratio
+        if (lights.flashlight) lights.flashlight.color.setScalar(look.flashlight);
+        setFogLook(scene, look.fog);
+        try {
+            const root = document.documentElement.style;
+            root.setProperty('--sky-top', `#${look.sky.top.getHexString()}`);
+            root.setProperty('--sky-bottom', `#${look.sky.bottom.getHexString()}`);
+        } catch (e) {}
+    }
+
+    /**
+     * Re-read the clock (or override) and update the scene
+     */
+    function refresh() {
+        hours = resolveHours();
+        const { from, to, t } = keyframesAround(hours);
+        apply(mixLooks(PHASE_LOOKS[from.phase], PHASE_LOOKS[to.phase], t));
+        const nextPhase = t < 0.5 ? from.phase : to.phase;
+        if (nextPhase !== phase) {
+            phase = nextPhase;
+            emit('timeofday:changed', { phase, hours });
+        }
+    }
+
+    function setOverride(value) {
+        if (value === null || value === undefined || value === 'clock') {
+            currentOverride = null;
+        } else if (typeof value === 'number' && Number.isFinite(value)) {
+            currentOverride = ((value % 24) + 24) % 24;
+        } else if (typeof value === 'string' && PHASE_HOURS[value] !== undefined) {
+            currentOverride = value;
+        } else {
+            console.warn('[timeOfDay] unknown override', value);
+            return;
+        }
+        refresh();
+    }
+
+    setOverride(override);
+    const timer = setInterval(refresh, REFRESH_MS);
+
+    return {
+        /**
+         * @returns {string} 'dusk', 'night' or 'predawn'
+         */
+        getPhase() {
+            return phase;
+        },
+        getHours() {
+            return hours;
+        },
+        /**
+         * Pin the time for testing
+         * @param {string|number|null} value - A phase name, an hour (0-24), or null / 'clock' for the local clock
+         */
+        setOverride,
+        refresh,
+        dispose() {
+            clearInterval(timer);
+        }
+    };
+}
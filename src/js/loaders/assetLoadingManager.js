@@ -0,0 +1,71 @@
+import * as THREE from "three";
+
+/**
+ * One THREE.LoadingManager shared by every boot-time asset (GLTF, textures)
+ * so the loading screen can report real progress and name whatever failed.
+ * Failed assets register a retry callback; retryFailedAssets() re-requests them.
+ */
+
+const loadingManager = new THREE.LoadingManager();
+const retryHandlers = new Map(); // url -> () => void
+
+/**
+ * Get the shared loading manager
+ * @returns {THREE.LoadingManager}
+ */
+export function getLoadingManager() {
+    return loadingManager;
+}
+
+/**
+ * Remember how to re-request a failed asset
+ * @param {string} url - Asset URL as reported to the loading manager
+ * @param {Function} retryFn - Starts a fresh load of the asset
+ */
+export function registerRetry(url, retryFn) {
+    if (typeof retryFn === 'function') retryHandlers.set(url, retryFn);
+}
+
+/**
+ * Re-request every asset that has failed since the last retry
+ * @returns {Array<string>} URLs that were retried
+ */
+export function retryFailedAssets() {
+    const pending = Array.from(retryHandlers.entries());
+    retryHandlers.clear();
+    pending.forEach(([url, retryFn]) => {
+        try {
+            retryFn();
+        } catch (err) {
+            console.warn('[assetLoadingManager] retry failed to start for', url, err);
+        }
+    });
+    return pending.map(([url]) => url);
+}
+
+/**
+ * Load a texture through the shared manager. On failure a retry is registered that fills
+ * the same texture object, so anything already holding the reference picks up the image.
+ * @param {string} url - Texture URL
+ * @param {Function} onLoad - Optional callback receiving the texture once the image is in
+ * @returns {THREE.Texture} Texture (image arrives asynchronously)
+ */
+export function loadTexture(url, onLoad) {
+    const loader = new THREE.TextureLoader(loadingManager);
+
+    const onError = (err) => {
+        console.warn('[assetLoadingManager] texture failed to load', url, err);
+        registerRetry(url, () => {
+            loader.load(url, (loaded) => {
+                texture.image = loaded.image;
+                texture.needsUpdate = true;
+                if (onLoad) onLoad(texture);
+            }, undefined, onError);
+        });
+    };
+
+    const texture = loader.load(url, (loaded) => {
+        if (onLoad) onLoad(loaded);
+    }, undefined, onError);
+    return texture;
+}
@@ -1,23 +1,38 @@
 import { GLTFLoader } from "jsm/loaders/GLTFLoader.js";
 import * as THREE from "three";
+import { getLoadingManager, registerRetry } from "./assetLoadingManager.js";
+import { patchPsxMaterials } from "../materials/psxMaterials.js";
+import { emit } from "../utils/eventBus.js";
 
 /**
  * Load GLTF models and add them to the scene
  * @param {THREE.Scene} scene - The scene to add models to
  * @param {Array} allMeshes - Array to collect meshes for raycasting
- * @returns {Object} Object containing model references and loader
+ * @param {Object} options
+ * @param {boolean} options.psxMaterials - Patch the environment's materials with vertex snapping
+ *   and affine texture warping (see psxMaterials.js)
+ * @param {string[]} options.psxExcludedObjects - Object names the PSX patch leaves alone
+ * @returns {Object} Object containing model references and a `ready` promise that resolves
+ *   with the same object once the environment is in the scene. A failed load dispatches
+ *   `models:error` and registers a retry with the shared loading manager; `ready` stays
+ *   pending until a retry succeeds. `models:ready` is dispatched alongside the resolve.
  */
-export function setupModelLoader(scene, allMeshes) {
-    const gltfLoader = new GLTFLoader();
+export function setupModelLoader(scene, allMeshes, { psxMaterials = false, psxExcludedObjects = [] } = {}) {
+    const gltfLoader = new GLTFLoader(getLoadingManager());
     const models = {
         furniture: null,
         environment: null,
         lanternLight: null
     };
 
+    let resolveReady;
+    models.ready = new Promise((resolve) => {
+        resolveReady = resolve;
+    });
 
     // Load environment model
-    gltfLoader.load('src/models/env/whole_scene.gltf', (gltfScene) => {
+    const ENVIRONMENT_URL = 'src/models/env/whole_scene.gltf';
+    const loadEnvironment = () => gltfLoader.load(ENVIRONMENT_URL, (gltfScene) => {
         models.environment = gltfScene.scene;
         models.environment.position.set(0, 0, 0);
         scene.add(models.environment);
@@ -107,7 +122,26 @@ export function setupModelLoader(scene, allMeshes) {
                 }
             }
         });
+
+        if (psxMaterials) {
+            try { patchPsxMaterials(models.environment, { excludedObjects: psxExcludedObjects }); } catch (e) { console.warn('[modelLoader] PSX material patch failed', e); }
+        }
+
+        // Make sure world matrices are current before dependents start raycasting/measuring
+        try { models.environment.updateMatrixWorld(true); } catch (e) {}
+        resolveReady(models);
+        emit('models:ready', { models });
+    }, undefined, (err) => {
+        const error = new Error(`Failed to load ${ENVIRONMENT_URL}${err && err.message ? `: ${err.message}` : ''}`);
+        error.url = ENVIRONMENT_URL;
+        error.cause = err;
+        console.error('[modelLoader]', error.message, err);
+        // The loading screen lists the failed URL and offers a retry that lands back here
+        registerRetry(ENVIRONMENT_URL, loadEnvironment);
+        emit('models:error', { error, url: ENVIRONMENT_URL });
     });
 
+    loadEnvironment();
+
     return models;
 }
@@ -0,0 +1,134 @@
+import * as THREE from "three";
+
+/**
+ * PSX geometry look for loaded materials: clip-space vertex snapping (the PS1 had no
+ * sub-pixel precision, so vertices jump between grid cells as the camera moves) and affine
+ * texture mapping (UVs interpolated in screen space, without perspective correction).
+ * The patch is installed through onBeforeCompile; strength lives in shared uniforms, so
+ * changing it later doesn't recompile anything.
+ */
+
+// Snap grid height in rows at the weakest and strongest setting; columns follow the camera aspect
+const SNAP_ROWS_SOFT = 480.0;
+const SNAP_ROWS_HARD = 90.0;
+
+const sharedUniforms = {
+    psxSnap: { value: 0 },
+    psxAffine: { value: 0 }
+};
+
+const vertexPars = `
+uniform float psxSnap;
+#ifdef USE_MAP
+varying vec3 vPsxAffineUv;
+#endif
+`;
+
+const vertexSnap = `
+if (psxSnap > 0.0 && gl_Position.w > 0.0) {
+    float psxRows = mix(${SNAP_ROWS_SOFT.toFixed(1)}, ${SNAP_ROWS_HARD.toFixed(1)}, psxSnap);
+    // projectionMatrix[1][1] / projectionMatrix[0][0] is the aspect ratio of a perspective camera
+    vec2 psxGrid = vec2(psxRows * projectionMatrix[1][1] / projectionMatrix[0][0], psxRows) * 0.5;
+    vec2 psxNdc = gl_Position.xy / gl_Position.w;
+    gl_Position.xy = floor(psxNdc * psxGrid + 0.5) / psxGrid * gl_Position.w;
+}
+#ifdef USE_MAP
+// Pre-multiplied by w so the fragment shader can undo the perspective divide
+vPsxAffineUv = vec3(vMapUv * gl_Position.w, gl_Position.w);
+#endif
+`;
+
+const fragmentPars = `
+uniform float psxAffine;
+#ifdef USE_MAP
+varying vec3 vPsxAffineUv;
+#endif
+`;
+
+// map_fragment with the colour map sampled at the (partly) affine UV
+const mapFragment = `
+#ifdef USE_MAP
+vec2 psxMapUv = mix(vMapUv, vPsxAffineUv.xy / vPsxAffineUv.z, psxAffine);
+#endif
+${THREE.ShaderChunk.map_fragment.replace(/vMapUv/g, 'psxMapUv')}
+`;
+
+/**
+ * onBeforeCompile hook; chains whatever hook the material already had
+ * @param {THREE.Material} material - Material being patched
+ */
+function createCompileHook(material) {
+    const previous = material.onBeforeCompile;
+    return function (shader, renderer) {
+        if (typeof previous === 'function') previous.call(this, shader, renderer);
+        // Only the built-in materials have the chunks we hook into
+        if (!shader.vertexShader.includes('#include <project_vertex>') || !shader.fragmentShader.includes('#include <map_fragment>')) return;
+        Object.assign(shader.uniforms, sharedUniforms);
+        shader.vertexShader = vertexPars + shader.vertexShader.replace('#include <project_vertex>', `#include <project_vertex>\n${vertexSnap}`);
+        shader.fragmentShader = fragmentPars + shader.fragmentShader.replace('#include <map_fragment>', mapFragment);
+    };
+}
+
+function isExcluded(object, excludedObjects) {
+    for (let node = object; node; node = node.parent) {
+        if (excludedObjects.includes(node.name)) return true;
+        if (node.userData && node.userData.psxExclude) return true;
+    }
+    return false;
+}
+
+function forEachMaterial(mesh, fn) {
+    if (Array.isArray(mesh.material)) mesh.material.forEach(fn);
+    else if (mesh.material) fn(mesh.material);
+}
+
+/**
+ * Install the PSX patch on every material under root. Safe to call more than once;
+ * materials shared with an excluded object are left alone.
+ * @param {THREE.Object3D} root - Loaded model
+ * @param {Object} options
+ * @param {string[]} options.excludedObjects - Objects that keep their stable, perspective-correct
+ *   look (exact names, with their children; `psx.excludedObjects` in the scene manifest).
+ *   Anything with `userData.psxExclude` in the GLTF extras is skipped too.
+ * @returns {number} Number of materials newly patched
+ */
+export function patchPsxMaterials(root, { excludedObjects = [] } = {}) {
+    if (!root) return 0;
+    const excluded = new Set();
+    const candidates = new Set();
+    root.traverse((child) => {
+        if (!child.isMesh) return;
+        const target = isExcluded(child, excludedObjects) ? excluded : candidates;
+        forEachMaterial(child, mat => target.add(mat));
+    });
+
+    let patched = 0;
+    candidates.forEach((material) => {
+        if (excluded.has(material) || material.isShaderMaterial) return;
+        if (material.userData && material.userData.psxPatched) return;
+        try {
+            material.onBeforeCompile = createCompileHook(material);
+            // Keep patched programs apart from unpatched ones with the same parameters
+            const baseKey = material.customProgramCacheKey.bind(material);
+            material.customProgramCacheKey = () => `psx:${baseKey()}`;
+            material.userData = material.userData || {};
+            material.userData.psxPatched = true;
+            material.needsUpdate = true;
+            patched += 1;
+        } catch (e) {
+            console.warn('[psxMaterials] failed to patch', material.name, e);
+        }
+    });
+    return patched;
+}
+
+/**
+ * Set the strength of the effect on every patched material
+ * @param {Object} options
+ * @param {number} options.snap - Vertex snapping, 0 (off) to 1 (coarsest grid)
+ * @param {number} options.affine - Affine texture warping, 0 (perspective-correct) to 1 (fully affine)
+ */
+export function setPsxMaterialStrength({ snap, affine } = {}) {
+    if (typeof snap === 'number') sharedUniforms.psxSnap.value = THREE.MathUtils.clamp(snap, 0, 1);
+    if (typeof affine === 'number') sharedUniforms.psxAffine.value = THREE.MathUtils.clamp(affine, 0, 1);
+}
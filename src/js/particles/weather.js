@@ -0,0 +1,414 @@
+import * as THREE from "three";
+import { emit } from "../utils/eventBus.js";
+
+/**
+ * GPU weather. One THREE.Points cloud whose particles are animated entirely in the vertex
+ * shader: the CPU only advances a few uniforms per frame (fall distance, wind drift, blend
+ * between snow and rain), so particle count no longer costs JS time.
+ * Weather follows the navigation zone the camera is in (the `weather` entry of each
+ * scene-manifest node); zones without one cycle between states at random intervals.
+ * Indoor volumes are taken from the loaded geometry's bounds and culled in the shader,
+ * together with a fixed box around the house. Changes dispatch `weather:changed` ({ state, zone, reason }).
+ */
+
+/**
+ * Weather states. `density` is the fraction of particles shown, `rain` blends snow (0)
+ * into rain (1), `wind` is horizontal drift in units per second on [x, z].
+ */
+export const WEATHER_STATES = {
+    snow: { density: 1, rain: 0, wind: [0.15, 0.05] },
+    rain: { density: 1, rain: 1, wind: [0.5, 0.15] },
+    still: { density: 0, rain: 0, wind: [0, 0] }
+};
+
+// Volume the particles wrap around in (the walkable forest plus some margin)
+const AREA_MIN = new THREE.Vector3(-16, -5, -10);
+const AREA_SIZE = new THREE.Vector3(32, 17, 60);
+const AREA_BOX = new THREE.Box3(AREA_MIN, AREA_MIN.clone().add(AREA_SIZE));
+// Fall speeds in units per second; the old CPU snow fell 0.005 per frame
+const SNOW_SPEED = 0.3;
+const RAIN_SPEED = 7.0;
+const SNOW_SIZE = 0.01;
+const RAIN_SIZE_SCALE = 6.0;
+const TRANSITION_SECONDS = 8;
+const ZONE_CHECK_MS = 500;
+const MAX_EXCLUSIONS = 4;
+// Margin added around indoor bounds so particles don't poke through walls
+const EXCLUSION_PADDING = 0.25;
+// The old hardcoded house box (walls, porch and the air under the roof). Only used until the
+// model has been measured, or when none of the manifest's objects matched
+const FALLBACK_EXCLUSIONS = [new THREE.Box3(new THREE.Vector3(-3, -100, -3), new THREE.Vector3(6, 100, 4))];
+// Longer frames (tab switches, breakpoints) are clamped so particles don't jump
+const MAX_STEP_SECONDS = 0.1;
+
+const vertexShader = `
+    uniform float uTime;
+    uniform float uFall;
+    uniform vec2 uDrift;
+    uniform float uDensity;
+    uniform float uRain;
+    uniform vec3 uAreaMin;
+    uniform vec3 uAreaSize;
+    uniform float uSize;
+    uniform float uScale;
+    uniform vec3 uExcludeMin[MAX_EXCLUSIONS];
+    uniform vec3 uExcludeMax[MAX_EXCLUSIONS];
+    uniform int uExcludeCount;
+    attribute float aRandom;
+    varying float vAlpha;
+    #include <fog_pars_vertex>
+
+    void main() {
+        // position holds 0-1 seeds; everything else is derived from the shared uniforms
+        vec3 p;
+        float fallen = position.y * uAreaSize.y + uFall * (0.7 + 0.6 * aRandom);
+        p.y = uAreaMin.y + uAreaSize.y - mod(fallen, uAreaSize.y);
+        // Snow sways as it falls; rain drops straight down the wind
+        float sway = (1.0 - uRain) * 0.3 * sin(uTime * (0.5 + aRandom) + aRandom * 6.2831);
+        p.xz = uAreaMin.xz + mod(position.xz * uAreaSize.xz + uDrift + vec2(sway, sway * 0.5), uAreaSize.xz);
+
+        bool hidden = aRandom > uDensity;
+        for (int i = 0; i < MAX_EXCLUSIONS; i++) {
+            if (i >= uExcludeCount) break;
+            if (all(greaterThan(p, uExcludeMin[i])) && all(lessThan(p, uExcludeMax[i]))) hidden = true;
+        }
+
+        vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+        gl_Position = hidden ? vec4(2.0, 2.0, 2.0, 1.0) : projectionMatrix * mvPosition;
+        float size = uSize * mix(1.0, ${RAIN_SIZE_SCALE.toFixed(1)}, uRain);
+        gl_PointSize = hidden ? 0.0 : max(1.0, size * uScale / -mvPosition.z);
+        vAlpha = mix(0.9, 0.45, uRain);
+        #include <fog_vertex>
+    }
+`;
+
+const fragmentShader = `
+    uniform vec3 uColor;
+    uniform vec3 uRainColor;
+    uniform float uRain;
+    varying float vAlpha;
+    #include <fog_pars_fragment>
+
+    void main() {
+        // Rain is a thin vertical streak inside the point sprite
+        float streak = step(abs(gl_PointCoord.x - 0.5), 0.08);
+        float alpha = vAlpha * mix(1.0, streak, uRain);
+        if (alpha < 0.01) discard;
+        gl_FragColor = vec4(mix(uColor, uRainColor, uRain), alpha);
+        #include <fog_fragment>
+    }
+`;
+
+/**
+ * Bounds of the indoor objects, padded, for culling particles. Only the outermost object
+ * matching each name is measured (not every wall and chair underneath it). Bounds that lie
+ * entirely outside the particle volume are dropped, since no particle can reach them.
+ * @param {THREE.Object3D} root - Loaded environment
+ * @param {Array<string>} names - Case-insensitive substrings of object names (e.g. 'building_003')
+ * @returns {Array<THREE.Box3>} Bounding boxes; empty when nothing matched
+ */
+export function computeExclusionVolumes(root, names = []) {
+    const patterns = names.map(n => String(n).toLowerCase()).filter(Boolean);
+    const boxes = [];
+    if (!root || patterns.length === 0) return boxes;
+    root.updateMatrixWorld(true);
+    const matched = new Set();
+    const outside = [];
+
+    function visit(object) {
+        const name = (object.name || '').toLowerCase();
+        const hits = name ? patterns.filter(p => name.includes(p)) : [];
+        if (hits.length > 0) {
+            hits.forEach(p => matched.add(p));
+            const box = new THREE.Box3().setFromObject(object);
+            if (box.isEmpty()) return;
+            box.expandByScalar(EXCLUSION_PADDING);
+            if (box.intersectsBox(AREA_BOX)) boxes.push(box);
+            else outside.push(`${object.name} (y ${box.min.y.toFixed(1)} to ${box.max.y.toFixed(1)})`);
+            return; // children are inside these bounds already
+        }
+        object.children.forEach(visit);
+    }
+    visit(root);
+
+    if (outside.length > 0) {
+        console.info(`[weather] outside the particle volume (y ${AREA_BOX.min.y} to ${AREA_BOX.max.y}), not culled: ${outside.join(', ')}`);
+    }
+
+    // A typo or a renamed object would otherwise silently leave that volume uncovered
+    patterns.filter(p => !matched.has(p)).forEach((p) => {
+        console.warn(`[weather] no object name contains "${p}"; check weather.exclusionObjects in the scene manifest`);
+    });
+
+    if (boxes.length > MAX_EXCLUSIONS) {
+        console.warn(`[weather] ${boxes.length} indoor volumes found, only the largest ${MAX_EXCLUSIONS} are used`);
+        const volume = (b) => {
+            const s = b.getSize(new THREE.Vector3());
+            return s.x * s.y * s.z;
+        };
+        boxes.sort((a, b) => volume(b) - volume(a));
+        boxes.length = MAX_EXCLUSIONS;
+    }
+    return boxes;
+}
+
+function createGeometry(count) {
+    const geometry = new THREE.BufferGeometry();
+    const seeds = new Float32Array(count * 3);
+    const randoms = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+        seeds[i * 3] = Math.random();
+        seeds[i * 3 + 1] = Math.random();
+        seeds[i * 3 + 2] = Math.random();
+        randoms[i] = Math.random();
+    }
+    geometry.setAttribute('position', new THREE.BufferAttribute(seeds, 3));
+    geometry.setAttribute('aRandom', new THREE.BufferAttribute(randoms, 1));
+    return geometry;
+}
+
+function blend(from, to, k) {
+    return {
+        density: THREE.MathUtils.lerp(from.density, to.density, k),
+        rain: THREE.MathUtils.lerp(from.rain, to.rain, k),
+        wind: [THREE.MathUtils.lerp(from.wind[0], to.wind[0], k), THREE.MathUtils.lerp(from.wind[1], to.wind[1], k)]
+    };
+}
+
+/**
+ * Setup the weather system
+ * @param {THREE.Scene} scene - The scene to add the particles to
+ * @param {Object} options
+ * @param {number} options.count - Number of particles
+ * @param {THREE.Camera} options.camera - Camera used to work out the current zone
+ * @param {Array} options.zones - [{ id, position, weather }] from the scene manifest; weather is
+ *   { state, density, wind } or null for random
+ * @param {Array<number>} options.randomInterval - [min, max] seconds between random changes
+ * @param {string} options.mode - 'auto' (zones, random where unset), 'random', or a state name to hold
+ * @returns {Object} Weather manager with update, setMode, setParticleCount, setExclusionVolumes,
+ *   getState and dispose
+ */
+export function setupWeather(scene, { count = 2000, camera = null, zones = [], randomInterval = [40, 90], mode = 'auto' } = {}) {
+    const material = new THREE.ShaderMaterial({
+        uniforms: THREE.UniformsUtils.merge([
+            THREE.UniformsLib.fog,
+            {
+                uTime: { value: 0 },
+                uFall: { value: 0 },
+                uDrift: { value: new THREE.Vector2() },
+                uDensity: { value: 0 },
+                uRain: { value: 0 },
+                uAreaMin: { value: AREA_MIN.clone() },
+                uAreaSize: { value: AREA_SIZE.clone() },
+                uSize: { value: SNOW_SIZE },
+                uScale: { value: window.innerHeight / 2 },
+                uExcludeMin: { value: Array.from({ length: MAX_EXCLUSIONS }, () => new THREE.Vector3()) },
+                uExcludeMax: { value: Array.from({ length: MAX_EXCLUSIONS }, () => new THREE.Vector3()) },
+                uExcludeCount: { value: 0 },
+                uColor: { value: new THREE.Color(0xffffff) },
+                uRainColor: { value: new THREE.Color(0xaabbcc) }
+            }
+        ]),
+        defines: { MAX_EXCLUSIONS },
+        vertexShader,
+        fragmentShader,
+        transparent: true,
+        depthWrite: false,
+        fog: true
+    });
+    const uniforms = material.uniforms;
+
+    let particleCount = Math.max(0, Math.round(count));
+    const points = new THREE.Points(createGeometry(particleCount), material);
+    // Particles are placed in the shader, so the geometry's own bounds mean nothing
+    points.frustumCulled = false;
+    scene.add(points);
+
+    let currentMode = mode;
+    let zone = null;
+    let stateName = null;
+    let from = blend(WEATHER_STATES.snow, WEATHER_STATES.snow, 0);
+    let to = from;
+    let current = from;
+    let transitionStart = 0;
+    let transitionSeconds = 0;
+    let simTime = 0;
+    let lastNow = null;
+    let lastZoneCheck = -Infinity;
+    let nextRandomAt = null;
+
+    function targetFor(name, overrides = {}) {
+        const base = WEATHER_STATES[name] || WEATHER_STATES.snow;
+        return {
+            density: base.density * (typeof overrides.density === 'number' ? overrides.density : 1),
+            rain: base.rain,
+            wind: Array.isArray(overrides.wind) ? overrides.wind.slice(0, 2) : base.wind.slice()
+        };
+    }
+
+    function transitionTo(name, overrides, reason, seconds = TRANSITION_SECONDS) {
+        from = current;
+        to = targetFor(name, overrides);
+        transitionStart = simTime;
+        transitionSeconds = seconds;
+        const changed = name !== stateName;
+        stateName = name;
+        if (changed) {
+            emit('weather:changed', { state: name, zone, reason });
+        }
+    }
+
+    function pickRandom() {
+        const options = Object.keys(WEATHER_STATES).filter(name => name !== stateName);
+        transitionTo(options[Math.floor(Math.random() * options.length)], {}, 'random');
+    }
+
+    function scheduleRandom() {
+        const [min, max] = randomInterval;
+        nextRandomAt = simTime + min + Math.random() * Math.max(0, max - min);
+    }
+
+    function zoneWeather(id) {
+        const entry = zones.find(z => z.id === id);
+        return entry && entry.weather ? entry.weather : null;
+    }
+
+    // Work out what the weather should be heading towards after a zone or mode change
+    function applyTarget(reason) {
+        if (WEATHER_STATES[currentMode]) {
+            nextRandomAt = null;
+            transitionTo(currentMode, {}, reason);
+            return;
+        }
+        const fromZone = currentMode === 'auto' ? zoneWeather(zone) : null;
+        if (fromZone) {
+            nextRandomAt = null;
+            transitionTo(fromZone.state, fromZone, reason);
+        } else if (nextRandomAt === null) {
+            pickRandom();
+            scheduleRandom();
+        }
+    }
+
+    function nearestZone() {
+        if (!camera || zones.length === 0) return null;
+        let best = null;
+        let bestDistance = Infinity;
+        zones.forEach((z) => {
+            const dx = camera.position.x - z.position[0];
+            const dy = camera.position.y - z.position[1];
+            const dz = camera.position.z - z.position[2];
+            const d = dx * dx + dy * dy + dz * dz;
+            if (d < bestDistance) {
+                bestDistance = d;
+                best = z.id;
+            }
+        });
+        return best;
+    }
+
+    // Measured volumes replace the fallback house box; an empty list brings it back
+    function setExclusionVolumes(boxes) {
+        const list = (boxes && boxes.length > 0 ? boxes : FALLBACK_EXCLUSIONS).slice(0, MAX_EXCLUSIONS);
+        list.forEach((box, i) => {
+            uniforms.uExcludeMin.value[i].copy(box.min);
+            uniforms.uExcludeMax.value[i].copy(box.max);
+        });
+        uniforms.uExcludeCount.value = list.length;
+    }
+
+    setExclusionVolumes([]);
+    zone = nearestZone();
+    applyTarget('start');
+    // Start in the target state rather than fading in from nothing
+    current = to;
+
+    return {
+        /**
+         * Advance the weather; call once per animation frame
+         * @param {number} now - Frame timestamp (ms)
+         * @param {boolean} advance - False to freeze the particles in place
+         */
+        update(now = performance.now(), advance = true) {
+            const dt = lastNow === null ? 0 : Math.min(MAX_STEP_SECONDS, Math.max(0, (now - lastNow) / 1000));
+            lastNow = now;
+            if (!advance) return;
+            simTime += dt;
+
+            if (now - lastZoneCheck >= ZONE_CHECK_MS) {
+                lastZoneCheck = now;
+                const nextZone = nearestZone();
+                if (nextZone !== zone) {
+                    zone = nextZone;
+                    applyTarget('zone');
+                }
+            }
+            if (nextRandomAt !== null && simTime >= nextRandomAt) {
+                pickRandom();
+                scheduleRandom();
+            }
+
+            const k = transitionSeconds > 0 ? Math.min(1, (simTime - transitionStart) / transitionSeconds) : 1;
+            current = blend(from, to, k * k * (3 - 2 * k));
+
+            uniforms.uTime.value = simTime;
+            uniforms.uFall.value += dt * THREE.MathUtils.lerp(SNOW_SPEED, RAIN_SPEED, current.rain);
+            uniforms.uDrift.value.x += dt * current.wind[0];
+            uniforms.uDrift.value.y += dt * current.wind[1];
+            uniforms.uDensity.value = current.density;
+            uniforms.uRain.value = current.rain;
+            uniforms.uScale.value = window.innerHeight / 2;
+            // Keep float precision: the offsets only matter modulo the area size
+            uniforms.uFall.value %= AREA_SIZE.y * 1000;
+            uniforms.uDrift.value.x %= AREA_SIZE.x;
+            uniforms.uDrift.value.y %= AREA_SIZE.z;
+            points.visible = current.density > 0.001 && particleCount > 0;
+        },
+        /**
+         * Choose how the weather is picked
+         * @param {string} mode - 'auto', 'random', or a key of WEATHER_STATES to hold
+         */
+        setMode(mode) {
+            if (mode !== 'auto' && mode !== 'random' && !WEATHER_STATES[mode]) {
+                console.warn('[weather] unknown mode', mode);
+                return;
+            }
+            currentMode = mode;
+            nextRandomAt = null;
+            applyTarget('mode');
+        },
+        /**
+         * Replace the particle buffer with a new count (quality changes)
+         * @param {number} next - Number of particles
+         */
+        setParticleCount(next) {
+            const n = Math.max(0, Math.round(next));
+            if (n === particleCount) return;
+            particleCount = n;
+            points.geometry.dispose();
+            points.geometry = createGeometry(particleCount);
+        },
+        /**
+         * Cull particles inside these volumes (see computeExclusionVolumes) as well as the
+         * fixed house box
+         * @param {Array<THREE.Box3>} boxes
+         */
+        setExclusionVolumes,
+        getState() {
+            return {
+                state: stateName,
+                zone,
+                mode: currentMode,
+                count: particleCount,
+                density: current.density,
+                rain: current.rain,
+                wind: current.wind.slice()
+            };
+        },
+        dispose() {
+            scene.remove(points);
+            points.geometry.dispose();
+            material.dispose();
+        }
+    };
+}
@@ -0,0 +1,197 @@
+/**
+ * Post-processing manager. It exists from boot, so the resize handler, settings and the
+ * animation loop can hold on to it while the composer itself is still lazy-loaded; values
+ * set before load() finishes are kept and applied once the chain is built.
+ * Passes are kept in a named, ordered list and the composer's chain is rebuilt from it
+ * whenever a pass is added or removed. Any pass with a `resolution` uniform is kept in
+ * step with the render size.
+ */
+
+/**
+ * Setup the post-processing manager
+ * @param {THREE.WebGLRenderer} renderer - The renderer
+ * @param {THREE.Scene} scene - The scene to render
+ * @param {THREE.Camera} camera - The camera to render from
+ * @param {Object} options
+ * @param {number} options.renderScale - Fraction of the window size the composer renders at
+ * @param {number} options.pixelSize - Initial pixelation block size
+ * @returns {Object} Manager with load, addPass, removePass, setEnabled, getPass, resize,
+ *   setRenderScale, setPixelSize, applyEffectSettings, render, isReady and dispose
+ */
+export function setupPostProcessingManager(renderer, scene, camera, { renderScale = 1.0, pixelSize = 2 } = {}) {
+    let composer = null;
+    let effects = null;
+    let loading = null;
+    let scale = renderScale;
+    let currentPixelSize = pixelSize;
+    const effectValues = {};
+    const entries = []; // { name, pass } in chain order
+    let width = window.innerWidth;
+    let height = window.innerHeight;
+
+    function renderSize() {
+        return { w: Math.floor(width * scale), h: Math.floor(height * scale) };
+    }
+
+    function syncResolution(pass) {
+        const uniform = pass.uniforms && pass.uniforms.resolution;
+        if (uniform && uniform.value && typeof uniform.value.set === 'function') {
+            const { w, h } = renderSize();
+            uniform.value.set(w, h);
+        }
+    }
+
+    function rebuild() {
+        if (!composer) return;
+        composer.passes.slice().forEach(pass => composer.removePass(pass));
+        entries.forEach(({ pass }) => {
+            composer.addPass(pass);
+            syncResolution(pass);
+        });
+    }
+
+    function indexOf(name) {
+        return entries.findIndex(entry => entry.name === name);
+    }
+
+    /**
+     * Add a pass to the chain
+     * @param {string} name - Unique name; adding an existing name replaces that pass
+     * @param {Object} pass - A three.js post-processing pass
+     * @param {Object} options
+     * @param {string} options.before - Insert before this pass
+     * @param {string} options.after - Insert after this pass
+     */
+    function addPass(name, pass, { before, after } = {}) {
+        const existing = indexOf(name);
+        if (existing !== -1) {
+            console.warn('[postProcessing] replacing pass', name);
+            entries.splice(existing, 1);
+        }
+        let index = entries.length;
+        if (before && indexOf(before) !== -1) index = indexOf(before);
+        else if (after && indexOf(after) !== -1) index = indexOf(after) + 1;
+        entries.splice(index, 0, { name, pass });
+        rebuild();
+    }
+
+    /**
+     * Remove a pass from the chain and dispose it
+     * @param {string} name - Pass name
+     * @returns {boolean} False if there was no such pass
+     */
+    function removePass(name) {
+        const index = indexOf(name);
+        if (index === -1) return false;
+        const [{ pass }] = entries.splice(index, 1);
+        rebuild();
+        try { if (typeof pass.dispose === 'function') pass.dispose(); } catch (e) {}
+        return true;
+    }
+
+    /**
+     * Resize the composer; call with the new window size
+     * @param {number} nextWidth - Window width in CSS pixels
+     * @param {number} nextHeight - Window height in CSS pixels
+     */
+    function resize(nextWidth = window.innerWidth, nextHeight = window.innerHeight) {
+        width = nextWidth;
+        height = nextHeight;
+        if (!composer) return;
+        const { w, h } = renderSize();
+        composer.setSize(w, h);
+        entries.forEach(({ pass }) => syncResolution(pass));
+    }
+
+    const manager = {
+        /**
+         * Import the composer and build the default chain (render pass + PSX effects).
+         * Passes added before this are kept after the defaults.
+         * @returns {Promise<Object|null>} The manager, or null if the import failed
+         */
+        load() {
+            if (loading) return loading;
+            loading = import('./postprocesses.js')
+                .then((mod) => {
+                    composer = new mod.EffectComposer(renderer);
+                    effects = mod.createPsxPasses({ pixelSize: currentPixelSize });
+                    effects.applyEffectSettings(effectValues);
+                    entries.unshift({ name: 'render', pass: new mod.RenderPass(scene, camera) }, ...effects.passes);
+                    resize(width, height);
+                    rebuild();
+                    return manager;
+                })
+                .catch((err) => {
+                    console.warn('[postProcessing] failed to load the composer', err);
+                    composer = null;
+                    effects = null;
+                    loading = null; // allow another attempt
+                    return null;
+                });
+            return loading;
+        },
+        addPass,
+        removePass,
+        /**
+         * Switch a pass on or off without removing it
+         * @param {string} name - Pass name
+         * @param {boolean} enabled
+         */
+        setEnabled(name, enabled) {
+            const index = indexOf(name);
+            if (index === -1) return;
+            entries[index].pass.enabled = !!enabled;
+        },
+        getPass(name) {
+            const index = indexOf(name);
+            return index === -1 ? null : entries[index].pass;
+        },
+        resize,
+        /**
+         * Render at a fraction of the window size (quality governor / mobile portrait)
+         * @param {number} nextScale - 0-1
+         */
+        setRenderScale(nextScale) {
+            if (!(nextScale > 0) || nextScale === scale) return;
+            scale = nextScale;
+            resize(width, height);
+        },
+        getRenderScale() {
+            return scale;
+        },
+        setPixelSize(size) {
+            currentPixelSize = size;
+            if (effects) effects.setPixelSize(size);
+        },
+        /**
+         * Tune the PSX effect passes (see createPsxPasses); remembered until the chain exists
+         * @param {Object} values - Effect settings
+         */
+        applyEffectSettings(values = {}) {
+            Object.assign(effectValues, values);
+            if (effects) effects.applyEffectSettings(values);
+        },
+        /**
+         * Render a frame through the composer, or straight to the screen until it's loaded
+         */
+        render() {
+            if (composer) composer.render();
+            else renderer.render(scene, camera);
+        },
+        isReady() {
+            return !!composer;
+        },
+        dispose() {
+            entries.splice(0).forEach(({ pass }) => {
+                try { if (typeof pass.dispose === 'function') pass.dispose(); } catch (e) {}
+            });
+            if (composer) {
+                try { composer.dispose(); } catch (e) {}
+            }
+            composer = null;
+            effects = null;
+        }
+    };
+
+    return manager;
+}
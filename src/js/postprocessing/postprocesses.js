@@ -3,57 +3,194 @@ import { EffectComposer } from "jsm/postprocessing/EffectComposer.js";
 import { RenderPass } from "jsm/postprocessing/RenderPass.js";
 import { ShaderPass } from "jsm/postprocessing/ShaderPass.js";
 
-/**
- * Set up post-processing with pixelation effect
- * @param {THREE.WebGLRenderer} renderer - The WebGL renderer
- * @param {THREE.Scene} scene - The scene to render
- * @param {THREE.Camera} camera - The camera to render from
- * @param {Object} qualitySettings - Quality settings object with pixelSize and renderScale
- * @returns {Object} Object containing composer and pixelationPass
- */
-export function setupPostProcessing(renderer, scene, camera, qualitySettings = {}) {
-    // Apply render scale for performance (mobile can render at lower res)
-    const renderScale = qualitySettings.renderScale || 1.0;
-    const renderWidth = Math.floor(window.innerWidth * renderScale);
-    const renderHeight = Math.floor(window.innerHeight * renderScale);
-    
-    const composer = new EffectComposer(renderer);
-    composer.setSize(renderWidth, renderHeight);
-    
-    const renderPass = new RenderPass(scene, camera);
-    composer.addPass(renderPass);
-
-    // Pixelation shader
-    const pixelShader = {
-        uniforms: {
-            tDiffuse: { value: null },
-            resolution: { value: new THREE.Vector2() },
-            pixelSize: { value: qualitySettings.pixelSize || 2 } // Use quality setting or default to 3
-        },
-        vertexShader: `
-            varying vec2 vUv;
-            void main() {
-                vUv = uv;
-                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-            }
-        `,
-        fragmentShader: `
-            uniform sampler2D tDiffuse;
-            uniform vec2 resolution;
-            uniform float pixelSize;
-            varying vec2 vUv;
-
-            void main() {
-                vec2 iResolution = vec2(resolution.x / pixelSize, resolution.y / pixelSize);
-                vec2 uv = floor(vUv * iResolution) / iResolution;
-                gl_FragColor = texture2D(tDiffuse, uv);
+const fullscreenVertexShader = `
+    varying vec2 vUv;
+    void main() {
+        vUv = uv;
+        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+`;
+
+// Pixelation shader
+const pixelShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        resolution: { value: new THREE.Vector2() },
+        pixelSize: { value: 2 }
+    },
+    vertexShader: fullscreenVertexShader,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform vec2 resolution;
+        uniform float pixelSize;
+        varying vec2 vUv;
+
+        void main() {
+            vec2 iResolution = vec2(resolution.x / pixelSize, resolution.y / pixelSize);
+            vec2 uv = floor(vUv * iResolution) / iResolution;
+            gl_FragColor = texture2D(tDiffuse, uv);
+        }
+    `
+};
+
+// Composite-video style colour bleed: red and blue sampled a little either side of green
+const chromaShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        resolution: { value: new THREE.Vector2() },
+        offset: { value: 1.0 } // in screen pixels
+    },
+    vertexShader: fullscreenVertexShader,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform vec2 resolution;
+        uniform float offset;
+        varying vec2 vUv;
+
+        void main() {
+            vec2 shift = vec2(offset / resolution.x, 0.0);
+            vec4 center = texture2D(tDiffuse, vUv);
+            float r = texture2D(tDiffuse, vUv + shift).r;
+            float b = texture2D(tDiffuse, vUv - shift).b;
+            gl_FragColor = vec4(r, center.g, b, center.a);
+        }
+    `
+};
+
+// 15-bit colour (5 bits per channel by default) with 4x4 ordered Bayer dithering.
+// The dither pattern is laid out on the pixelation grid so each big pixel gets one threshold.
+const ditherShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        colorLevels: { value: 32.0 },
+        pixelSize: { value: 2 }
+    },
+    vertexShader: fullscreenVertexShader,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float colorLevels;
+        uniform float pixelSize;
+        varying vec2 vUv;
+
+        // Recursive Bayer matrix without array lookups (works on GLSL ES 1.0)
+        float bayer2(vec2 a) {
+            a = floor(a);
+            return fract(dot(a, vec2(0.5, a.y * 0.75)));
+        }
+        float bayer4(vec2 a) {
+            return bayer2(0.5 * a) * 0.25 + bayer2(a);
+        }
+
+        void main() {
+            vec4 color = texture2D(tDiffuse, vUv);
+            float steps = colorLevels - 1.0;
+            float threshold = bayer4(floor(gl_FragCoord.xy / pixelSize)) - 0.5;
+            vec3 quantized = floor(color.rgb * steps + 0.5 + threshold) / steps;
+            gl_FragColor = vec4(clamp(quantized, 0.0, 1.0), color.a);
+        }
+    `
+};
+
+// CRT: barrel curvature, scanlines and an RGB aperture-grille mask
+const crtShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        resolution: { value: new THREE.Vector2() },
+        curvature: { value: 0.1 },
+        scanlineIntensity: { value: 0.3 },
+        maskIntensity: { value: 0.2 }
+    },
+    vertexShader: fullscreenVertexShader,
+    fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform vec2 resolution;
+        uniform float curvature;
+        uniform float scanlineIntensity;
+        uniform float maskIntensity;
+        varying vec2 vUv;
+
+        vec2 curve(vec2 uv) {
+            uv = uv * 2.0 - 1.0;
+            vec2 offset = abs(uv.yx) * curvature;
+            uv = uv + uv * offset * offset;
+            return uv * 0.5 + 0.5;
+        }
+
+        void main() {
+            vec2 uv = curve(vUv);
+            if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {
+                gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+                return;
             }
-        `
-    };
+            vec4 color = texture2D(tDiffuse, uv);
+
+            // One dark line every other screen row
+            float scan = 0.5 + 0.5 * sin(uv.y * resolution.y * 3.14159265);
+            color.rgb *= mix(1.0, scan, scanlineIntensity);
+
+            // Repeating R/G/B columns
+            float column = mod(floor(gl_FragCoord.x), 3.0);
+            vec3 mask = column < 1.0 ? vec3(1.0, 0.0, 0.0) : (column < 2.0 ? vec3(0.0, 1.0, 0.0) : vec3(0.0, 0.0, 1.0));
+            color.rgb *= mix(vec3(1.0), mask * 1.5 + 0.25, maskIntensity);
+
+            gl_FragColor = color;
+        }
+    `
+};
+
+// The manager creates the composer and render pass; they're re-exported so it can stay
+// free of heavy imports until this module is lazy-loaded
+export { EffectComposer, RenderPass };
 
+/**
+ * Create the PSX effect passes, in chain order: pixelation, chromatic bleed, colour
+ * quantization with dithering, CRT. Each effect is its own ShaderPass so it can be switched
+ * off without recompiling the others.
+ * @param {Object} options
+ * @param {number} options.pixelSize - Initial pixelation block size
+ * @returns {Object} `passes` ([{ name, pass }]) plus setPixelSize and applyEffectSettings helpers
+ */
+export function createPsxPasses({ pixelSize = 2 } = {}) {
     const pixelationPass = new ShaderPass(pixelShader);
-    pixelationPass.uniforms.resolution.value.set(renderWidth, renderHeight);
-    composer.addPass(pixelationPass);
+    const chromaPass = new ShaderPass(chromaShader);
+    const ditherPass = new ShaderPass(ditherShader);
+    const crtPass = new ShaderPass(crtShader);
+
+    /**
+     * Change the pixelation block size (the dither pattern follows it)
+     * @param {number} size - Block size in pixels
+     */
+    function setPixelSize(size) {
+        pixelationPass.uniforms.pixelSize.value = size;
+        ditherPass.uniforms.pixelSize.value = size;
+    }
 
-    return { composer, pixelationPass };
+    /**
+     * Enable, disable and tune the effect passes
+     * @param {Object} values - Effect settings (ditherEnabled, colorBits, chromaEnabled,
+     *   chromaOffset, crtEnabled, crtCurvature, crtScanlines, crtMask); missing keys are left as they are
+     */
+    function applyEffectSettings(values = {}) {
+        if (typeof values.ditherEnabled === 'boolean') ditherPass.enabled = values.ditherEnabled;
+        if (typeof values.colorBits === 'number') ditherPass.uniforms.colorLevels.value = Math.pow(2, Math.round(values.colorBits));
+        if (typeof values.chromaEnabled === 'boolean') chromaPass.enabled = values.chromaEnabled;
+        if (typeof values.chromaOffset === 'number') chromaPass.uniforms.offset.value = values.chromaOffset;
+        if (typeof values.crtEnabled === 'boolean') crtPass.enabled = values.crtEnabled;
+        if (typeof values.crtCurvature === 'number') crtPass.uniforms.curvature.value = values.crtCurvature;
+        if (typeof values.crtScanlines === 'number') crtPass.uniforms.scanlineIntensity.value = values.crtScanlines;
+        if (typeof values.crtMask === 'number') crtPass.uniforms.maskIntensity.value = values.crtMask;
+    }
+
+    setPixelSize(pixelSize);
+
+    return {
+        passes: [
+            { name: 'pixelation', pass: pixelationPass },
+            { name: 'chroma', pass: chromaPass },
+            { name: 'dither', pass: ditherPass },
+            { name: 'crt', pass: crtPass }
+        ],
+        setPixelSize,
+        applyEffectSettings
+    };
 }
@@ -0,0 +1,261 @@
+/**
+ * Scene manifest: a single JSON description of navigation nodes, Boisvert spawns
+ * and interactive objects. Everything index-aligned (orb positions, spawn positions,
+ * spawn rotations) is derived from the same node list so the arrays can't drift.
+ */
+
+export const SCENE_MANIFEST_URL = 'src/data/scene-manifest.json';
+const SUPPORTED_VERSION = 1;
+// Keys of WEATHER_STATES in particles/weather.js (not imported so the weather module stays lazy)
+const WEATHER_STATE_NAMES = ['snow', 'rain', 'still'];
+// Ambient beds registered in index.js (see audio/proceduralSounds.js)
+const AMBIENCE_NAMES = ['forest', 'cabin', 'backrooms'];
+
+/**
+ * Error thrown when the manifest can't be fetched or fails validation.
+ * `errors` lists every problem found, not just the first one.
+ */
+export class SceneManifestError extends Error {
+    constructor(errors, source = 'scene manifest') {
+        const list = Array.isArray(errors) ? errors : [String(errors)];
+        super(`Invalid ${source}:\n  - ${list.join('\n  - ')}`);
+        this.name = 'SceneManifestError';
+        this.errors = list;
+    }
+}
+
+function isVec3(v) {
+    return Array.isArray(v) && v.length === 3 && v.every(n => typeof n === 'number' && Number.isFinite(n));
+}
+
+function isPlainObject(v) {
+    return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+function checkOptionalNumber(errors, obj, key, where) {
+    if (obj[key] !== undefined && (typeof obj[key] !== 'number' || !Number.isFinite(obj[key]))) {
+        errors.push(`${where}.${key} must be a number`);
+    }
+}
+
+function checkWeather(errors, weather, where) {
+    if (!isPlainObject(weather)) {
+        errors.push(`${where} must be an object with a state`);
+        return;
+    }
+    if (!WEATHER_STATE_NAMES.includes(weather.state)) errors.push(`${where}.state must be one of ${WEATHER_STATE_NAMES.join(', ')}`);
+    if (weather.density !== undefined && (typeof weather.density !== 'number' || weather.density < 0 || weather.density > 1)) {
+        errors.push(`${where}.density must be a number from 0 to 1`);
+    }
+    if (weather.wind !== undefined && !(Array.isArray(weather.wind) && weather.wind.length === 2 && weather.wind.every(n => typeof n === 'number' && Number.isFinite(n)))) {
+        errors.push(`${where}.wind must be [x, z]`);
+    }
+}
+
+function checkNodeRefs(errors, refs, nodeIds, where) {
+    if (!Array.isArray(refs) || refs.length === 0) {
+        errors.push(`${where} must be a non-empty array of node ids`);
+        return;
+    }
+    refs.forEach((ref, i) => {
+        if (!nodeIds.has(ref)) errors.push(`${where}[${i}] references unknown node "${ref}"`);
+    });
+}
+
+/**
+ * Validate a parsed manifest object
+ * @param {Object} manifest - Parsed manifest JSON
+ * @returns {Array<string>} List of validation errors (empty when valid)
+ */
+export function validateSceneManifest(manifest) {
+    const errors = [];
+    if (!isPlainObject(manifest)) {
+        return ['manifest must be a JSON object'];
+    }
+    if (manifest.version !== SUPPORTED_VERSION) {
+        errors.push(`version must be ${SUPPORTED_VERSION} (got ${JSON.stringify(manifest.version)})`);
+    }
+
+    const nodeIds = new Set();
+    if (!Array.isArray(manifest.nodes) || manifest.nodes.length === 0) {
+        errors.push('nodes must be a non-empty array');
+    } else {
+        let seenDlc = false;
+        manifest.nodes.forEach((node, i) => {
+            const where = `nodes[${i}]`;
+            if (!isPlainObject(node)) {
+                errors.push(`${where} must be an object`);
+                return;
+            }
+            if (typeof node.id !== 'string' || !node.id) {
+                errors.push(`${where}.id must be a non-empty string`);
+            } else if (nodeIds.has(node.id)) {
+                errors.push(`${where}.id "${node.id}" is duplicated`);
+            } else {
+                nodeIds.add(node.id);
+            }
+            if (!isVec3(node.position)) errors.push(`${where}.position must be [x, y, z]`);
+            if (node.dlc !== undefined && typeof node.dlc !== 'boolean') errors.push(`${where}.dlc must be a boolean`);
+
+            // Orb navigation treats everything after the base nodes as DLC, so base nodes must come first
+            if (node.dlc) seenDlc = true;
+            else if (seenDlc) errors.push(`${where} is a base node listed after a DLC node; base nodes must come first`);
+
+            if (!isPlainObject(node.boisvert)) {
+                errors.push(`${where}.boisvert must be an object with spawn and rotationZ`);
+            } else {
+                if (!isVec3(node.boisvert.spawn)) errors.push(`${where}.boisvert.spawn must be [x, y, z]`);
+                if (typeof node.boisvert.rotationZ !== 'number' || !Number.isFinite(node.boisvert.rotationZ)) {
+                    errors.push(`${where}.boisvert.rotationZ must be a number (radians)`);
+                }
+            }
+            // Optional: nodes without weather cycle through states at random
+            if (node.weather !== undefined) checkWeather(errors, node.weather, `${where}.weather`);
+            // Optional: nodes without ambience are silent apart from positional sounds
+            if (node.ambience !== undefined && !AMBIENCE_NAMES.includes(node.ambience)) {
+                errors.push(`${where}.ambience must be one of ${AMBIENCE_NAMES.join(', ')}`);
+            }
+        });
+        if (!manifest.nodes.some(n => n && !n.dlc)) errors.push('nodes must contain at least one non-DLC node');
+    }
+
+    if (manifest.weather !== undefined) {
+        if (!isPlainObject(manifest.weather)) {
+            errors.push('weather must be an object');
+        } else {
+            const { exclusionObjects, randomInterval } = manifest.weather;
+            if (exclusionObjects !== undefined && !(Array.isArray(exclusionObjects) && exclusionObjects.every(n => typeof n === 'string' && n))) {
+                errors.push('weather.exclusionObjects must be an array of object names');
+            }
+            if (randomInterval !== undefined && !(Array.isArray(randomInterval) && randomInterval.length === 2
+                && randomInterval.every(n => typeof n === 'number' && n > 0) && randomInterval[0] <= randomInterval[1])) {
+                errors.push('weather.randomInterval must be [min, max] seconds');
+            }
+        }
+    }
+
+    if (manifest.psx !== undefined) {
+        if (!isPlainObject(manifest.psx)) {
+            errors.push('psx must be an object');
+        } else if (manifest.psx.excludedObjects !== undefined
+            && !(Array.isArray(manifest.psx.excludedObjects) && manifest.psx.excludedObjects.every(n => typeof n === 'string' && n))) {
+            errors.push('psx.excludedObjects must be an array of object names');
+        }
+    }
+
+    if (!isPlainObject(manifest.interactive)) {
+        errors.push('interactive must be an object with allowedNodes and objects');
+    } else {
+        checkNodeRefs(errors, manifest.interactive.allowedNodes, nodeIds, 'interactive.allowedNodes');
+        if (!Array.isArray(manifest.interactive.objects)) {
+            errors.push('interactive.objects must be an array');
+        } else {
+            manifest.interactive.objects.forEach((obj, i) => {
+                const where = `interactive.objects[${i}]`;
+                if (!isPlainObject(obj)) { errors.push(`${where} must be an object`); return; }
+                if (typeof obj.objectName !== 'string' || !obj.objectName) errors.push(`${where}.objectName must be a non-empty string`);
+                if (!isVec3(obj.targetPosition)) errors.push(`${where}.targetPosition must be [x, y, z]`);
+                if (obj.targetRotation !== undefined && !isVec3(obj.targetRotation)) errors.push(`${where}.targetRotation must be [x, y, z]`);
+                if (obj.popup !== undefined && (typeof obj.popup !== 'string' || !obj.popup)) errors.push(`${where}.popup must be a popup element id`);
+                ['zOffset', 'rotationSpeed', 'jitterAmount', 'moveDuration', 'clickCooldown'].forEach(k => checkOptionalNumber(errors, obj, k, where));
+            });
+        }
+    }
+
+    if (!isPlainObject(manifest.cameraInteractive)) {
+        errors.push('cameraInteractive must be an object with indicatorNodes and objects');
+    } else {
+        checkNodeRefs(errors, manifest.cameraInteractive.indicatorNodes, nodeIds, 'cameraInteractive.indicatorNodes');
+        if (!Array.isArray(manifest.cameraInteractive.objects)) {
+            errors.push('cameraInteractive.objects must be an array');
+        } else {
+            manifest.cameraInteractive.objects.forEach((obj, i) => {
+                const where = `cameraInteractive.objects[${i}]`;
+                if (!isPlainObject(obj)) { errors.push(`${where} must be an object`); return; }
+                if (typeof obj.objectName !== 'string' || !obj.objectName) errors.push(`${where}.objectName must be a non-empty string`);
+                if (!isVec3(obj.cameraPosition)) errors.push(`${where}.cameraPosition must be [x, y, z]`);
+                checkOptionalNumber(errors, obj, 'moveDuration', where);
+            });
+        }
+    }
+
+    // Optional: without a playlist the TV stays blank
+    if (manifest.tv !== undefined) {
+        if (!isPlainObject(manifest.tv) || !Array.isArray(manifest.tv.playlist)) {
+            errors.push('tv must be an object with a playlist array');
+        } else {
+            const seenVideos = new Set();
+            manifest.tv.playlist.forEach((video, i) => {
+                const where = `tv.playlist[${i}]`;
+                if (!isPlainObject(video)) { errors.push(`${where} must be an object`); return; }
+                if (typeof video.id !== 'string' || !video.id) errors.push(`${where}.id must be a non-empty string`);
+                else if (seenVideos.has(video.id)) errors.push(`${where}.id "${video.id}" is used twice`);
+                else seenVideos.add(video.id);
+                if (typeof video.title !== 'string' || !video.title) errors.push(`${where}.title must be a non-empty string`);
+                if (typeof video.src !== 'string' || !video.src) errors.push(`${where}.src must be a video path`);
+                if (video.captions !== undefined && (typeof video.captions !== 'string' || !video.captions)) {
+                    errors.push(`${where}.captions must be a WebVTT path`);
+                }
+                if (video.poster !== undefined && (typeof video.poster !== 'string' || !video.poster)) {
+                    errors.push(`${where}.poster must be an image path`);
+                }
+            });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Derive the runtime arrays used by index.js and the setup* modules from a valid manifest
+ * @param {Object} manifest - A manifest that passed validateSceneManifest
+ * @returns {Object} Resolved scene data
+ */
+export function resolveSceneManifest(manifest) {
+    const baseNodes = manifest.nodes.filter(n => !n.dlc);
+    const dlcNodes = manifest.nodes.filter(n => n.dlc);
+    // Base nodes come first (enforced by validation) so this order matches orb indices
+    const orderedNodes = baseNodes.concat(dlcNodes);
+    const nodeById = new Map(orderedNodes.map(n => [n.id, n]));
+    const positionsFor = (ids) => ids.map(id => nodeById.get(id).position.slice());
+
+    return {
+        nodes: orderedNodes,
+        nodeIds: orderedNodes.map(n => n.id),
+        navigationPositions: baseNodes.map(n => n.position.slice()),
+        additionalNavigationPositions: dlcNodes.map(n => n.position.slice()),
+        orbNavigationPositions: orderedNodes.map(n => n.position.slice()),
+        boisvertSpawnPositions: orderedNodes.map(n => n.boisvert.spawn.slice()),
+        boisvertZRotations: orderedNodes.map(n => n.boisvert.rotationZ),
+        interactiveConfigs: manifest.interactive.objects.map(o => ({ ...o })),
+        interactiveAllowedPositions: positionsFor(manifest.interactive.allowedNodes),
+        cameraInteractiveConfigs: manifest.cameraInteractive.objects.map(o => ({ ...o })),
+        cameraInteractivePositions: manifest.cameraInteractive.objects.map(o => o.cameraPosition.slice()),
+        cameraIndicatorPositions: positionsFor(manifest.cameraInteractive.indicatorNodes),
+        weatherZones: orderedNodes.map(n => ({ id: n.id, position: n.position.slice(), weather: n.weather ? { ...n.weather } : null })),
+        weatherExclusionObjects: (manifest.weather && manifest.weather.exclusionObjects) || [],
+        weatherRandomInterval: (manifest.weather && manifest.weather.randomInterval) || [40, 90],
+        psxExcludedObjects: ((manifest.psx && manifest.psx.excludedObjects) || []).slice(),
+        ambienceZones: orderedNodes.map(n => ({ id: n.id, position: n.position.slice(), ambience: n.ambience || null })),
+        tvPlaylist: ((manifest.tv && manifest.tv.playlist) || []).map(v => ({ ...v }))
+    };
+}
+
+/**
+ * Fetch, validate and resolve the scene manifest
+ * @param {string} url - Manifest URL (defaults to SCENE_MANIFEST_URL)
+ * @returns {Promise<Object>} Resolved scene data (see resolveSceneManifest)
+ */
+export async function loadSceneManifest(url = SCENE_MANIFEST_URL) {
+    let manifest;
+    try {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        manifest = await res.json();
+    } catch (err) {
+        throw new SceneManifestError([`could not load ${url}: ${err && err.message ? err.message : err}`], url);
+    }
+    const errors = validateSceneManifest(manifest);
+    if (errors.length > 0) throw new SceneManifestError(errors, url);
+    return resolveSceneManifest(manifest);
+}
@@ -39,8 +39,50 @@ export function setupScene(qualitySettings) {
 
     // Add fog that starts 10 units from camera
     if (qualitySettings.fogEnabled) {
-        scene.fog = new THREE.Fog(0x333333, 10, 25); // color, near (10 units), far (50 units)
+        scene.fog = createFog();
     }
 
     return { scene, camera, renderer };
 }
+
+// Colour and distances for new fog; the time-of-day controller changes them via setFogLook
+const fogLook = { color: 0x333333, near: 10, far: 25 };
+
+function createFog() {
+    return new THREE.Fog(fogLook.color, fogLook.near, fogLook.far);
+}
+
+/**
+ * Change the fog colour and distances, now and for fog created later by setFogEnabled
+ * @param {THREE.Scene} scene - The scene
+ * @param {Object} look
+ * @param {THREE.Color|number} look.color - Fog colour
+ * @param {number} look.near - Distance where fog starts
+ * @param {number} look.far - Distance where fog is solid
+ */
+export function setFogLook(scene, { color, near, far } = {}) {
+    if (color !== undefined) fogLook.color = color instanceof THREE.Color ? color.getHex() : color;
+    if (typeof near === 'number') fogLook.near = near;
+    if (typeof far === 'number') fogLook.far = far;
+    if (scene.fog) {
+        // Uniform values only; no shader rebuild needed
+        scene.fog.color.set(fogLook.color);
+        scene.fog.near = fogLook.near;
+        scene.fog.far = fogLook.far;
+    }
+}
+
+/**
+ * Turn the scene fog on or off after setup
+ * @param {THREE.Scene} scene - The scene
+ * @param {boolean} enabled - Whether fog should be drawn
+ */
+export function setFogEnabled(scene, enabled) {
+    if (!!scene.fog === !!enabled) return;
+    scene.fog = enabled ? createFog() : null;
+    // Fog is compiled into material shaders, so they need rebuilding
+    scene.traverse((child) => {
+        const materials = Array.isArray(child.material) ? child.material : (child.material ? [child.material] : []);
+        materials.forEach((m) => { m.needsUpdate = true; });
+    });
+}
@@ -0,0 +1,240 @@
+import { emit, on } from './eventBus.js';
+
+/**
+ * Declarative achievement criteria. An achievement's `criteria` is one of:
+ *
+ *   'other_id'                                  another achievement is unlocked
+ *   { event, where, count, withinMs }           a fact on the event bus; `where` is an object
+ *                                               matched against its payload, or a function
+ *                                               of it. `count` (default 1) matching events,
+ *                                               all within `withinMs` if set
+ *   { allOf: [criteria...] } / { anyOf: [...] }
+ *
+ * Event criteria latch once met, for the rest of the visit. Modules only dispatch facts
+ * (`object:inspected`, `game:won`, ...); the engine decides what they unlock.
+ *
+ * Progress (getProgress) comes from an achievement's `counter: { event, current, total }`,
+ * where current and total are functions of the payload (total may be a number). Without
+ * one it's derived from the criteria: matching events so far for a `count` above 1, or
+ * met parts of an `allOf`. Changes are announced with `achievement:progress`.
+ */
+
+function matches(where, detail) {
+    if (!where) return true;
+    if (typeof where === 'function') return !!where(detail || {});
+    return Object.keys(where).every(key => detail && detail[key] === where[key]);
+}
+
+/**
+ * Turn criteria into a tree of nodes with their own state
+ * @param {string|Object} criteria
+ * @param {Array} events - Collects event nodes
+ * @returns {Object} Node
+ */
+function compile(criteria, events) {
+    if (typeof criteria === 'string') return { type: 'achievement', id: criteria };
+    if (Array.isArray(criteria.allOf)) return { type: 'allOf', children: criteria.allOf.map(c => compile(c, events)) };
+    if (Array.isArray(criteria.anyOf)) return { type: 'anyOf', children: criteria.anyOf.map(c => compile(c, events)) };
+    if (typeof criteria.event === 'string') {
+        const node = {
+            type: 'event',
+            event: criteria.event,
+            where: criteria.where || null,
+            count: Math.max(1, criteria.count || 1),
+            withinMs: criteria.withinMs > 0 ? criteria.withinMs : null,
+            times: [],
+            met: false
+        };
+        events.push(node);
+        return node;
+    }
+    throw new Error(`unknown criteria ${JSON.stringify(criteria)}`);
+}
+
+/**
+ * Setup the rule engine for an achievements controller
+ * @param {Object} achievements - Controller from initAchievements (getAll, isUnlocked, unlock)
+ * @returns {Object} Engine with refresh, evaluate, getProgress and dispose
+ */
+export function setupAchievementRules(achievements) {
+    // [{ id, criteria, node, events, counter }] for every achievement with criteria or a counter
+    let rules = [];
+    // event name -> event nodes
+    let eventNodes = new Map();
+    // Unsubscribe functions from the event bus
+    let unsubscribers = [];
+    let evaluating = false;
+    let dirty = false;
+
+    function isMet(node) {
+        if (node.type === 'achievement') return achievements.isUnlocked(node.id);
+        if (node.type === 'event') return node.met;
+        if (node.type === 'allOf') return node.children.every(isMet);
+        return node.children.some(isMet);
+    }
+
+    /**
+     * Unlock every achievement whose criteria are met. Unlocking can satisfy other
+     * composites, so this repeats until nothing changes.
+     */
+    function evaluate() {
+        if (evaluating) {
+            dirty = true;
+            return;
+        }
+        evaluating = true;
+        try {
+            do {
+                dirty = false;
+                rules.forEach(({ id, node }) => {
+                    if (!node || achievements.isUnlocked(id) || !isMet(node)) return;
+                    if (achievements.unlock(id)) dirty = true;
+                });
+            } while (dirty);
+        } finally {
+            evaluating = false;
+        }
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Object|null} { current, total }, or null if the achievement has no progress
+     */
+    function getProgress(id) {
+        const rule = rules.find(r => r.id === id);
+        if (!rule) return null;
+        if (rule.counter) {
+            if (rule.counter.state) return { ...rule.counter.state };
+            // Nothing reported yet; only a fixed total can be shown
+            return rule.counter.initialTotal ? { current: 0, total: rule.counter.initialTotal } : null;
+        }
+        const node = rule.node;
+        if (node.type === 'event' && node.count > 1) {
+            const now = performance.now();
+            const recent = node.withinMs ? node.times.filter(t => now - t <= node.withinMs) : node.times;
+            return { current: node.met ? node.count : recent.length, total: node.count };
+        }
+        if (node.type === 'allOf' && node.children.length > 1) {
+            return { current: node.children.filter(isMet).length, total: node.children.length };
+        }
+        return null;
+    }
+
+    function announceProgress(id) {
+        const progress = getProgress(id);
+        if (!progress) return;
+        emit('achievement:progress', { id, ...progress });
+    }
+
+    function onCounter(rule, detail) {
+        const { counter } = rule;
+        let current;
+        let total;
+        try {
+            current = Number(counter.current(detail || {}));
+            total = Number(typeof counter.total === 'function' ? counter.total(detail || {}) : counter.total);
+        } catch (e) {
+            console.warn('[achievementRules] counter failed for', rule.id, e);
+            return;
+        }
+        if (!Number.isFinite(current) || !Number.isFinite(total)) return;
+        const prev = counter.state;
+        if (prev && prev.current === current && prev.total === total) return;
+        counter.state = { current, total };
+        announceProgress(rule.id);
+    }
+
+    function onFact(type, detail) {
+        const now = performance.now();
+        let changed = false;
+        const counted = new Set();
+        (eventNodes.get(type) || []).forEach((node) => {
+            if (node.met) return;
+            try {
+                if (!matches(node.where, detail)) return;
+            } catch (e) {
+                console.warn('[achievementRules] where failed for', type, e);
+                return;
+            }
+            node.times.push(now);
+            if (node.withinMs) node.times = node.times.filter(t => now - t <= node.withinMs);
+            if (node.times.length >= node.count) {
+                node.met = true;
+                node.times = [];
+                changed = true;
+            }
+            if (node.count > 1) counted.add(node);
+        });
+        rules.forEach((rule) => {
+            if (rule.counter && rule.counter.event === type) onCounter(rule, detail);
+            else if (rule.events.some(node => counted.has(node)) && !achievements.isUnlocked(rule.id)) announceProgress(rule.id);
+        });
+        if (changed) evaluate();
+    }
+
+    function listen(type, fn) {
+        unsubscribers.push(on(type, fn));
+    }
+
+    function unlistenAll() {
+        unsubscribers.forEach(off => off());
+        unsubscribers = [];
+    }
+
+    /**
+     * (Re)read criteria from the registered achievements. Progress towards counters is
+     * kept for rules that didn't change.
+     */
+    function refresh() {
+        const previous = new Map(rules.map(r => [r.id, r]));
+        unlistenAll();
+        rules = [];
+        eventNodes = new Map();
+        const factTypes = new Set();
+        achievements.getAll().forEach((ach) => {
+            if (!ach.criteria && !ach.counter) return;
+            const old = previous.get(ach.id);
+            let rule = old;
+            if (!old || old.criteria !== ach.criteria || old.counterDef !== ach.counter) {
+                const events = [];
+                try {
+                    const node = ach.criteria ? compile(ach.criteria, events) : null;
+                    const counter = ach.counter && typeof ach.counter.event === 'string' && typeof ach.counter.current === 'function'
+                        ? { event: ach.counter.event, current: ach.counter.current, total: ach.counter.total, initialTotal: typeof ach.counter.total === 'number' ? ach.counter.total : 0, state: null }
+                        : null;
+                    rule = { id: ach.id, criteria: ach.criteria, counterDef: ach.counter, node, events, counter };
+                } catch (e) {
+                    console.warn('[achievementRules] skipping', ach.id, e);
+                    return;
+                }
+            }
+            rules.push(rule);
+            rule.events.forEach(addEventNode);
+            if (rule.counter) factTypes.add(rule.counter.event);
+        });
+        eventNodes.forEach((nodes, type) => factTypes.add(type));
+        factTypes.forEach(type => listen(type, detail => onFact(type, detail)));
+        // Composites only need re-checking when another achievement changes
+        listen('achievement:unlocked', () => evaluate());
+        listen('achievements:imported', () => evaluate());
+        evaluate();
+    }
+
+    function addEventNode(node) {
+        if (!eventNodes.has(node.event)) eventNodes.set(node.event, []);
+        eventNodes.get(node.event).push(node);
+    }
+
+    refresh();
+
+    return {
+        refresh,
+        evaluate,
+        getProgress,
+        dispose() {
+            unlistenAll();
+            rules = [];
+            eventNodes = new Map();
+        }
+    };
+}
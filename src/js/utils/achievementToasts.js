@@ -0,0 +1,181 @@
+import { playSound } from './audioController.js';
+import { achievementChime } from '../audio/proceduralSounds.js';
+
+/**
+ * Achievement toasts, shown one at a time from a queue. Rarer achievements jump ahead of
+ * commoner ones; equal rarities keep unlock order. Each toast plays the unlock chime on
+ * the sfx bus, stays up for the configured time (paused while hovered or focused) and can
+ * be dismissed early by clicking it or pressing Enter, Space or Escape while it's focused.
+ * Looks live in styles.css (.achievement-toast and its rarity-* classes).
+ */
+
+// Queue priority per rarity; unknown rarities count as common
+export const RARITIES = ['common', 'rare', 'epic', 'legendary'];
+const DEFAULT_ICON = 'src/textures/achievement-base.png';
+// Matches the CSS transition, so a toast is removed once it has faded out
+const FADE_MS = 250;
+// Breather between two queued toasts
+const GAP_MS = 150;
+
+function rarityOf(achievement) {
+    return RARITIES.includes(achievement.rarity) ? achievement.rarity : 'common';
+}
+
+function buildIcon(icon) {
+    const el = document.createElement('span');
+    el.className = 'achievement-toast-icon';
+    el.setAttribute('aria-hidden', 'true');
+    // Paths become images; anything else (an emoji or glyph) is shown as text
+    if (!icon || /[/.]/.test(icon)) {
+        const img = document.createElement('img');
+        img.src = icon || DEFAULT_ICON;
+        img.alt = '';
+        el.appendChild(img);
+    } else {
+        el.textContent = icon;
+    }
+    return el;
+}
+
+/**
+ * Setup the toast queue
+ * @param {Object} options
+ * @param {number} options.durationMs - How long each toast stays up
+ * @param {boolean} options.sound - Play the unlock chime
+ * @returns {Object} Queue with enqueue, setDuration, dismiss, clear and dispose
+ */
+export function setupToastQueue({ durationMs = 4000, sound = true } = {}) {
+    let duration = durationMs;
+    let container = null;
+    // [{ achievement, priority, seq }]
+    let queue = [];
+    let seq = 0;
+    // { id, el, timer, remaining, startedAt, dismissed }
+    let current = null;
+    let nextTimer = null;
+
+    function ensureContainer() {
+        if (container) return container;
+        container = document.createElement('div');
+        container.id = 'achievements-toast-container';
+        document.body.appendChild(container);
+        return container;
+    }
+
+    function startTimer(ms) {
+        current.remaining = ms;
+        current.startedAt = performance.now();
+        current.timer = setTimeout(dismiss, ms);
+    }
+
+    function pauseTimer() {
+        if (!current || !current.timer) return;
+        clearTimeout(current.timer);
+        current.timer = null;
+        current.remaining = Math.max(500, current.remaining - (performance.now() - current.startedAt));
+    }
+
+    function resumeTimer() {
+        if (!current || current.timer || current.dismissed) return;
+        startTimer(current.remaining);
+    }
+
+    function showNext() {
+        nextTimer = null;
+        if (current || queue.length === 0) return;
+        const { achievement } = queue.shift();
+        const rarity = rarityOf(achievement);
+
+        const el = document.createElement('div');
+        el.className = `achievement-toast rarity-${rarity}`;
+        el.tabIndex = 0;
+        el.setAttribute('role', 'status');
+        el.setAttribute('aria-live', 'polite');
+        el.title = 'Dismiss';
+        const text = document.createElement('div');
+        text.className = 'achievement-toast-text';
+        const title = document.createElement('strong');
+        title.textContent = achievement.title || achievement.id;
+        const desc = document.createElement('div');
+        desc.className = 'achievement-toast-desc';
+        desc.textContent = achievement.description || '';
+        text.append(title, desc);
+        if (rarity !== 'common') {
+            const badge = document.createElement('div');
+            badge.className = 'achievement-toast-rarity';
+            badge.textContent = rarity.toUpperCase();
+            text.appendChild(badge);
+        }
+        el.append(buildIcon(achievement.icon), text);
+
+        el.addEventListener('click', dismiss);
+        el.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ' || e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                dismiss();
+            }
+        });
+        el.addEventListener('mouseenter', pauseTimer);
+        el.addEventListener('mouseleave', resumeTimer);
+        el.addEventListener('focus', pauseTimer);
+        el.addEventListener('blur', resumeTimer);
+
+        ensureContainer().appendChild(el);
+        current = { id: achievement.id || null, el, timer: null, remaining: duration, startedAt: 0, dismissed: false };
+        requestAnimationFrame(() => el.classList.add('visible'));
+        startTimer(duration);
+        if (sound) playSound(ctx => achievementChime(ctx, rarity), { channel: 'sfx', level: 0.8 });
+    }
+
+    function dismiss() {
+        if (!current || current.dismissed) return;
+        const { el } = current;
+        current.dismissed = true;
+        clearTimeout(current.timer);
+        // Give focus back to the page rather than losing it with the removed toast
+        if (document.activeElement === el) el.blur();
+        el.classList.remove('visible');
+        setTimeout(() => {
+            el.remove();
+            current = null;
+            if (queue.length) nextTimer = setTimeout(showNext, GAP_MS);
+        }, FADE_MS);
+    }
+
+    function clear() {
+        queue = [];
+        clearTimeout(nextTimer);
+        nextTimer = null;
+        dismiss();
+    }
+
+    return {
+        /**
+         * Queue a toast; ignored if the same achievement is already showing or queued
+         * @param {Object} achievement - { id, title, description, icon, rarity }
+         */
+        enqueue(achievement) {
+            if (!achievement) return;
+            const id = achievement.id || null;
+            if (id && ((current && current.id === id) || queue.some(q => q.achievement.id === id))) return;
+            queue.push({ achievement, priority: RARITIES.indexOf(rarityOf(achievement)), seq: seq++ });
+            queue.sort((a, b) => b.priority - a.priority || a.seq - b.seq);
+            // Wait a tick so unlocks that land together are sorted before the first shows
+            if (!current && !nextTimer) nextTimer = setTimeout(showNext, 0);
+        },
+        /**
+         * @param {number} ms - Display time for toasts shown from now on
+         */
+        setDuration(ms) {
+            if (Number.isFinite(ms) && ms > 0) duration = ms;
+        },
+        dismiss,
+        clear,
+        dispose() {
+            clear();
+            if (container) container.remove();
+            container = null;
+        }
+    };
+}
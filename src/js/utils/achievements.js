@@ -1,13 +1,25 @@
-// Simple achievements system: register, persist, unlock, and show toasts/panel
+// Simple achievements system: register, persist, unlock, and show toasts. The list itself
+// is rendered by achievementsPopup.js from getAll().
+// Progress is session-only unless the visitor opts in to keeping it (setPersistent);
+// either way it can be carried to another device with a progress code (progressCode.js).
+// What unlocks each one is declared in its `criteria` and evaluated by achievementRules.js.
+import { encodeProgressCode, decodeProgressCode } from './progressCode.js';
+import { setupAchievementRules } from './achievementRules.js';
+import { setupToastQueue } from './achievementToasts.js';
+import { emit } from './eventBus.js';
+
 const STORAGE_KEY = 'psx_achievements_v1';
 const META_KEY = 'psx_achievements_meta_v1';
 
 let achievementsMap = new Map();
 let unlockedSet = new Set();
-let container = null; // panel container
-let toastContainer = null;
-let visibleToasts = new Set(); // track currently visible toast IDs to prevent duplicates
+// id -> unlock time (ms since epoch), or null when unknown (imported, or stored by an older version)
+let unlockedAt = new Map();
+let toasts = null;
 let meta = { seenPopup: false, hasNew: false };
+// When false nothing is written to localStorage and the stored keys are cleared
+let persistent = false;
+let rules = null;
 
 function loadMeta() {
     try {
@@ -21,6 +33,7 @@ function loadMeta() {
 }
 
 function saveMeta() {
+    if (!persistent) return;
     try {
         localStorage.setItem(META_KEY, JSON.stringify(meta));
     } catch (e) {
@@ -74,30 +87,36 @@ function loadUnlocked() {
     try {
         const raw = localStorage.getItem(STORAGE_KEY);
         if (!raw) return;
-        const arr = JSON.parse(raw);
-        if (Array.isArray(arr)) {
-            // Only restore unlocked achievements that are still considered persistent
-            const filtered = arr.filter(id => {
-                const ach = achievementsMap.get(id);
-                // If achievement isn't registered yet, keep it for backwards compatibility
-                if (!ach) return true;
-                // Default persistence = true; only ignore if persistent === false
-                return ach.persistent !== false;
-            });
-            unlockedSet = new Set(filtered);
-        }
+        const stored = JSON.parse(raw);
+        // Older versions stored a plain array of ids, without unlock times
+        const entries = Array.isArray(stored)
+            ? stored.map(id => [id, null])
+            : Object.entries(stored && typeof stored === 'object' ? stored : {});
+        // Only restore unlocked achievements that are still considered persistent
+        const filtered = entries.filter(([id]) => {
+            const ach = achievementsMap.get(id);
+            // If achievement isn't registered yet, keep it for backwards compatibility
+            if (!ach) return true;
+            // Default persistence = true; only ignore if persistent === false
+            return ach.persistent !== false;
+        });
+        unlockedSet = new Set(filtered.map(([id]) => id));
+        unlockedAt = new Map(filtered.map(([id, at]) => [id, typeof at === 'number' ? at : null]));
     } catch (e) {
         console.warn('Failed to load achievements from storage', e);
     }
 }
 
 function saveUnlocked() {
+    if (!persistent) return;
     try {
         // Only persist achievements marked as persistent (default true)
-        const toPersist = Array.from(unlockedSet).filter(id => {
+        const toPersist = {};
+        unlockedSet.forEach((id) => {
             const ach = achievementsMap.get(id);
-            if (!ach) return true; // unknown achievements persisted for compatibility
-            return ach.persistent !== false;
+            // unknown achievements persisted for compatibility
+            if (ach && ach.persistent === false) return;
+            toPersist[id] = unlockedAt.get(id) ?? null;
         });
         localStorage.setItem(STORAGE_KEY, JSON.stringify(toPersist));
     } catch (e) {
@@ -105,160 +124,75 @@ function saveUnlocked() {
     }
 }
 
-function ensureContainers() {
-    if (!toastContainer) {
-        toastContainer = document.createElement('div');
-        toastContainer.id = 'achievements-toast-container';
-        // Position and sizing differ between mobile and desktop to avoid covering UI
-        try {
-            const isMobile = (typeof navigator !== 'undefined') && (/Mobi|Android|iPhone|iPad|iPod/i.test(navigator.userAgent) || (window.matchMedia && window.matchMedia('(pointer: coarse)').matches));
-            toastContainer.style.position = 'fixed';
-            toastContainer.style.zIndex = '99999';
-            toastContainer.style.pointerEvents = 'none';
-            // Place toasts in the top-right on both platforms to avoid covering bottom UI
-            // Mobile gets slightly tighter inset
-            if (isMobile) {
-                toastContainer.style.top = '12px';
-                toastContainer.style.right = '12px';
-            } else {
-                toastContainer.style.top = '20px';
-                toastContainer.style.right = '20px';
-            }
-        } catch (e) {}
-        document.body.appendChild(toastContainer);
-    }
-    if (!container) {
-        container = document.createElement('div');
-        container.id = 'achievements-panel';
-        container.className = 'achievements-panel hidden';
-        const header = document.createElement('div');
-        header.className = 'achievements-panel-header';
-        header.innerText = 'Achievements';
-        const close = document.createElement('button');
-        close.className = 'achievements-panel-close';
-        close.innerText = '×';
-        close.addEventListener('click', () => container.classList.add('hidden'));
-        header.appendChild(close);
-        container.appendChild(header);
-
-        const list = document.createElement('div');
-        list.className = 'achievements-list';
-        list.id = 'achievements-list';
-        container.appendChild(list);
-
-        const resetBtn = document.createElement('button');
-        resetBtn.className = 'achievements-reset';
-        resetBtn.innerText = 'Reset Achievements';
-        resetBtn.addEventListener('click', () => {
-            resetAchievements();
-            renderPanel();
-        });
-        container.appendChild(resetBtn);
-
-        document.body.appendChild(container);
-    }
+function clearStorage() {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+        localStorage.removeItem(META_KEY);
+    } catch (e) {}
 }
 
-function renderPanel() {
-    ensureContainers();
-    const list = container.querySelector('#achievements-list');
-    list.innerHTML = '';
-    for (const [id, ach] of achievementsMap.entries()) {
-        const item = document.createElement('div');
-        item.className = 'achievement-item' + (unlockedSet.has(id) ? ' unlocked' : '');
-        const title = document.createElement('div');
-        title.className = 'achievement-title';
-        title.innerText = ach.title || id;
-        const desc = document.createElement('div');
-        desc.className = 'achievement-desc';
-        desc.innerText = ach.description || '';
-        item.appendChild(title);
-        item.appendChild(desc);
-        list.appendChild(item);
+/**
+ * Switch between session-only and persistent progress. Turning it on saves what's been
+ * unlocked so far; turning it off forgets the stored copy (this session keeps its progress).
+ * @param {boolean} enabled
+ */
+function setPersistent(enabled) {
+    persistent = !!enabled;
+    if (persistent) {
+        saveUnlocked();
+        saveMeta();
+    } else {
+        clearStorage();
     }
 }
 
-function showToast(achievement) {
-    ensureContainers();
-    const id = achievement.id || null;
-    // prevent duplicate visible toasts for the same achievement
-    if (id && visibleToasts.has(id)) return;
-    if (id) visibleToasts.add(id);
-
-    const toast = document.createElement('div');
-    toast.className = 'achievement-toast';
-    toast.innerHTML = `<strong>${achievement.title}</strong><div class="achievement-toast-desc">${achievement.description || ''}</div>`;
-    // Apply device-specific sizing so mobile toasts are small and don't cover controls
-    try {
-        const isMobile = (typeof navigator !== 'undefined') && (/Mobi|Android|iPhone|iPad|iPod/i.test(navigator.userAgent) || (window.matchMedia && window.matchMedia('(pointer: coarse)').matches));
-        if (isMobile) {
-            // Slightly larger mobile toast for readability without covering controls
-            toast.style.width = '280px';
-            toast.style.fontSize = '15px';
-            toast.style.padding = '14px 16px';
-            toast.style.borderRadius = '10px';
-            toast.style.background = 'rgba(0,0,0,0.92)';
-            toast.style.color = '#fff';
-            toast.style.boxShadow = '0 8px 20px rgba(0,0,0,0.4)';
-            toast.style.marginBottom = '10px';
-            toast.style.pointerEvents = 'auto';
-        } else {
-            // Larger desktop toast
-            toast.style.width = '420px';
-            toast.style.fontSize = '17px';
-            toast.style.padding = '18px 20px';
-            toast.style.borderRadius = '12px';
-            toast.style.background = 'rgba(0,0,0,0.96)';
-            toast.style.color = '#fff';
-            toast.style.boxShadow = '0 10px 30px rgba(0,0,0,0.45)';
-            toast.style.marginBottom = '12px';
-            toast.style.pointerEvents = 'auto';
-        }
-        // Ensure consistent visual layout
-        toast.style.display = 'block';
-        toast.style.overflow = 'hidden';
-    } catch (e) { /* ignore styling errors */ }
-    toastContainer.appendChild(toast);
-    // entrance
-    requestAnimationFrame(() => toast.classList.add('visible'));
-    setTimeout(() => {
-        toast.classList.remove('visible');
-        setTimeout(() => {
-            try { toastContainer.removeChild(toast); } catch (e) {}
-            if (id) visibleToasts.delete(id);
-        }, 300);
-    }, 3500);
+/**
+ * Add the achievements in a progress code to this session (nothing is removed)
+ * @param {string} code
+ * @returns {Array<string>} Ids that weren't unlocked before
+ * @throws {ProgressCodeError} If the code can't be read
+ */
+function importProgressCode(code) {
+    const added = decodeProgressCode(code).filter(id => achievementsMap.has(id) && !unlockedSet.has(id));
+    if (added.length === 0) return added;
+    added.forEach((id) => {
+        unlockedSet.add(id);
+        // The code doesn't carry when they were unlocked
+        unlockedAt.set(id, null);
+    });
+    saveUnlocked();
+    meta.hasNew = true;
+    saveMeta();
+    updateToggleIcon();
+    emit('achievements:imported', { added });
+    return added;
 }
 
-export function initAchievements(list = []) {
-    // Force a fresh session: clear persisted achievements and meta on every page load
-    try {
-        localStorage.removeItem(STORAGE_KEY);
-        localStorage.removeItem(META_KEY);
-    } catch (e) {}
+/**
+ * @param {Array} list - Achievements to register up front
+ * @param {Object} options
+ * @param {boolean} options.persistent - Restore and keep progress in localStorage; otherwise
+ *   every page load starts fresh
+ * @param {number} options.toastDurationMs - How long each unlock toast stays up
+ */
+export function initAchievements(list = [], { persistent: keep = false, toastDurationMs = 4000 } = {}) {
     unlockedSet = new Set();
+    unlockedAt = new Map();
     meta = { seenPopup: false, hasNew: false };
     // register initial list
     for (const a of list) {
         achievementsMap.set(a.id, a);
     }
-    // expose panel toggle for debug
-    window.toggleAchievementsPanel = () => {
-        ensureContainers();
-        container.classList.toggle('hidden');
-        // Mark that user has seen the popup when they open it
-        if (!meta.seenPopup && container.classList.contains('hidden') === false) {
-            meta.seenPopup = true;
-            // clear hasNew when user opens panel
-            meta.hasNew = false;
-            saveMeta();
-        }
-        updateToggleIcon();
-        renderPanel();
-    };
-    // expose reset helper
-    window.resetAchievements = resetAchievements;
-    renderPanel();
+    persistent = !!keep;
+    if (persistent) {
+        loadUnlocked();
+        loadMeta();
+    } else {
+        // Fresh session: drop anything a previous persistent session stored
+        clearStorage();
+    }
+    if (toasts) toasts.dispose();
+    toasts = setupToastQueue({ durationMs: toastDurationMs });
     // Ensure toggle reflects persisted meta state
     updateToggleIcon();
     // Wire a click listener on the toggle button (if present) so clicking marks popup as seen
@@ -279,7 +213,7 @@ export function initAchievements(list = []) {
     const controller = {
         register(list) {
             for (const a of list) achievementsMap.set(a.id, a);
-            renderPanel();
+            if (rules) rules.refresh();
         },
         unlock(id) {
             const ok = unlockAchievement(id);
@@ -295,9 +229,15 @@ export function initAchievements(list = []) {
         show(id) {
             const ach = achievementsMap.get(id);
             if (!ach) return false;
-            try { showToast(ach); } catch (e) {}
+            try { toasts.enqueue(ach); } catch (e) {}
             return true;
         },
+        /**
+         * @param {number} ms - Display time for toasts
+         */
+        setToastDuration(ms) {
+            toasts.setDuration(ms);
+        },
         // Public helper to mark that there's a new achievement (updates UI and persists)
         markHasNew() {
             try {
@@ -309,13 +249,33 @@ export function initAchievements(list = []) {
         isUnlocked(id) {
             return unlockedSet.has(id);
         },
+        setPersistent,
+        isPersistent() {
+            return persistent;
+        },
+        /**
+         * @returns {string} Progress code for everything unlocked so far
+         */
+        exportCode() {
+            return encodeProgressCode(unlockedSet);
+        },
+        importCode: importProgressCode,
+        /**
+         * @returns {Array} Registered achievements in order, each with `unlocked`, `unlockedAt`
+         *   (ms since epoch or null) and `progress` ({ current, total } or null)
+         */
         getAll() {
-            return Array.from(achievementsMap.values()).map(a => ({...a, unlocked: unlockedSet.has(a.id)}));
+            return Array.from(achievementsMap.values()).map(a => ({
+                ...a,
+                unlocked: unlockedSet.has(a.id),
+                unlockedAt: unlockedAt.get(a.id) ?? null,
+                progress: rules ? rules.getProgress(a.id) : null
+            }));
         },
         reset: resetAchievements
     };
-    // Expose controller for debugging
-    try { window.achievements = controller; } catch (e) {}
+    if (rules) rules.dispose();
+    rules = setupAchievementRules(controller);
     return controller;
 }
 
@@ -327,10 +287,9 @@ function unlockAchievement(id) {
     }
     if (unlockedSet.has(id)) return false;
     unlockedSet.add(id);
+    unlockedAt.set(id, Date.now());
     saveUnlocked();
-    // render and toast
-    renderPanel();
-    try { showToast(ach); } catch (e) { /* swallow */ }
+    try { if (toasts) toasts.enqueue(ach); } catch (e) { /* swallow */ }
     // mark meta that there's a new achievement available
     try {
         meta.hasNew = true;
@@ -338,43 +297,45 @@ function unlockAchievement(id) {
         updateToggleIcon();
     } catch (e) {}
     // emit global event
-    try {
-        window.dispatchEvent(new CustomEvent('achievement:unlocked', { detail: { id, achievement: ach } }));
-    } catch (e) {}
+    emit('achievement:unlocked', { id, achievement: ach });
     return true;
 }
 
 function resetAchievements() {
     unlockedSet = new Set();
+    unlockedAt = new Map();
     saveUnlocked();
-    renderPanel();
+    emit('achievements:reset');
 }
 
 // Convenience: register some common achievements
 export function registerDefaultAchievements() {
+    const inspected = id => ({ event: 'object:inspected', where: { id } });
     const defaults = [
-        { id: 'welcome_forest', title: 'Welcome to the Forest...', description: 'You entered the woods for the first time.' },
-        { id: 'looked_boisvert', title: '???', description: 'You looked at Room.' },
-    { id: 'enter_cabin', title: 'Home Sweet Home', description: 'You entered the cabin.', persistent: false }
+        { id: 'welcome_forest', title: 'Welcome to the Forest...', description: 'You entered the woods for the first time.', icon: '🌲', criteria: { event: 'welcome:entered' } },
+        { id: 'looked_boisvert', title: 'Staring Contest', description: 'You looked at Room.', secret: true, icon: '👁', rarity: 'rare', criteria: { event: 'boisvert:looked' } },
+        { id: 'enter_cabin', title: 'Home Sweet Home', description: 'You entered the cabin.', persistent: false, icon: '🏠', criteria: { allOf: ['welcome_forest', { event: 'zone:entered', where: { zone: 'cabin' } }] } }
     ];
     // Additional interactive achievements
     const extras = [
-        { id: 'clicked_paper', title: 'Find my Pages...', description: 'You examined the paper on the table (my resume).' },
-        { id: 'clicked_painting', title: 'Art Critic', description: 'You inspected the painting.' },
-        { id: 'clicked_cola', title: 'Is This a Fallout Reference?', description: 'You inspected the LinkedIn Cola bottle.' },
-    { id: 'clicked_easter', title: 'Easter Hunter', description: 'You found the hidden easter egg.' },
-        { id: 'watched_screen', title: 'Film Critic', description: 'You played the video on the TV.' },
-        { id: 'visited_first_dlc', title: 'Where am I..?', description: 'You traveled to the first area of the DLC.' },
-        { id: 'clicked_boisvert', title: 'Hello, Room', description: 'You clicked on the entity.' },
-        { id: 'master_interactor', title: 'Sleuth', description: 'You investigated all interactive objects.' },
-        { id: 'game_start', title: 'Let the Hunt Begin', description:'You initiated the game with Room.'},
-        { id: 'game_lost', title: 'You Died...', description: 'You lost the game with Room.' },
-        { id: 'game_won', title: 'Nightmare Slain', description:'You won the game with Room.'},
+        { id: 'clicked_paper', title: 'Find my Pages...', description: 'You examined the paper on the table (my resume).', icon: '📄', criteria: inspected('paper') },
+        { id: 'clicked_painting', title: 'Art Critic', description: 'You inspected the painting.', icon: '🖼', criteria: inspected('painting') },
+        { id: 'clicked_cola', title: 'Is This a Fallout Reference?', description: 'You inspected the LinkedIn Cola bottle.', icon: '🥤', criteria: inspected('cola') },
+        { id: 'clicked_easter', title: 'Easter Hunter', description: 'You found the hidden easter egg.', secret: true, icon: '🥚', rarity: 'rare', criteria: inspected('easter') },
+        { id: 'watched_screen', title: 'Film Critic', description: 'You played the video on the TV.', icon: '📺', criteria: inspected('screen') },
+        { id: 'watched_all_channels', title: 'Couch Potato', description: 'You watched every channel on the TV.', icon: '🛋', rarity: 'rare', criteria: { event: 'tv:watched', where: d => d.total > 0 && d.watched.length >= d.total } },
+        // The DLC Boisvert can only be clicked from the DLC area
+        { id: 'visited_first_dlc', title: 'Where am I..?', description: 'You traveled to the first area of the DLC.', icon: '🚪', rarity: 'rare', criteria: { anyOf: [{ event: 'zone:entered', where: { zone: 'dlc' } }, 'clicked_boisvert'] } },
+        { id: 'clicked_boisvert', title: 'Hello, Room', description: 'You clicked on the entity.', icon: '👋', criteria: inspected('boisvert') },
+        { id: 'master_interactor', title: 'Sleuth', description: 'You investigated all interactive objects.', icon: '🔍', rarity: 'epic', criteria: { allOf: ['clicked_paper', 'clicked_painting', 'clicked_cola', 'watched_screen'] } },
+        { id: 'game_start', title: 'Let the Hunt Begin', description:'You initiated the game with Room.', icon: '🏃', criteria: { event: 'game:started' } },
+        { id: 'game_lost', title: 'You Died...', description: 'You lost the game with Room.', icon: '💀', criteria: { event: 'game:lost' } },
+        { id: 'game_won', title: 'Nightmare Slain', description:'You won the game with Room.', icon: '🏆', rarity: 'legendary', criteria: { event: 'game:won' }, counter: { event: 'hunt:progress', current: d => d.found, total: d => d.total } },
     ];
     for (const a of defaults) achievementsMap.set(a.id, a);
     for (const a of extras) achievementsMap.set(a.id, a);
     
-    renderPanel();
+    if (rules) rules.refresh();
 }
 
 // Auto-init on import? No — require explicit init in index.js
\ No newline at end of file
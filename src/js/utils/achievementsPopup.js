@@ -0,0 +1,183 @@
+import { on } from './eventBus.js';
+
+/**
+ * The achievements list in the achievements popup: overall completion, filter / sort
+ * controls and one row per achievement with its progress or unlock time. Secret
+ * achievements show as ??? until they're unlocked.
+ */
+
+const FILTERS = [
+    { value: 'all', label: 'All' },
+    { value: 'unlocked', label: 'Unlocked' },
+    { value: 'locked', label: 'Locked' }
+];
+const SORTS = [
+    { value: 'default', label: 'Default order' },
+    { value: 'unlocked', label: 'Unlocked first' },
+    { value: 'locked', label: 'Locked first' },
+    { value: 'recent', label: 'Recently unlocked' }
+];
+
+function select(options, ariaLabel) {
+    const el = document.createElement('select');
+    el.setAttribute('aria-label', ariaLabel);
+    options.forEach(({ value, label }) => el.appendChild(new Option(label, value)));
+    Object.assign(el.style, {
+        background: 'rgba(0,0,0,0.4)',
+        color: '#fff',
+        border: '1px solid rgba(255,255,255,0.3)',
+        font: 'inherit',
+        padding: '2px 4px'
+    });
+    return el;
+}
+
+function bar(fraction, height) {
+    const track = document.createElement('div');
+    Object.assign(track.style, { height, background: 'rgba(255,255,255,0.15)', overflow: 'hidden' });
+    const fill = document.createElement('div');
+    Object.assign(fill.style, { height: '100%', width: `${Math.round(Math.max(0, Math.min(1, fraction)) * 100)}%`, background: '#7bff7b' });
+    track.appendChild(fill);
+    return track;
+}
+
+function formatUnlockedAt(at) {
+    if (!at) return 'Unlocked';
+    try {
+        return `Unlocked ${new Date(at).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}`;
+    } catch (e) {
+        return 'Unlocked';
+    }
+}
+
+function sortList(list, sort) {
+    const indexed = list.map((a, i) => ({ a, i }));
+    const byState = first => (x, y) => (x.a.unlocked === y.a.unlocked ? x.i - y.i : (x.a.unlocked === first ? -1 : 1));
+    if (sort === 'unlocked') indexed.sort(byState(true));
+    else if (sort === 'locked') indexed.sort(byState(false));
+    else if (sort === 'recent') {
+        // Unlocked newest first (unknown times after known ones), then locked in order
+        indexed.sort((x, y) => {
+            if (x.a.unlocked !== y.a.unlocked) return x.a.unlocked ? -1 : 1;
+            return (y.a.unlockedAt || 0) - (x.a.unlockedAt || 0) || x.i - y.i;
+        });
+    }
+    return indexed.map(x => x.a);
+}
+
+function renderItem(a) {
+    const hidden = a.secret && !a.unlocked;
+    const item = document.createElement('div');
+    item.className = 'achievement-item' + (a.unlocked ? ' unlocked' : '');
+    item.style.padding = '8px 6px';
+    item.style.borderBottom = '1px dashed rgba(255,255,255,0.05)';
+    item.style.display = 'flex';
+    item.style.alignItems = 'center';
+
+    const textWrap = document.createElement('div');
+    textWrap.style.display = 'flex';
+    textWrap.style.flexDirection = 'column';
+    textWrap.style.flex = '1 1 auto';
+    textWrap.style.gap = '2px';
+
+    const title = document.createElement('div');
+    title.className = 'achievement-title';
+    title.innerText = hidden ? '???' : a.title;
+    const desc = document.createElement('div');
+    desc.className = 'achievement-desc';
+    desc.innerText = hidden ? 'Secret achievement' : a.description;
+    textWrap.appendChild(title);
+    textWrap.appendChild(desc);
+
+    if (a.unlocked) {
+        const when = document.createElement('div');
+        when.className = 'achievement-desc';
+        when.style.opacity = '0.7';
+        when.innerText = formatUnlockedAt(a.unlockedAt);
+        textWrap.appendChild(when);
+    } else if (a.progress && a.progress.total > 0 && !hidden) {
+        const { current, total } = a.progress;
+        const label = document.createElement('div');
+        label.className = 'achievement-desc';
+        label.innerText = `${Math.min(current, total)}/${total}`;
+        textWrap.appendChild(label);
+        textWrap.appendChild(bar(current / total, '4px'));
+    }
+
+    const icon = document.createElement('span');
+    icon.className = 'achievement-icon';
+    icon.setAttribute('aria-hidden', 'true');
+    // Use the same '×' character as the popup close button for consistency
+    icon.innerText = a.unlocked ? '✔' : '×';
+    icon.style.marginLeft = '12px';
+    icon.style.flex = '0 0 auto';
+
+    item.appendChild(textWrap);
+    item.appendChild(icon);
+    return item;
+}
+
+/**
+ * Setup the achievements list
+ * @param {HTMLElement} container - The popup's list container (#achievementsListContainer)
+ * @param {Object} achievements - Controller from initAchievements
+ * @returns {Object} List with render and dispose
+ */
+export function setupAchievementsPopup(container, achievements) {
+    if (!container || !achievements) return { render() {}, dispose() {} };
+
+    // Summary and controls sit above the scrolling list so they stay in view
+    const header = document.createElement('div');
+    header.className = 'achievements-summary';
+    Object.assign(header.style, {
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '6px',
+        padding: '6px 6px 8px',
+        color: '#fff',
+        fontFamily: "'VT323', monospace",
+        fontSize: '16px'
+    });
+    const completion = document.createElement('div');
+    const completionBar = document.createElement('div');
+    const controls = document.createElement('div');
+    Object.assign(controls.style, { display: 'flex', gap: '8px', flexWrap: 'wrap' });
+    const filter = select(FILTERS, 'Show');
+    const sort = select(SORTS, 'Sort by');
+    controls.append(filter, sort);
+    header.append(completion, completionBar, controls);
+    container.parentNode.insertBefore(header, container);
+
+    function render() {
+        const list = achievements.getAll();
+        const unlocked = list.filter(a => a.unlocked).length;
+        const percent = list.length ? Math.round((unlocked / list.length) * 100) : 0;
+        completion.textContent = `${unlocked}/${list.length} unlocked · ${percent}%`;
+        completionBar.replaceChildren(bar(list.length ? unlocked / list.length : 0, '6px'));
+
+        const shown = list.filter(a => filter.value === 'all' || a.unlocked === (filter.value === 'unlocked'));
+        container.innerHTML = '';
+        sortList(shown, sort.value).forEach(a => container.appendChild(renderItem(a)));
+        if (shown.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'achievement-desc';
+            empty.style.padding = '8px 6px';
+            empty.innerText = filter.value === 'unlocked' ? 'Nothing unlocked yet.' : 'Everything is unlocked!';
+            container.appendChild(empty);
+        }
+    }
+
+    filter.addEventListener('change', render);
+    sort.addEventListener('change', render);
+    const unsubscribers = ['achievement:unlocked', 'achievement:progress', 'achievements:imported', 'achievements:reset']
+        .map(name => on(name, render));
+    render();
+
+    return {
+        render,
+        dispose() {
+            unsubscribers.forEach(off => off());
+            header.remove();
+        }
+    };
+}
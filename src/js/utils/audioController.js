@@ -1,50 +1,133 @@
+import { getMix, onMixChange, setMasterVolume, setBusVolume, setMuted, isMuted as isMixMuted, playOneShot } from '../audio/audioManager.js';
+
 /**
- * Global audio controller for muting/unmuting all audio
+ * Media-element layer over the audio manager (src/js/audio/audioManager.js). The Web Audio
+ * graph handles ambience and positional sounds; <video>/<audio> elements can't go through
+ * it without CORS-clean sources, so they follow the same mix here instead: an element's
+ * effective volume is its own level x its bus volume x the master volume, and muting the
+ * manager mutes every registered element. registerVideo/muteAll and friends keep their
+ * old signatures; 'master', 'music', 'sfx' and 'voice' are the channels.
  */
 
-let isMuted = false;
 let videoElements = [];
+// element -> { channel, level }
+const mediaEntries = new Map();
+
+function applyVolume(element, mix = getMix()) {
+    const entry = mediaEntries.get(element);
+    if (!entry) return;
+    const bus = mix.buses[entry.channel] !== undefined ? mix.buses[entry.channel] : 1;
+    try {
+        element.volume = Math.max(0, Math.min(1, entry.level * bus * mix.master));
+    } catch (e) {}
+}
+
+// Only touch element.muted when the global mute flips, so per-video mutes survive volume changes
+let lastMuted = getMix().muted;
+onMixChange((mix) => {
+    mediaEntries.forEach((entry, element) => {
+        applyVolume(element, mix);
+        if (mix.muted !== lastMuted) element.muted = mix.muted;
+    });
+    lastMuted = mix.muted;
+});
+
+/**
+ * Register a media element with a volume channel
+ * @param {HTMLMediaElement} element - Audio or video element
+ * @param {string} channel - 'music', 'sfx' or 'voice'
+ */
+export function registerMedia(element, channel = 'sfx') {
+    if (!element) return;
+    const existing = mediaEntries.get(element);
+    mediaEntries.set(element, { channel, level: existing ? existing.level : 1 });
+    if (isMixMuted()) element.muted = true;
+    applyVolume(element);
+}
+
+/**
+ * Set an element's own volume (before channel and master volume are applied)
+ * @param {HTMLMediaElement} element
+ * @param {number} level - 0..1
+ */
+export function setMediaLevel(element, level) {
+    const entry = mediaEntries.get(element);
+    if (!entry) {
+        element.volume = Math.max(0, Math.min(1, level));
+        return;
+    }
+    entry.level = Math.max(0, Math.min(1, level));
+    applyVolume(element);
+}
+
+/**
+ * Play a synthesized one-shot (UI chimes and the like) on a channel. Nothing is started
+ * while everything is muted.
+ * @param {Function} factory - (AudioContext) => { output, stop, duration }
+ * @param {Object} options
+ * @param {string} options.channel - 'music', 'sfx' or 'voice' (default 'sfx')
+ * @param {number} options.level - Own level, 0..1 (before channel and master volume)
+ */
+export function playSound(factory, { channel = 'sfx', level = 1 } = {}) {
+    if (isMixMuted()) return;
+    playOneShot(factory, { bus: channel, volume: level });
+}
+
+/**
+ * Set a channel volume; 'master' is the manager's master volume, the rest are buses
+ * @param {string} channel - 'master', 'music', 'sfx' or 'voice'
+ * @param {number} level - 0..1
+ */
+export function setChannelVolume(channel, level) {
+    if (channel === 'master') setMasterVolume(level);
+    else setBusVolume(channel, level);
+}
+
+/**
+ * @param {string} channel - 'master', 'music', 'sfx' or 'voice'
+ * @returns {number}
+ */
+export function getChannelVolume(channel) {
+    const mix = getMix();
+    return channel === 'master' ? mix.master : mix.buses[channel];
+}
 
 /**
  * Register a video element to be controlled by the mute button
- * @param {HTMLVideoElement} videoElement 
+ * @param {HTMLVideoElement} videoElement
+ * @param {string} channel - Volume channel the video's sound belongs to (default 'music')
  */
-export function registerVideo(videoElement) {
+export function registerVideo(videoElement, channel = 'music') {
     if (videoElement && !videoElements.includes(videoElement)) {
         videoElements.push(videoElement);
-        videoElement.muted = isMuted;
+        registerMedia(videoElement, channel);
     }
 }
 
 /**
  * Unregister a video element
- * @param {HTMLVideoElement} videoElement 
+ * @param {HTMLVideoElement} videoElement
  */
 export function unregisterVideo(videoElement) {
     const index = videoElements.indexOf(videoElement);
     if (index > -1) {
         videoElements.splice(index, 1);
     }
+    mediaEntries.delete(videoElement);
 }
 
 /**
- * Mute all registered audio
+ * Mute all audio (media elements and the Web Audio graph)
  */
 export function muteAll() {
-    isMuted = true;
-    videoElements.forEach(video => {
-        video.muted = true;
-    });
+    setMuted(true);
 }
 
 /**
- * Unmute all registered audio
+ * Unmute all audio
  */
 export function unmuteAll() {
-    isMuted = false;
-    videoElements.forEach(video => {
-        video.muted = false;
-    });
+    setMuted(false);
 }
 
 /**
@@ -52,12 +135,8 @@ export function unmuteAll() {
  * @returns {boolean} New mute state
  */
 export function toggleMute() {
-    if (isMuted) {
-        unmuteAll();
-    } else {
-        muteAll();
-    }
-    return isMuted;
+    setMuted(!isMixMuted());
+    return isMixMuted();
 }
 
 /**
@@ -65,9 +144,5 @@ export function toggleMute() {
  * @returns {boolean}
  */
 export function getMuteState() {
-    return isMuted;
+    return isMixMuted();
 }
-
-// NOTE: The UI mute button was removed from the markup. The audio controller
-// continues to provide programmatic control via registerVideo/unregisterVideo,
-// muteAll/unmuteAll/toggleMute/getMuteState for internal modules (e.g. video textures).
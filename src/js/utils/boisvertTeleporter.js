@@ -1,6 +1,9 @@
 import * as THREE from 'three';
 import gsap from 'gsap';
 import MovementPad from './movementPad.js';
+import { isReducedMotion, motionDuration } from './motionPreferences.js';
+import { surfaceForObject } from './chaseFeedback.js';
+import { emit, on } from './eventBus.js';
 
 /**
  * Setup Boisvert model teleportation system
@@ -11,9 +14,13 @@ import MovementPad from './movementPad.js';
  * @param {Object} controls - The camera controls (for lookAt functionality)
  * @param {Array} boisvertSpawnPositions - Array of [x, y, z] positions where boisvert spawns
  * @param {Array} boisvertZRotations - Array of Z rotations for boisvert at each position
+ * @param {Object} options
+ * @param {Object} options.feedback - Chase feedback from setupChaseFeedback (footsteps, heartbeat, vignette)
+ * @param {Array} options.additionalPositions - DLC navigation positions; the first is where the hunt starts
+ * @param {Object} options.timeOfDay - Time-of-day controller from setupTimeOfDay; without one it's always night
  * @returns {Object} Manager object with update method
  */
-export function setupBoisvertTeleporter(scene, camera, navigationPositions, controls, boisvertSpawnPositions, boisvertZRotations) {
+export function setupBoisvertTeleporter(scene, camera, navigationPositions, controls, boisvertSpawnPositions, boisvertZRotations, { feedback = null, additionalPositions = [], timeOfDay = null } = {}) {
     let boisvertModel = null;
     let lastCameraPosition = new THREE.Vector3();
     let currentTargetIndex = -1;
@@ -45,6 +52,8 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
     // Collision/walk helpers and overlay state (defaults)
     let walkCollisionWalls = null;
     const walkRaycaster = new THREE.Raycaster();
+    const floorRaycaster = new THREE.Raycaster();
+    const DOWN = new THREE.Vector3(0, -1, 0);
     const walkPlayerRadius = 0.35;
     // Table registration helpers
     let __originalSceneAdd_tables = null;
@@ -197,6 +206,20 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
     // If either the player or Boisvert are suddenly teleported/jumped by more than
     // this distance during an active chase, treat it as an immediate death.
     const RESET_JUMP_THRESHOLD = 1.5; // units
+    // Horror-safe mode: Boisvert walks instead of running so the hunt stays a game of tag
+    const SAFE_CHASE_SPEED_SCALE = 0.6;
+    const SAFE_LOSS_MESSAGE_MS = 2200;
+    // Time of day: he's quickest and glitches most often in full night,
+    // and slows as the sky pales towards dawn
+    const PHASE_CHASE_SPEED_SCALE = { dusk: 0.85, night: 1.0, predawn: 0.75 };
+    const PHASE_GLITCH_INTERVAL_MS = { dusk: 6500, night: 5000, predawn: 8000 };
+    function currentPhase() {
+        try {
+            return timeOfDay && typeof timeOfDay.getPhase === 'function' ? timeOfDay.getPhase() : 'night';
+        } catch (e) {
+            return 'night';
+        }
+    }
 
     /**
      * Centralized loss handler used for immediate loss triggers.
@@ -206,20 +229,12 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
         try {
             if (update._loseTriggered) return;
             update._loseTriggered = true;
-            if (window && window.achievements && typeof window.achievements.unlock === 'function') {
-                try { window.achievements.unlock('game_lost'); } catch (e) {}
-            }
+            emit('game:lost', { reason });
             try { showDeathOverlay(); } catch (e) {}
 
             // Reset player and Boisvert positions to the first additional navigation point (or fallback)
             try {
-                let additional = null;
-                try {
-                    additional = (typeof window !== 'undefined' && Array.isArray(window.ADDITIONAL_NAVIGATION_POSITIONS)) ? window.ADDITIONAL_NAVIGATION_POSITIONS : null;
-                } catch (e) { additional = null; }
-                if (!additional && scene && scene.userData && Array.isArray(scene.userData.additionalNavigationPositions)) {
-                    additional = scene.userData.additionalNavigationPositions;
-                }
+                const additional = additionalPositions;
 
                 let dest = null;
                 if (additional && additional.length > 0) dest = additional[0];
@@ -256,8 +271,24 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
         }
     }
 
+    /**
+     * Footstep surface under the player (first mesh below the camera)
+     * @returns {string} 'snow', 'wood' or 'carpet'
+     */
+    function floorSurface() {
+        floorRaycaster.set(camera.position, DOWN);
+        floorRaycaster.far = 4;
+        // Skip the weather points: raycasting tens of thousands of particles is slow
+        const hits = floorRaycaster.intersectObjects(scene.children.filter(child => !child.isPoints), true);
+        const floor = hits.find(hit => hit.object.isMesh && !isChildOfBoisvert(hit.object));
+        return surfaceForObject(floor ? floor.object : null);
+    }
+
     function _chaseUpdate(now) {
-        if (!boisvertModel || !update || !update._chaseActive) return;
+        if (!boisvertModel || !update || !update._chaseActive) {
+            if (feedback) feedback.setThreat(null);
+            return;
+        }
 
         if (!update._lastChaseDecision) update._lastChaseDecision = 0;
         if (!update._lastChaseTime) update._lastChaseTime = now || performance.now();
@@ -277,6 +308,7 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
 
             const toPlayer = new THREE.Vector3().subVectors(target, origin);
             const dist = toPlayer.length();
+            if (feedback) feedback.setThreat(dist);
 
             // If Boisvert gets very close to the player, trigger the 'game_lost' achievement
             if (dist <= GAME_LOSE_DISTANCE) {
@@ -292,22 +324,12 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
                         update._loseTriggered = true;
                         // clear pending
                         update._losePendingAt = null;
-                        try {
-                            if (window && window.achievements && typeof window.achievements.unlock === 'function') {
-                                window.achievements.unlock('game_lost');
-                            }
-                        } catch (e) {}
+                        emit('game:lost', { reason: 'caught' });
                         try { showDeathOverlay(); } catch (e) {}
 
                         // Reset player and Boisvert positions to the first additional navigation point (or fallback)
                         try {
-                            let additional = null;
-                            try {
-                                additional = (typeof window !== 'undefined' && Array.isArray(window.ADDITIONAL_NAVIGATION_POSITIONS)) ? window.ADDITIONAL_NAVIGATION_POSITIONS : null;
-                            } catch (e) { additional = null; }
-                            if (!additional && scene && scene.userData && Array.isArray(scene.userData.additionalNavigationPositions)) {
-                                additional = scene.userData.additionalNavigationPositions;
-                            }
+                            const additional = additionalPositions;
 
                             let dest = null;
                             if (additional && additional.length > 0) dest = additional[0];
@@ -494,7 +516,8 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
 
         if (update._chaseMoveDir) {
             try {
-                const move = update._chaseMoveDir.clone().multiplyScalar(CHASE_SPEED * dt);
+                const phaseScale = PHASE_CHASE_SPEED_SCALE[currentPhase()] || 1;
+                const move = update._chaseMoveDir.clone().multiplyScalar(CHASE_SPEED * phaseScale * (isReducedMotion() ? SAFE_CHASE_SPEED_SCALE : 1) * dt);
                 let blockedByWall = false;
                 
                 try {
@@ -551,7 +574,7 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
     }
 
     function startNoiseLoop() {
-        if (_noiseEnabled) return;
+        if (_noiseEnabled || isReducedMotion()) return;
         if (!_noiseCanvas || !_noiseCtx) return;
         _noiseEnabled = true;
         _noiseLast = 0;
@@ -912,9 +935,50 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
         }
     }
 
+    /**
+     * Horror-safe stand-in for the death screen: a short plain-text note instead of the
+     * full-screen image. Resets the items list the same way.
+     */
+    function showSoftLossMessage() {
+        try {
+            _deathPlaying = true;
+            const msg = document.createElement('div');
+            msg.id = 'boisvert-soft-loss';
+            msg.setAttribute('role', 'status');
+            msg.innerText = 'BOISVERT TAGGED YOU - ITEMS RESET';
+            msg.style.position = 'fixed';
+            msg.style.left = '50%';
+            msg.style.top = '45%';
+            msg.style.transform = 'translate(-50%, -50%)';
+            msg.style.pointerEvents = 'none';
+            msg.style.zIndex = '100005';
+            msg.style.padding = '10px 18px';
+            msg.style.background = 'rgba(0,0,0,0.6)';
+            msg.style.color = '#ffffff';
+            msg.style.fontFamily = "'VT323', monospace";
+            msg.style.fontSize = '28px';
+            msg.style.letterSpacing = '2px';
+            document.body.appendChild(msg);
+
+            setTimeout(() => {
+                try {
+                    if (msg.parentNode) msg.parentNode.removeChild(msg);
+                } catch (e) {}
+                try { resetBoisvertItems(); } catch (e) {}
+                _deathPlaying = false;
+            }, SAFE_LOSS_MESSAGE_MS);
+        } catch (e) {
+            _deathPlaying = false;
+        }
+    }
+
     function showDeathOverlay() {
         try {
             if (_deathPlaying) return;
+            if (isReducedMotion()) {
+                showSoftLossMessage();
+                return;
+            }
             ensureDeathOverlay();
             if (!_deathOverlay || !_deathImage || !_deathBar) return;
             _deathPlaying = true;
@@ -1013,12 +1077,8 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
                         }
                     } catch (e) {}
 
-                    // Try to respawn interactive fetch items if manager available
-                    try {
-                        if (window && window.interactiveObjectsManager && typeof window.interactiveObjectsManager.respawnFetchItems === 'function') {
-                            try { window.interactiveObjectsManager.respawnFetchItems(); } catch (e) {}
-                        }
-                    } catch (e) {}
+                    // Put the fetch items back for the next hunt
+                    emit('hunt:respawnItems');
 
                     _winOverlay = null;
                     _winImage = null;
@@ -1034,7 +1094,8 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
     function showOverlay() {
         try {
             ensureOverlay();
-            if (_boisvertOverlay) _boisvertOverlay.style.opacity = '1';
+            // Horror-safe mode keeps the countdown but skips the vignette and static
+            if (_boisvertOverlay && !isReducedMotion()) _boisvertOverlay.style.opacity = '1';
             startNoiseLoop();
             startChaseMessageCountdown();
         } catch (e) {}
@@ -1150,8 +1211,7 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
                             lbl.style.textDecoration = '';
                             lbl.style.opacity = '1';
                         }
-                        const ev = new CustomEvent('boisvert:itemChange', { detail: { index: idx, checked: nowFound } });
-                        window.dispatchEvent(ev);
+                        emit('boisvert:itemChange', { index: idx, checked: nowFound });
                     } catch (e) {}
                 });
 
@@ -1161,15 +1221,6 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
 
             document.body.appendChild(wrapper);
             _itemsListEl = wrapper;
-            // wire runtime helpers to allow external code to mark/reset items
-            try {
-                if (typeof window !== 'undefined') {
-                    window.boisvertGame = window.boisvertGame || {};
-                    try { window.boisvertGame.__setItem = setBoisvertItemChecked; } catch (e) {}
-                    try { window.boisvertGame.__reset = resetBoisvertItems; } catch (e) {}
-                    try { window.boisvertGame.showIntro = showGameIntro; } catch (e) {}
-                }
-            } catch (e) {}
         } catch (e) {
             // ignore
         }
@@ -1189,7 +1240,7 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
                     lbl.style.textDecoration = '';
                     lbl.style.opacity = '1';
                 }
-                try { const ev = new CustomEvent('boisvert:itemChange', { detail: { index: index, checked: !!checked } }); window.dispatchEvent(ev); } catch (e) {}
+                emit('boisvert:itemChange', { index, checked: !!checked });
             }
         } catch (e) {}
     }
@@ -1210,27 +1261,23 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
 
     // Track item found state and trigger win behavior when all are collected
     let _foundFlags = [false, false, false];
-    let _itemChangeListener = null;
+    let _offItemChange = null;
     try {
-        _itemChangeListener = function(ev) {
+        const _itemChangeListener = function(d) {
             try {
-                const d = (ev && ev.detail) ? ev.detail : null;
-                if (!d || typeof d.index !== 'number') return;
+                if (typeof d.index !== 'number') return;
                 const idx = d.index;
                 const checked = !!d.checked;
                 if (idx >= 0 && idx < _foundFlags.length) {
                     _foundFlags[idx] = checked;
                 }
+                emit('hunt:progress', { found: _foundFlags.filter(Boolean).length, total: _foundFlags.length });
 
                 // If all three are true, and we haven't already triggered win sequence
                 const all = _foundFlags.every(x => x === true);
                 if (all && !_winTriggered) {
                     _winTriggered = true;
-                    try {
-                        if (window && window.achievements && typeof window.achievements.unlock === 'function') {
-                            window.achievements.unlock('game_won');
-                        }
-                    } catch (e) {}
+                    emit('game:won');
 
                     // Reset Boisvert position immediately so the scene is coherent while the overlay shows
                     try {
@@ -1246,18 +1293,32 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
                     } catch (e) {}
 
                     // Respawn fetch items immediately (and again after overlay cleanup)
-                    try {
-                        if (window && window.interactiveObjectsManager && typeof window.interactiveObjectsManager.respawnFetchItems === 'function') {
-                            try { window.interactiveObjectsManager.respawnFetchItems(); } catch (e) {}
-                        }
-                    } catch (e) {}
+                    emit('hunt:respawnItems');
 
                     try { showWinOverlay(); } catch (e) {}
                 }
             } catch (e) {}
         };
-        window.addEventListener('boisvert:itemChange', _itemChangeListener);
+        _offItemChange = on('boisvert:itemChange', _itemChangeListener);
     } catch (e) {}
+    // Interactive objects mark items found (or lost again on respawn) through the bus
+    const _offSetItem = on('hunt:setItem', ({ index, checked }) => setBoisvertItemChecked(index, checked));
+    // Arriving back on the previous orb turns the player towards Boisvert
+    const _offOrbArrived = on('orb:arrived', ({ previous }) => {
+        if (previous) lookAtBoisvert();
+    });
+
+    // Switching to reduced motion mid-hunt: drop the effects that are already on screen
+    const _offMotionChange = on('motion:changed', function({ reduced }) {
+        try {
+            if (!reduced) return;
+            stopNoiseLoop();
+            if (_boisvertOverlay) _boisvertOverlay.style.opacity = '0';
+            const canvas = document.querySelector('canvas');
+            if (canvas) canvas.style.filter = '';
+            document.body.classList.remove('boisvert-bw');
+        } catch (e) {}
+    });
 
     // brief intro popup shown at game start
     function ensureGameIntro() {
@@ -1366,9 +1427,7 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
                     } catch (e) {}
                     
                         try {
-                            if (window && window.achievements && typeof window.achievements.unlock === 'function') {
-                                window.achievements.unlock('game_start');
-                            }
+                            emit('game:started');
                             try {
                                 if (typeof update === 'function') update._chaseActive = true;
                             } catch(e) {}
@@ -1750,7 +1809,7 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
         try {
             let inAdditional = false;
             let targetIsAdditional = false;
-            const additional = (typeof window !== 'undefined' && Array.isArray(window.ADDITIONAL_NAVIGATION_POSITIONS)) ? window.ADDITIONAL_NAVIGATION_POSITIONS : null;
+            const additional = additionalPositions;
             
             if (additional && additional.length > 0) {
                 for (let ap of additional) {
@@ -1800,34 +1859,28 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
         
         const startQuaternion = camera.quaternion.clone();
         
-        gsap.to({t: 0}, {
-            t: 1,
-            duration: 1.0,
-            ease: 'power2.inOut',
-            onUpdate: function() {
-                camera.quaternion.slerpQuaternions(startQuaternion, targetQuaternion, this.targets()[0].t);
-                
-                if (controls && controls.target) {
-                    controls.target.copy(targetPosition);
-                }
+        if (isReducedMotion()) {
+            // Cut straight to the new view instead of swinging the camera round
+            camera.quaternion.copy(targetQuaternion);
+            if (controls && controls.target) {
+                controls.target.copy(targetPosition);
             }
-        });
-        
-        try {
-            window.achievements && window.achievements.unlock && window.achievements.unlock('looked_boisvert');
-        } catch(e) {}
-
-        try {
-            const ach = window.achievements;
-            if (ach && typeof ach.isUnlocked === 'function') {
-                const all = ach.isUnlocked('clicked_paper') && ach.isUnlocked('clicked_painting') && ach.isUnlocked('clicked_cola') && ach.isUnlocked('watched_screen');
-                if (all) {
-                    try {
-                        ach.unlock('master_interactor');
-                    } catch(e) {}
+        } else {
+            gsap.to({t: 0}, {
+                t: 1,
+                duration: 1.0,
+                ease: 'power2.inOut',
+                onUpdate: function() {
+                    camera.quaternion.slerpQuaternions(startQuaternion, targetQuaternion, this.targets()[0].t);
+                    
+                    if (controls && controls.target) {
+                        controls.target.copy(targetPosition);
+                    }
                 }
-            }
-        } catch(e) {}
+            });
+        }
+        
+        emit('boisvert:looked');
     }
     
     function isChildOfBoisvert(object) {
@@ -1843,66 +1896,51 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
 
     function onBoisvertClick(event) {
         try {
-            const additional = (window.ADDITIONAL_NAVIGATION_POSITIONS && Array.isArray(window.ADDITIONAL_NAVIGATION_POSITIONS)) ? window.ADDITIONAL_NAVIGATION_POSITIONS : null;
-            const additionalFromScene = scene && scene.userData && scene.userData.additionalNavigationPositions ? scene.userData.additionalNavigationPositions : null;
-            const additionalPositions = additional || additionalFromScene;
-            
-            if (!additionalPositions || additionalPositions.length === 0) return;
+            if (additionalPositions.length === 0) return;
 
             const target = additionalPositions[0];
             if (!target || target.length < 3) return;
 
-            if (window.navigateToPosition) {
-                pendingWalkTarget = new THREE.Vector3(target[0], target[1], target[2]);
-                try {
-                    gsap.to(camera.position, {
-                        x: target[0],
-                        y: target[1],
-                        z: target[2],
-                        duration: 0.4,
-                        ease: 'power2.inOut',
-                        onComplete: () => {
-                            if (window && window.flashlight) window.flashlight.intensity = 30;
-                            try {
-                                enableWalkMode(new THREE.Vector3(target[0], target[1], target[2]));
-                            } catch (e) {}
+            pendingWalkTarget = new THREE.Vector3(target[0], target[1], target[2]);
+            // Quick hop through the shared navigation (history, deep links and flashlight follow it)
+            emit('nav:goto', {
+                position: target,
+                flashlightIntensity: 30,
+                duration: 0.4,
+                source: 'boisvert',
+                onArrive: () => {
+                    try {
+                        enableWalkMode(new THREE.Vector3(target[0], target[1], target[2]));
+                    } catch (e) {}
 
-                            try {
-                                const lookTarget = new THREE.Vector3(camera.position.x, camera.position.y, camera.position.z - 1);
-                                const lookAtMatrix = new THREE.Matrix4();
-                                lookAtMatrix.lookAt(camera.position, lookTarget, camera.up);
-                                const targetQuat = new THREE.Quaternion();
-                                targetQuat.setFromRotationMatrix(lookAtMatrix);
-
-                                const startQuat = camera.quaternion.clone();
-                                gsap.to({ t: 0 }, {
-                                    t: 1,
-                                    duration: 0.6,
-                                    ease: 'power2.inOut',
-                                    onUpdate() {
-                                        camera.quaternion.slerpQuaternions(startQuat, targetQuat, this.targets()[0].t);
-                                        if (controls && controls.target && typeof controls.target.copy === 'function') {
-                                            const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion).multiplyScalar(2);
-                                            const ctrlTarget = camera.position.clone().add(forward);
-                                            controls.target.copy(ctrlTarget);
-                                        }
-                                    }
-                                });
-                            } catch (e) {
-                                // Ignore orientation failures
+                    try {
+                        const lookTarget = new THREE.Vector3(camera.position.x, camera.position.y, camera.position.z - 1);
+                        const lookAtMatrix = new THREE.Matrix4();
+                        lookAtMatrix.lookAt(camera.position, lookTarget, camera.up);
+                        const targetQuat = new THREE.Quaternion();
+                        targetQuat.setFromRotationMatrix(lookAtMatrix);
+
+                        const startQuat = camera.quaternion.clone();
+                        gsap.to({ t: 0 }, {
+                            t: 1,
+                            duration: motionDuration(0.6),
+                            ease: 'power2.inOut',
+                            onUpdate() {
+                                camera.quaternion.slerpQuaternions(startQuat, targetQuat, this.targets()[0].t);
+                                if (controls && controls.target && typeof controls.target.copy === 'function') {
+                                    const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(camera.quaternion).multiplyScalar(2);
+                                    const ctrlTarget = camera.position.clone().add(forward);
+                                    controls.target.copy(ctrlTarget);
+                                }
                             }
-                        }
-                    });
-                } catch (e) {
-                    // Fallback handled elsewhere
+                        });
+                    } catch (e) {
+                        // Ignore orientation failures
+                    }
                 }
-            } else {
-                window.navigateToPosition(target, 30);
-            }
+            });
             
-            try {
-                window.achievements && window.achievements.unlock && window.achievements.unlock('clicked_boisvert');
-            } catch (e) {}
+            emit('object:inspected', { id: 'boisvert' });
         } catch (e) {
             console.warn('[boisvertClick] failed', e);
         }
@@ -1969,10 +2007,13 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
         
         const now = performance.now();
         const vibrationDuration = 500;
-        const vibrationInterval = 5000;
+        const vibrationInterval = PHASE_GLITCH_INTERVAL_MS[currentPhase()] || 5000;
         const glitchAmount = 0.08;
 
-        if (!update.isVibrating && now - update.lastJitterTime > vibrationInterval) {
+        // No glitch vibration in reduced-motion mode
+        const reducedMotion = isReducedMotion();
+
+        if (!reducedMotion && !update.isVibrating && now - update.lastJitterTime > vibrationInterval) {
             update.isVibrating = true;
             update.vibrationStart = now;
             update.lastJitterTime = now;
@@ -1981,7 +2022,7 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
 
         if (update.isVibrating) {
             const elapsed = now - update.vibrationStart;
-            if (elapsed < vibrationDuration) {
+            if (elapsed < vibrationDuration && !reducedMotion) {
                 boisvertModel.position.x = update.originalPosition.x + (Math.random() - 0.5) * glitchAmount;
                 boisvertModel.position.y = update.originalPosition.y + (Math.random() - 0.5) * glitchAmount;
                 boisvertModel.position.z = update.originalPosition.z + (Math.random() - 0.5) * glitchAmount;
@@ -2030,7 +2071,7 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
         }
 
         try {
-            const additional = (typeof window !== 'undefined' && Array.isArray(window.ADDITIONAL_NAVIGATION_POSITIONS)) ? window.ADDITIONAL_NAVIGATION_POSITIONS : null;
+            const additional = additionalPositions;
             if (additional && additional.length > 0) {
                 let inAdditional = false;
                 for (let ap of additional) {
@@ -2164,10 +2205,14 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
                 }
 
                 if (!blocked) {
+                    const before = camera.position.clone();
                     camera.position.add(move);
                     camera.position.x = Math.max(walkBounds.minX, Math.min(walkBounds.maxX, camera.position.x));
                     camera.position.y = Math.max(walkBounds.minY, Math.min(walkBounds.maxY, camera.position.y));
                     camera.position.z = Math.max(walkBounds.minZ, Math.min(walkBounds.maxZ, camera.position.z));
+                    if (feedback) {
+                        try { feedback.onWalk(Math.hypot(camera.position.x - before.x, camera.position.z - before.z), floorSurface); } catch (e) {}
+                    }
 
                     if (controls && controls.target && typeof controls.target.copy === 'function') {
                         controls.target.copy(camera.position);
@@ -2238,10 +2283,11 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
 
                             if (shouldApplyBW && !update._bwActive) {
                                 update._bwActive = true;
-                                if (canvas) {
+                                // Horror-safe mode skips the grayscale flash and only runs the countdown
+                                if (!reducedMotion && canvas) {
                                     canvas.style.transition = canvas.style.transition || 'filter 0.35s ease';
                                     canvas.style.filter = 'grayscale(100%)';
-                                } else {
+                                } else if (!reducedMotion) {
                                     document.body.classList.add('boisvert-bw');
                                 }
                                 showOverlay();
@@ -2320,9 +2366,6 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
                     raycaster.setFromCamera(pointer, camera);
                     const intersects = raycaster.intersectObject(boisvertModel, true);
                     if (intersects && intersects.length > 0) {
-                        try {
-                            window.achievements && window.achievements.unlock && window.achievements.unlock('visited_first_dlc');
-                        } catch(e) {}
                         onBoisvertClick(ev);
                     }
                 } catch (e) {
@@ -2359,9 +2402,6 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
                 }
             });
 
-            try {
-                window.boisvertClickHandler = onBoisvertClick;
-            } catch (e) {}
         }
     } catch (e) {}
     
@@ -2370,6 +2410,12 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
         update,
         getBoisvertPosition,
         lookAtBoisvert,
+        /**
+         * @returns {THREE.Object3D} The Boisvert model (e.g. to attach sounds to)
+         */
+        getModel() {
+            return boisvertModel;
+        },
         forceRegisterTables() {
             try {
                 console.log('[boisvertTeleporter] forceRegisterTables called');
@@ -2381,12 +2427,13 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
         }
         ,
         dispose() {
-            try {
-                if (_itemChangeListener && typeof window !== 'undefined') {
-                    try { window.removeEventListener('boisvert:itemChange', _itemChangeListener); } catch(e) {}
-                    _itemChangeListener = null;
-                }
-            } catch (e) {}
+            if (_offItemChange) {
+                _offItemChange();
+                _offItemChange = null;
+            }
+            _offMotionChange();
+            _offSetItem();
+            _offOrbArrived();
             try {
                 if (__originalSceneAdd_tables && scene && scene.add) {
                     try { scene.add = __originalSceneAdd_tables; } catch(e) {}
@@ -2395,22 +2442,5 @@ export function setupBoisvertTeleporter(scene, camera, navigationPositions, cont
         }
     };
 
-    try { window.boisvertTeleporterManager = manager; } catch (e) {}
-
     return manager;
 }
-
-// Expose small runtime helpers for the items list so other game code can mark items
-try {
-    if (typeof window !== 'undefined') {
-        window.boisvertGame = window.boisvertGame || {};
-        window.boisvertGame.setItemChecked = function(i, v) {
-            try { if (i !== undefined && typeof i === 'number') { const fn = window.boisvertGame.__setItem; if (fn) fn(i, !!v); } } catch(e){}
-        };
-        window.boisvertGame.resetItems = function() { try { const fn = window.boisvertGame.__reset; if (fn) fn(); } catch(e){} };
-        // wire internal functions if available
-        try { window.boisvertGame.__setItem = setBoisvertItemChecked; } catch (e) {}
-        try { window.boisvertGame.__reset = resetBoisvertItems; } catch (e) {}
-        try { window.boisvertGame.showIntro = showGameIntro; } catch (e) {}
-    }
-} catch (e) {}
\ No newline at end of file
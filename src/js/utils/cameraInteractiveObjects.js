@@ -1,6 +1,8 @@
 import gsap from 'gsap';
 import * as THREE from 'three';
 import { registerInteractiveManager } from './cursorManager.js';
+import { motionDuration } from './motionPreferences.js';
+import { emit } from './eventBus.js';
 
 /**
  * Setup camera-interactive objects that move the camera when clicked
@@ -105,12 +107,14 @@ export function setupCameraInteractiveObjects(scene, domElement, camera, cameraI
             flashlight.intensity = 5;
         }
 
+        emit('camera:navigate', { position: targetPos.slice(), flashlightIntensity: 5, source: 'screen', objectName: config.objectName });
+
         // Move camera to target position
         gsap.to(camera.position, {
             x: targetPos[0],
             y: targetPos[1],
             z: targetPos[2],
-            duration: moveDuration,
+            duration: motionDuration(moveDuration),
             ease: 'power2.inOut',
             onComplete: () => {
                 // Show video player if available
@@ -289,6 +293,19 @@ export function setupCameraInteractiveObjects(scene, domElement, camera, cameraI
         },
         getPreviousCameraPosition() {
             return previousCameraPosition;
+        },
+        /**
+         * Camera-interactive objects a keyboard user can reach (same positions that show the indicator)
+         * @returns {Array<Object>} Focus targets ({ id, object, label, activate })
+         */
+        getFocusTargets() {
+            if (!isCameraAtAllowedPosition()) return [];
+            return cameraInteractiveObjects.map(obj => ({
+                id: `camera:${obj.uuid}`,
+                object: obj,
+                label: obj.userData.cameraConfig.objectName,
+                activate: () => onObjectClick(obj)
+            }));
         }
     };
 }
@@ -0,0 +1,171 @@
+import { playOneShot, playLoop } from '../audio/audioManager.js';
+import { footstep, heartbeat, breathing } from '../audio/proceduralSounds.js';
+import { isReducedMotion } from './motionPreferences.js';
+import { on } from './eventBus.js';
+
+/**
+ * Walk-mode and chase feedback. boisvertTeleporter reports how far the player walked
+ * (footsteps every stride, with a sound for the surface underfoot) and how far Boisvert
+ * is during the chase (heartbeat, breathing and an optional vignette that close in with
+ * him). Sounds go through the audio manager's buses, so the volume settings apply;
+ * horror-safe mode softens the heartbeat and breathing and never shows the vignette.
+ */
+
+// Distance walked per footstep
+const STRIDE = 0.75;
+// Boisvert further than this causes no reaction; at THREAT_MIN_DISTANCE it's at full strength
+const THREAT_RANGE = 14;
+const THREAT_MIN_DISTANCE = 1.2;
+// Heart rate at the edge of the range and with Boisvert on top of the player
+const HEART_BPM = [70, 170];
+// Breaths per second, same ends
+const BREATH_RATE = [0.3, 1.2];
+// Horror-safe mode caps the threat at this level
+const SAFE_THREAT_SCALE = 0.4;
+
+// Name fragments of floor objects / materials for each footstep surface
+const SURFACE_KEYWORDS = {
+    wood: ['wood', 'floor', 'plank', 'cabin', 'porch', 'stair'],
+    carpet: ['carpet', 'backroom', 'rug'],
+    snow: ['snow', 'ground', 'terrain', 'grass', 'path']
+};
+// Walk mode only runs in the backrooms today
+const DEFAULT_SURFACE = 'carpet';
+
+/**
+ * Pick a footstep surface from the object (and material) under the player
+ * @param {THREE.Object3D|null} object - Floor hit by a downward ray
+ * @returns {string} 'snow', 'wood' or 'carpet'
+ */
+export function surfaceForObject(object) {
+    if (!object) return DEFAULT_SURFACE;
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    const names = [object.name, ...materials.map(m => m && m.name)].filter(Boolean).join(' ').toLowerCase();
+    const match = Object.keys(SURFACE_KEYWORDS).find(surface => SURFACE_KEYWORDS[surface].some(k => names.includes(k)));
+    return match || DEFAULT_SURFACE;
+}
+
+function lerp(range, t) {
+    return range[0] + (range[1] - range[0]) * t;
+}
+
+/**
+ * Setup the walk / chase feedback
+ * @param {Object} options
+ * @param {boolean} options.vignette - Show the proximity vignette (never in horror-safe mode)
+ * @returns {Object} Feedback with onWalk, setThreat, setVignetteEnabled, getThreat and dispose
+ */
+export function setupChaseFeedback({ vignette = true } = {}) {
+    let walked = 0;
+    let threat = 0;
+    let vignetteEnabled = vignette;
+    let beatTimer = null;
+    let breath = null;
+    let vignetteEl = null;
+    let shownVignette = -1;
+
+    function ensureVignette() {
+        if (vignetteEl) return vignetteEl;
+        vignetteEl = document.createElement('div');
+        vignetteEl.id = 'chase-vignette';
+        vignetteEl.setAttribute('aria-hidden', 'true');
+        Object.assign(vignetteEl.style, {
+            position: 'fixed',
+            inset: '0',
+            pointerEvents: 'none',
+            zIndex: '900',
+            opacity: '0',
+            transition: 'opacity 0.3s linear'
+        });
+        document.body.appendChild(vignetteEl);
+        return vignetteEl;
+    }
+
+    function renderVignette() {
+        const level = (vignetteEnabled && !isReducedMotion()) ? threat : 0;
+        // Skip tiny changes; this is called at the chase's decision rate
+        if (Math.abs(level - shownVignette) < 0.02) return;
+        shownVignette = level;
+        if (level === 0 && !vignetteEl) return;
+        const el = ensureVignette();
+        const clear = Math.round(70 - level * 45);
+        el.style.background = `radial-gradient(ellipse at center, rgba(0,0,0,0) ${clear}%, rgba(20,0,0,0.92) 100%)`;
+        el.style.opacity = String(Math.min(1, level * 1.2));
+    }
+
+    function scheduleBeat() {
+        if (beatTimer || threat <= 0) return;
+        const bpm = lerp(HEART_BPM, threat);
+        beatTimer = setTimeout(() => {
+            beatTimer = null;
+            if (threat <= 0) return;
+            playOneShot(heartbeat, { volume: 0.3 + threat * 0.7 });
+            scheduleBeat();
+        }, 60000 / bpm);
+    }
+
+    function updateBreathing() {
+        if (threat > 0 && !breath) breath = playLoop(breathing, { bus: 'voice', volume: 0 });
+        if (!breath) return;
+        breath.setVolume(threat * 0.8);
+        if (breath.sound.setRate) breath.sound.setRate(lerp(BREATH_RATE, threat));
+        if (threat === 0) {
+            // Let the fade finish before stopping the loop
+            const fading = breath;
+            breath = null;
+            setTimeout(() => fading.stop(), 1500);
+        }
+    }
+
+    const offMotionChanged = on('motion:changed', () => renderVignette());
+
+    return {
+        /**
+         * Count distance walked; plays a footstep every stride
+         * @param {number} distance - Distance moved this frame
+         * @param {Function} getSurface - Returns the surface underfoot; only called on a step
+         */
+        onWalk(distance, getSurface) {
+            if (!(distance > 0)) return;
+            walked += distance;
+            if (walked < STRIDE) return;
+            walked %= STRIDE;
+            let surface = DEFAULT_SURFACE;
+            try { surface = getSurface ? getSurface() : DEFAULT_SURFACE; } catch (e) {}
+            playOneShot(ctx => footstep(ctx, surface), { volume: 0.8 });
+        },
+        /**
+         * Report Boisvert's distance during the chase, or null when there is no chase
+         * @param {number|null} distance
+         */
+        setThreat(distance) {
+            let next = 0;
+            if (typeof distance === 'number' && Number.isFinite(distance)) {
+                next = 1 - (distance - THREAT_MIN_DISTANCE) / (THREAT_RANGE - THREAT_MIN_DISTANCE);
+                next = Math.max(0, Math.min(1, next));
+                if (isReducedMotion()) next *= SAFE_THREAT_SCALE;
+            }
+            if (next === threat) return;
+            threat = next;
+            scheduleBeat();
+            updateBreathing();
+            renderVignette();
+        },
+        getThreat() {
+            return threat;
+        },
+        setVignetteEnabled(enabled) {
+            vignetteEnabled = !!enabled;
+            renderVignette();
+        },
+        dispose() {
+            offMotionChanged();
+            clearTimeout(beatTimer);
+            beatTimer = null;
+            if (breath) breath.stop();
+            breath = null;
+            if (vignetteEl && vignetteEl.parentNode) vignetteEl.parentNode.removeChild(vignetteEl);
+            vignetteEl = null;
+        }
+    };
+}
@@ -0,0 +1,215 @@
+import { emit, on, once } from './eventBus.js';
+
+/**
+ * Shareable deep links. The URL hash records the current navigation node and the open
+ * popup, e.g. `#at=cabin&open=resume`. Opening such a URL jumps straight there once the
+ * visitor has entered the woods. `?at=...&open=...` is accepted too for links where a
+ * hash gets stripped; the hash wins if both are present.
+ */
+
+// How close the camera must be to a node to count as "at" it
+const NODE_MATCH_DISTANCE = 0.5;
+const ROUTE_KEYS = ['at', 'open'];
+
+/**
+ * Setup deep-link routing
+ * @param {THREE.Camera} camera - The main camera
+ * @param {Object} sceneData - Resolved scene manifest (see resolveSceneManifest)
+ * @param {Function} getInteractiveManager - Returns the interactive objects manager, or null
+ *   until the model has loaded
+ * @returns {Object} Deep link controller with apply, getState and dispose
+ */
+export function setupDeepLinks(camera, sceneData, getInteractiveManager = () => null) {
+    const nodeIds = sceneData.nodeIds;
+    const positions = sceneData.orbNavigationPositions;
+    const lastBaseIndex = sceneData.navigationPositions.length - 1;
+
+    // popup element id -> interactive object that opens it (from the manifest's `popup` field)
+    const popupObjects = new Map();
+    sceneData.interactiveConfigs.forEach((config) => {
+        if (config.popup) popupObjects.set(config.popup, config.objectName);
+    });
+
+    const state = {
+        nodeIndex: null,
+        popupId: null
+    };
+    // Don't touch the URL until the incoming link has been applied, otherwise the
+    // pre-welcome state would overwrite it
+    let applied = false;
+
+    function distanceTo(pos) {
+        const dx = camera.position.x - pos[0];
+        const dy = camera.position.y - pos[1];
+        const dz = camera.position.z - pos[2];
+        return Math.sqrt(dx * dx + dy * dy + dz * dz);
+    }
+
+    function findNodeAt(position) {
+        let best = null;
+        let bestDist = NODE_MATCH_DISTANCE;
+        positions.forEach((pos, idx) => {
+            const d = Math.hypot(position[0] - pos[0], position[1] - pos[1], position[2] - pos[2]);
+            if (d <= bestDist) {
+                bestDist = d;
+                best = idx;
+            }
+        });
+        return best;
+    }
+
+    function resolveNode(value) {
+        if (value === null || value === '') return null;
+        const byId = nodeIds.indexOf(value);
+        if (byId !== -1) return byId;
+        const asIndex = Number(value);
+        if (Number.isInteger(asIndex) && asIndex >= 0 && asIndex < positions.length) return asIndex;
+        console.warn('[deepLinks] unknown location in URL:', value);
+        return null;
+    }
+
+    function resolvePopup(value) {
+        if (!value) return null;
+        const wanted = value.toLowerCase();
+        for (const popupId of popupObjects.keys()) {
+            if (popupId.toLowerCase() === wanted || popupId.replace(/Popup$/, '').toLowerCase() === wanted) {
+                return popupId;
+            }
+        }
+        console.warn('[deepLinks] unknown popup in URL:', value);
+        return null;
+    }
+
+    /**
+     * Read the requested route from the current URL
+     * @returns {{nodeIndex: (number|null), popupId: (string|null)}}
+     */
+    function parseLocation() {
+        const hashParams = new URLSearchParams(window.location.hash.replace(/^#\/?/, ''));
+        const queryParams = new URLSearchParams(window.location.search);
+        const read = (key) => hashParams.has(key) ? hashParams.get(key) : queryParams.get(key);
+        return {
+            nodeIndex: resolveNode(read('at')),
+            popupId: resolvePopup(read('open'))
+        };
+    }
+
+    function writeLocation() {
+        if (!applied) return;
+        try {
+            const params = new URLSearchParams();
+            if (state.nodeIndex !== null) params.set('at', nodeIds[state.nodeIndex]);
+            if (state.popupId) params.set('open', state.popupId.replace(/Popup$/, ''));
+
+            // Drop route keys from the query once they've been consumed so they can't disagree with the hash
+            const query = new URLSearchParams(window.location.search);
+            ROUTE_KEYS.forEach(key => query.delete(key));
+            const search = query.toString();
+            const hash = params.toString();
+            const url = `${window.location.pathname}${search ? `?${search}` : ''}${hash ? `#${hash}` : ''}`;
+            if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+                window.history.replaceState(window.history.state, '', url);
+            }
+        } catch (e) {
+            console.warn('[deepLinks] failed to update URL', e);
+        }
+    }
+
+    function openPopup(popupId) {
+        const objectName = popupObjects.get(popupId);
+        const manager = getInteractiveManager();
+        if (manager && typeof manager.activate === 'function' && manager.activate(objectName)) return;
+        // Interactive objects aren't ready (or the object is missing): show the card on its own
+        const popup = document.getElementById(popupId);
+        if (popup) popup.style.display = 'block';
+    }
+
+    /**
+     * Jump to the state described by the URL. Popups that belong to an interactive object
+     * first move the camera to a node where that object can be used.
+     */
+    function apply() {
+        applied = true;
+        const target = parseLocation();
+        let nodeIndex = target.nodeIndex;
+
+        if (target.popupId) {
+            const allowed = sceneData.interactiveAllowedPositions.map(findNodeAt).filter(idx => idx !== null);
+            if (allowed.length > 0 && !allowed.includes(nodeIndex)) {
+                nodeIndex = allowed[0];
+            }
+        }
+
+        const finish = () => {
+            if (target.popupId) openPopup(target.popupId);
+            writeLocation();
+        };
+
+        if (nodeIndex === null || distanceTo(positions[nodeIndex]) <= NODE_MATCH_DISTANCE) {
+            if (nodeIndex !== null) state.nodeIndex = nodeIndex;
+            finish();
+            return;
+        }
+
+        const intensity = nodeIndex === lastBaseIndex ? 5 : 30;
+        emit('nav:goto', { position: positions[nodeIndex], flashlightIntensity: intensity, source: 'deepLink', onArrive: finish });
+    }
+
+    // Keep the URL in sync with navigation
+    const onOrbArrived = ({ index: idx }) => {
+        if (typeof idx !== 'number') return;
+        state.nodeIndex = idx;
+        writeLocation();
+    };
+    const onNavArrived = ({ position: pos }) => {
+        if (!Array.isArray(pos)) return;
+        // Teleports to arbitrary spots (e.g. the Boisvert chase) don't correspond to a node
+        state.nodeIndex = findNodeAt(pos);
+        writeLocation();
+    };
+    const onHashChange = () => {
+        // Back/Forward through camera moves also changes the hash; navigationHistory owns those
+        const historyState = window.history.state;
+        if (historyState && historyState.psxNav) return;
+        if (applied) apply();
+    };
+    const onWelcome = () => apply();
+
+    const unsubscribers = [
+        on('orb:arrived', onOrbArrived),
+        on('nav:arrived', onNavArrived),
+        once('welcome:entered', onWelcome)
+    ];
+    window.addEventListener('hashchange', onHashChange);
+
+    // Popups are opened and closed from several places (interactive objects, close buttons),
+    // so watch their visibility rather than hooking each call site
+    const observers = [];
+    popupObjects.forEach((objectName, popupId) => {
+        const el = document.getElementById(popupId);
+        if (!el || typeof MutationObserver === 'undefined') return;
+        const observer = new MutationObserver(() => {
+            const visible = el.style.display !== 'none' && el.style.display !== '';
+            if (visible) {
+                state.popupId = popupId;
+            } else if (state.popupId === popupId) {
+                state.popupId = null;
+            }
+            writeLocation();
+        });
+        observer.observe(el, { attributes: true, attributeFilter: ['style'] });
+        observers.push(observer);
+    });
+
+    return {
+        apply,
+        getState() {
+            return { node: state.nodeIndex !== null ? nodeIds[state.nodeIndex] : null, popup: state.popupId };
+        },
+        dispose() {
+            unsubscribers.forEach(off => off());
+            window.removeEventListener('hashchange', onHashChange);
+            observers.forEach(observer => observer.disconnect());
+        }
+    };
+}
@@ -0,0 +1,188 @@
+/**
+ * Application event bus. Every app event is declared in EVENTS with its payload shape;
+ * modules emit and subscribe through here instead of building window CustomEvents.
+ * Most events are facts ("this happened"); commands ask the one module that owns a
+ * system to do something (move the camera, mark a hunt item) so callers don't need a
+ * handle on that module.
+ *
+ * Events still travel as CustomEvents on window, which is the compatibility bridge:
+ * code that listens on window keeps working, and window events dispatched by anything
+ * else (the console, old snippets) reach bus subscribers. Payloads are checked against
+ * the registry and mismatches are warned about once per event and field. A tap
+ * (tapEvents / setEventLogging) sees all registered traffic.
+ */
+
+/**
+ * Registered events. Payload fields are 'string', 'number', 'boolean', 'array', 'object'
+ * or 'any'; a trailing '?' marks a field as optional. Extra fields are allowed.
+ */
+export const EVENTS = {
+    // Boot and UI
+    'models:ready': { models: 'object' },
+    'models:error': { error: 'any', url: 'string' },
+    'welcome:entered': {},
+    'settings:changed': { key: 'string', value: 'any', settings: 'object' },
+    'motion:changed': { reduced: 'boolean', mode: 'string' },
+    'portfolio:shown': { fallback: 'boolean' },
+    'portfolio:hidden': {},
+    // Navigation
+    'camera:navigate': { position: 'array', flashlightIntensity: 'number', source: 'string', objectName: 'string?' },
+    'orb:arrived': { index: 'number', previous: 'boolean?' },
+    'nav:arrived': { position: 'array' },
+    'zone:entered': { zone: 'string', index: 'number' },
+    // World
+    'weather:changed': { state: 'string', zone: 'any', reason: 'string?' },
+    'timeofday:changed': { phase: 'string', hours: 'number' },
+    'object:inspected': { id: 'string', source: 'string?' },
+    'tv:channel': { index: 'number', id: 'string', title: 'string' },
+    'tv:watched': { id: 'string', title: 'string', watched: 'array', total: 'number' },
+    // Boisvert and the hunt
+    'boisvert:looked': {},
+    'boisvert:itemChange': { index: 'number', checked: 'boolean' },
+    'boisvert:teleportToStart': {},
+    'boisvert:playerLost': {},
+    'boisvert:dlcAreaEntered': {},
+    'hunt:progress': { found: 'number', total: 'number' },
+    'game:started': {},
+    'game:lost': { reason: 'string?' },
+    'game:won': {},
+    // Commands, each handled by one module
+    'nav:goto': { position: 'array', flashlightIntensity: 'number?', duration: 'number?', source: 'string?', onArrive: 'any?' },
+    'hunt:setItem': { index: 'number', checked: 'boolean' },
+    'hunt:respawnItems': {},
+    // Achievements
+    'achievement:unlocked': { id: 'string', achievement: 'object' },
+    'achievement:progress': { id: 'string', current: 'number', total: 'number' },
+    'achievements:imported': { added: 'array' },
+    'achievements:reset': {}
+};
+
+const warned = new Set();
+const taps = new Set();
+// Window listeners that feed the taps, one per registered event while any tap exists
+const tapListeners = new Map();
+let logging = false;
+
+function warnOnce(key, ...args) {
+    if (warned.has(key)) return;
+    warned.add(key);
+    console.warn('[eventBus]', ...args);
+}
+
+function typeMatches(type, value) {
+    if (type === 'any') return true;
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'object') return value !== null && typeof value === 'object';
+    return typeof value === type;
+}
+
+/**
+ * Warn (once) about unknown events and payloads that don't match the registry
+ */
+function check(name, detail) {
+    const shape = EVENTS[name];
+    if (!shape) {
+        warnOnce(name, `unregistered event "${name}"; add it to EVENTS`);
+        return;
+    }
+    Object.keys(shape).forEach((field) => {
+        const optional = shape[field].endsWith('?');
+        const type = optional ? shape[field].slice(0, -1) : shape[field];
+        const value = detail ? detail[field] : undefined;
+        if (value === undefined) {
+            if (!optional) warnOnce(`${name}.${field}`, `"${name}" is missing ${field}`);
+        } else if (!typeMatches(type, value)) {
+            warnOnce(`${name}.${field}`, `"${name}" ${field} should be ${type}`, value);
+        }
+    });
+}
+
+/**
+ * Emit an event
+ * @param {string} name - Registered event name, e.g. 'orb:arrived'
+ * @param {Object} detail - Payload
+ */
+export function emit(name, detail = {}) {
+    check(name, detail);
+    try {
+        window.dispatchEvent(new CustomEvent(name, { detail }));
+    } catch (e) {
+        console.warn('[eventBus] emit failed', name, e);
+    }
+}
+
+/**
+ * Subscribe to an event
+ * @param {string} name - Registered event name
+ * @param {Function} handler - Called with the payload
+ * @param {Object} options
+ * @param {boolean} options.once - Unsubscribe after the first call
+ * @returns {Function} Unsubscribe
+ */
+export function on(name, handler, { once = false } = {}) {
+    if (!EVENTS[name]) warnOnce(name, `subscribing to unregistered event "${name}"`);
+    const listener = (e) => {
+        if (once) off();
+        try {
+            handler(e.detail || {});
+        } catch (err) {
+            console.warn('[eventBus] handler failed for', name, err);
+        }
+    };
+    function off() {
+        window.removeEventListener(name, listener);
+    }
+    window.addEventListener(name, listener);
+    return off;
+}
+
+/**
+ * Subscribe for one call
+ * @param {string} name - Registered event name
+ * @param {Function} handler - Called with the payload
+ * @returns {Function} Unsubscribe (before it has fired)
+ */
+export function once(name, handler) {
+    return on(name, handler, { once: true });
+}
+
+/**
+ * Watch all registered traffic, whoever dispatched it
+ * @param {Function} fn - Called with (name, detail)
+ * @returns {Function} Remove the tap
+ */
+export function tapEvents(fn) {
+    taps.add(fn);
+    if (tapListeners.size === 0) {
+        Object.keys(EVENTS).forEach((name) => {
+            const listener = (e) => taps.forEach((tap) => {
+                try { tap(name, e.detail); } catch (err) {}
+            });
+            window.addEventListener(name, listener);
+            tapListeners.set(name, listener);
+        });
+    }
+    return () => {
+        taps.delete(fn);
+        if (taps.size > 0) return;
+        tapListeners.forEach((listener, name) => window.removeEventListener(name, listener));
+        tapListeners.clear();
+    };
+}
+
+let untapLogger = null;
+
+/**
+ * Log every event to the console (Settings → Developer)
+ * @param {boolean} enabled
+ */
+export function setEventLogging(enabled) {
+    if (!!enabled === logging) return;
+    logging = !!enabled;
+    if (logging) {
+        untapLogger = tapEvents((name, detail) => console.debug('[eventBus]', name, detail));
+    } else if (untapLogger) {
+        untapLogger();
+        untapLogger = null;
+    }
+}
@@ -2,6 +2,13 @@
 import gsap from 'gsap';
 import * as THREE from 'three';
 import { registerInteractiveManager } from './cursorManager.js';
+import { loadTexture } from '../loaders/assetLoadingManager.js';
+import { loadSample, playOneShot } from '../audio/audioManager.js';
+import { emit, on } from './eventBus.js';
+
+const COLA_SOUND_URL = 'src/sounds/cola-drink.mp3';
+// Decoded on the first cola click; null again after a failed load so the next click retries
+let colaSample = null;
 
 /**
  * Setup interactive objects that can be clicked and animated
@@ -108,8 +115,7 @@ export function setupInteractiveObjects(scene, domElement, camera, interactiveCo
             object.traverse((child) => {
                 if (child.isMesh && child.material) {
                     const oldMaterial = child.material;
-                    const loader = new THREE.TextureLoader();
-                    loader.load('src/textures/Resume.webp', (texture) => {
+                    loadTexture('src/textures/Resume.webp', (texture) => {
                         texture.center.set(0.5, 0.5);
                         texture.rotation = -Math.PI / 2;
                         // Zoom out by 10%
@@ -173,34 +179,10 @@ export function setupInteractiveObjects(scene, domElement, camera, interactiveCo
         return -1;
     }
 
-    /**
-     * Determine whether the Boisvert chase is currently active.
-     * We check a few possible globals/properties to be tolerant of different modules.
-     */
+    // The Boisvert chase starts with game:started and ends when the player is caught
+    let chaseActive = false;
     function isChaseActive() {
-        try {
-            if (typeof window === 'undefined') return false;
-            const bt = window.boisvertTeleporterManager;
-            const bg = window.boisvertGame;
-            // common property names used across modules
-            if (bt) {
-                // The teleporter manager exposes an `update` function which carries
-                // an internal `_chaseActive` flag (see boisvertTeleporter.js). Check that first.
-                try {
-                    if (bt.update && bt.update._chaseActive) return true;
-                } catch (e) {}
-                if (bt.isChaseActive || bt.chaseActive || bt._isChaseActive) return true;
-                if (typeof bt.isChasing === 'boolean') return !!bt.isChasing;
-            }
-            if (bg) {
-                if (bg.isChasing || bg.chaseActive || bg.inChase) return true;
-                // some code paths may put the chase flag on the bg.update object
-                try { if (bg.update && bg.update._chaseActive) return true; } catch (e) {}
-            }
-        } catch (e) {
-            // ignore
-        }
-        return false;
+        return chaseActive;
     }
 
     /**
@@ -236,14 +218,9 @@ export function setupInteractiveObjects(scene, domElement, camera, interactiveCo
                     obj.userData.shouldJitter = false;
                     obj.userData.targetPosition = null;
 
-                    // If the global game tracks collection state, mark item as unchecked
-                    try {
-                        const idx = getFetchItemIndexByName(cfg.objectName || obj.name);
-                        const setter = window && window.boisvertGame && window.boisvertGame.setItemChecked;
-                        if (typeof setter === 'function' && idx >= 0) {
-                            try { window.boisvertGame.setItemChecked(idx, false); } catch (e) { /* ignore */ }
-                        }
-                    } catch (e) {}
+                    // Untick the item in the hunt's list
+                    const idx = getFetchItemIndexByName(cfg.objectName || obj.name);
+                    if (idx >= 0) emit('hunt:setItem', { index: idx, checked: false });
 
                     // Show indicator again if present
                     const ind = indicators.get(obj);
@@ -291,19 +268,12 @@ export function setupInteractiveObjects(scene, domElement, camera, interactiveCo
         if (config && config.isFetchItem) {
             try {
                 const objName = (config.objectName || object.name || '').toLowerCase();
-                // If this is the easter egg, only award the achievement and do NOT mark the hunt item
+                // If this is the easter egg, only report it (for the achievement) and do NOT mark the hunt item
                 if (objName.includes('easter')) {
-                    try {
-                        if (window && window.achievements && typeof window.achievements.unlock === 'function') {
-                            window.achievements.unlock('clicked_easter');
-                        }
-                    } catch (e) {}
+                    emit('object:inspected', { id: 'easter' });
                 } else {
                     const idx = getFetchItemIndexByName(config.objectName || object.name);
-                    const setter = window && window.boisvertGame && window.boisvertGame.setItemChecked;
-                    if (typeof setter === 'function' && idx >= 0) {
-                        try { window.boisvertGame.setItemChecked(idx, true); } catch (e) { /* ignore */ }
-                    }
+                    if (idx >= 0) emit('hunt:setItem', { index: idx, checked: true });
                 }
             } catch (e) {
                 console.warn('[interactiveObjects] fetchitem marking failed', e);
@@ -359,32 +329,18 @@ export function setupInteractiveObjects(scene, domElement, camera, interactiveCo
                         // Show LinkedIn popup for cola bottle
                         if (config.objectName === 'cola') {
                             const popup = document.getElementById('linkedinPopup');
-                            try {
-                                if (!window.__colaAudio) {
-                                    window.__colaAudio = new Audio('src/sounds/cola-drink.mp3');
-                                    window.__colaAudio.preload = 'auto';
-                                }
-                                const playPromise = window.__colaAudio.play();
-                                if (playPromise && typeof playPromise.then === 'function') {
-                                    playPromise.catch(() => { /* ignore autoplay rejection */ });
-                                }
-                            } catch (audioErr) {
-                                console.warn('[interactiveObjects] cola audio failed to play', audioErr);
-                            }
+                            playColaSound();
                             if (popup) popup.style.display = 'block';
-                            try { window.achievements && window.achievements.unlock && window.achievements.unlock('clicked_cola'); } catch(e) {}
                         }
 
                         // Show Resume popup for paper
                         if (config.objectName === 'paper') {
                             const popup = document.getElementById('resumePopup');
                             if (popup) popup.style.display = 'block';
-                            try { window.achievements && window.achievements.unlock && window.achievements.unlock('clicked_paper'); } catch(e) {}
                             // Set Resume.webp as paper texture
                             object.traverse((child) => {
                                 if (child.isMesh && child.material) {
-                                    const loader = new THREE.TextureLoader();
-                                    loader.load('src/textures/Resume.webp', (texture) => {
+                                    loadTexture('src/textures/Resume.webp', (texture) => {
                                         texture.center.set(0.5, 0.5);
                                         texture.rotation = -Math.PI / 2;
                                         child.material.map = texture;
@@ -398,17 +354,12 @@ export function setupInteractiveObjects(scene, domElement, camera, interactiveCo
                         if (config.objectName === 'painting') {
                             const popup = document.getElementById('aboutPopup');
                             if (popup) popup.style.display = 'block';
-                            try { window.achievements && window.achievements.unlock && window.achievements.unlock('clicked_painting'); } catch(e) {}
                         }
 
-                        // Check composite: if all three clicked achievements + watched_screen unlocked, award master_interactor
-                        try {
-                            const ach = window.achievements;
-                            if (ach && typeof ach.isUnlocked === 'function') {
-                                const all = ach.isUnlocked('clicked_paper') && ach.isUnlocked('clicked_painting') && ach.isUnlocked('clicked_cola') && ach.isUnlocked('watched_screen');
-                                if (all) { try { ach.unlock('master_interactor'); } catch(e) {} }
-                            }
-                        } catch(e) {}
+                        // Report the inspection; achievements decide what it unlocks
+                        if (config.objectName) {
+                            emit('object:inspected', { id: config.objectName });
+                        }
                     } catch (err) {
                         // ensure onComplete doesn't break the flow
                         console.warn('[interactiveObjects] onComplete error', err);
@@ -493,6 +444,53 @@ export function setupInteractiveObjects(scene, domElement, camera, interactiveCo
         });
     }
 
+    /**
+     * Activate an interactive object the way a click on it does: fetch items are ignored
+     * outside the chase, and the previously active object is reset once its cooldown ends.
+     * Shared by pointer clicks, deep links and keyboard activation.
+     * @param {THREE.Object3D} clicked - A registered interactive object
+     * @returns {boolean} True if the object is now active
+     */
+    function activateObject(clicked) {
+        // If this interactive is a fetch item and the chase isn't active, ignore clicks
+        try {
+            const cfg = clicked.userData.config || {};
+            const isFetch = !!cfg.isFetchItem;
+            const nameLower = ((cfg.objectName || clicked.name) || '').toLowerCase();
+            const isEaster = nameLower.includes && nameLower.includes('easter');
+            if (isFetch && !isEaster && !isChaseActive()) {
+                if (window && window.__DEBUG_INTERACTIVE) console.log('[interactiveObjects] fetchitem click ignored: chase not active', clicked.name);
+                // Treat as a non-interactive click: reset any active object if cooldown elapsed
+                if (currentlyActiveObject) {
+                    if (Date.now() >= cooldownEndTime) {
+                        resetObject(currentlyActiveObject);
+                        currentlyActiveObject = null;
+                        cooldownEndTime = 0;
+                    }
+                }
+                return false;
+            }
+        } catch (e) {
+            // ignore and continue
+        }
+        // If this is a different object than the currently active one, reset the old one
+        if (currentlyActiveObject && currentlyActiveObject !== clicked) {
+            // Check cooldown before allowing reset
+            if (Date.now() >= cooldownEndTime) {
+                resetObject(currentlyActiveObject);
+            } else {
+                // Still in cooldown, ignore click
+                return false;
+            }
+        }
+
+        // Only activate if it's not already the active object
+        if (currentlyActiveObject !== clicked) {
+            onObjectClick(clicked);
+        }
+        return currentlyActiveObject === clicked;
+    }
+
     /**
      * Handle pointer events
      */
@@ -630,42 +628,7 @@ export function setupInteractiveObjects(scene, domElement, camera, interactiveCo
             }
 
             if (clicked && clicked.userData.isInteractive) {
-                // If this interactive is a fetch item and the chase isn't active, ignore clicks
-                try {
-                    const cfg = clicked.userData.config || {};
-                    const isFetch = !!cfg.isFetchItem;
-                    const nameLower = ((cfg.objectName || clicked.name) || '').toLowerCase();
-                    const isEaster = nameLower.includes && nameLower.includes('easter');
-                    if (isFetch && !isEaster && !isChaseActive()) {
-                        if (window && window.__DEBUG_INTERACTIVE) console.log('[interactiveObjects] fetchitem click ignored: chase not active', clicked.name);
-                        // Treat as a non-interactive click: reset any active object if cooldown elapsed
-                        if (currentlyActiveObject) {
-                            if (Date.now() >= cooldownEndTime) {
-                                resetObject(currentlyActiveObject);
-                                currentlyActiveObject = null;
-                                cooldownEndTime = 0;
-                            }
-                        }
-                        return;
-                    }
-                } catch (e) {
-                    // ignore and continue
-                }
-                // If this is a different object than the currently active one, reset the old one
-                if (currentlyActiveObject && currentlyActiveObject !== clicked) {
-                    // Check cooldown before allowing reset
-                    if (Date.now() >= cooldownEndTime) {
-                        resetObject(currentlyActiveObject);
-                    } else {
-                        // Still in cooldown, ignore click
-                        return;
-                    }
-                }
-                
-                // Only activate if it's not already the active object
-                if (currentlyActiveObject !== clicked) {
-                    onObjectClick(clicked);
-                }
+                activateObject(clicked);
             } else {
                 // Reset any active object when clicking non-interactive things
                 if (currentlyActiveObject) {
@@ -690,6 +653,44 @@ export function setupInteractiveObjects(scene, domElement, camera, interactiveCo
         }
     }
 
+    /**
+     * Activate an interactive object by name through the same path as a click
+     * (used by deep links). Respects the active object's cooldown.
+     * @param {string} objectName - config.objectName (or scene name) of the object
+     * @returns {boolean} True if the object is now active
+     */
+    function activate(objectName) {
+        const target = interactiveObjects.find(obj => obj.userData.config && obj.userData.config.objectName === objectName)
+            || interactiveObjects.find(obj => obj.name === objectName);
+        if (!target) return false;
+        return activateObject(target);
+    }
+
+    /**
+     * Objects a keyboard user can currently reach, mirroring what a click would accept:
+     * regular objects from an allowed camera position, fetch items during the chase
+     * (the easter egg any time)
+     * @returns {Array<Object>} Focus targets ({ id, object, label, activate })
+     */
+    function getFocusTargets() {
+        const atAllowedPos = isCameraAtAllowedPosition();
+        const chasing = isChaseActive();
+        return interactiveObjects
+            .filter(obj => {
+                if (obj.visible === false || !obj.parent) return false;
+                const cfg = obj.userData.config || {};
+                if (!cfg.isFetchItem) return atAllowedPos;
+                const nameLower = (cfg.objectName || obj.name || '').toLowerCase();
+                return chasing || nameLower.includes('easter');
+            })
+            .map(obj => ({
+                id: `object:${obj.uuid}`,
+                object: obj,
+                label: (obj.userData.config && obj.userData.config.objectName) || obj.name,
+                activate: () => activateObject(obj)
+            }));
+    }
+
     /**
      * Update rotating and jittering objects each frame
      */
@@ -930,6 +931,8 @@ export function setupInteractiveObjects(scene, domElement, camera, interactiveCo
     // Prepare manager object so we can expose helpers and restore state on dispose
     const manager = {
         update,
+        activate,
+        getFocusTargets,
         forceRegisterFetchItems() {
             try {
                 console.log('[interactiveObjects] Force re-registering all fetchitems...');
@@ -958,43 +961,28 @@ export function setupInteractiveObjects(scene, domElement, camera, interactiveCo
                 }
             } catch (e) {}
 
-            // Remove any global event listeners we added for respawn
-            try {
-                if (typeof window !== 'undefined') {
-                    try { window.removeEventListener('boisvert:teleportToStart', _teleportListener); } catch(e) {}
-                    try { window.removeEventListener('boisvert:playerLost', _lostListener); } catch(e) {}
-                    try { window.removeEventListener('boisvert:dlcAreaEntered', _dlcEnterListener); } catch(e) {}
-                }
-            } catch (e) {}
+            // Remove the respawn and chase subscriptions
+            _respawnUnsubscribers.forEach(off => off());
         }
     };
 
-    // Auto-respawn hooks: listen for some common custom events the main app can dispatch.
-    // The main app can dispatch e.g. window.dispatchEvent(new CustomEvent('boisvert:teleportToStart'))
-    // when the player is teleported back to start, or 'boisvert:playerLost' when they lose,
-    // or 'boisvert:dlcAreaEntered' when they enter the DLC area again.
-    let _teleportListener = null;
-    let _lostListener = null;
-    let _dlcEnterListener = null;
+    // Auto-respawn hooks: the hunt asks for it with hunt:respawnItems (after a win or a loss),
+    // and e.g. emit('boisvert:teleportToStart') when the player is teleported back to start,
+    // 'boisvert:playerLost' when they lose, or 'boisvert:dlcAreaEntered' when they enter the
+    // DLC area again.
+    let _respawnUnsubscribers = [];
     try {
-        if (typeof window !== 'undefined') {
-            _teleportListener = () => { respawnFetchItems(); };
-            _lostListener = () => { respawnFetchItems(); };
-            _dlcEnterListener = () => { respawnFetchItems(); };
-            window.addEventListener('boisvert:teleportToStart', _teleportListener);
-            window.addEventListener('boisvert:playerLost', _lostListener);
-            window.addEventListener('boisvert:dlcAreaEntered', _dlcEnterListener);
-            if (window.__DEBUG_INTERACTIVE) console.log('[interactiveObjects] respawn event listeners added');
-        }
+        _respawnUnsubscribers = ['hunt:respawnItems', 'boisvert:teleportToStart', 'boisvert:playerLost', 'boisvert:dlcAreaEntered']
+            .map(name => on(name, () => { respawnFetchItems(); }));
+        _respawnUnsubscribers.push(
+            on('game:started', () => { chaseActive = true; }),
+            on('game:lost', () => { chaseActive = false; })
+        );
+        if (window.__DEBUG_INTERACTIVE) console.log('[interactiveObjects] respawn event listeners added');
     } catch (e) {
         console.warn('[interactiveObjects] failed to add respawn listeners', e);
     }
 
-    // Expose manager for manual control and debugging
-    try {
-        window.interactiveObjectsManager = manager;
-    } catch (e) {}
-
     return manager;
 }
 
@@ -1063,3 +1051,19 @@ function resetObjectToOriginal(object) {
         ease: 'power2.inOut'
     });
 }
+
+/**
+ * Play the cola bottle sound as a one-shot on the SFX bus
+ */
+function playColaSound() {
+    if (!colaSample) {
+        colaSample = loadSample(COLA_SOUND_URL).catch((err) => {
+            console.warn('[interactiveObjects] cola audio failed to load', err);
+            colaSample = null;
+            return null;
+        });
+    }
+    colaSample.then((factory) => {
+        if (factory) playOneShot(factory, { bus: 'sfx' });
+    });
+}
@@ -0,0 +1,214 @@
+import * as THREE from 'three';
+
+/**
+ * Keyboard access to the 3D scene. With the canvas focused, Tab/Shift+Tab and the arrow
+ * keys move a highlight between the reachable orbs and interactive objects, and
+ * Enter/Space activates the highlighted one through its manager's click path.
+ * Escape closes the top-most open popup by pressing its close button.
+ */
+
+// Popups in the order Escape should close them (things opened from other popups first)
+const ESCAPE_ORDER = [
+    'portfolioView',
+    'resumeImagePopup',
+    'achievementsPopup',
+    'settingsPanel',
+    'screenPopup',
+    'linkedinPopup',
+    'resumePopup',
+    'aboutPopup'
+];
+
+const RING_PADDING = 6;
+
+/**
+ * Setup keyboard navigation
+ * @param {THREE.Camera} camera - The camera used to project the focus highlight
+ * @param {HTMLElement} domElement - The renderer's canvas (made focusable here)
+ * @param {Array<Function>} getManagers - Getters for managers exposing getFocusTargets()
+ *   (returning { id, object, label, activate }); getters because the interactive managers
+ *   are created after the model loads
+ * @returns {Object} Keyboard navigation controller with update and dispose
+ */
+export function setupKeyboardNavigation(camera, domElement, getManagers = []) {
+    let focusedId = null;
+
+    domElement.tabIndex = 0;
+    domElement.setAttribute('role', 'application');
+    domElement.setAttribute('aria-label', 'The woods. Use Tab or the arrow keys to move between orbs and objects, Enter to use one, Escape to close a card.');
+
+    const ring = document.createElement('div');
+    ring.className = 'scene-focus-ring';
+    ring.style.display = 'none';
+    document.body.appendChild(ring);
+
+    // Announce the highlighted target for screen readers
+    const announcer = document.createElement('div');
+    announcer.className = 'sr-only';
+    announcer.setAttribute('aria-live', 'polite');
+    document.body.appendChild(announcer);
+
+    const box = new THREE.Box3();
+    const corner = new THREE.Vector3();
+
+    /**
+     * Collect focus targets from every manager. Orbs are rebuilt every frame, so targets
+     * are matched by their id rather than by object reference.
+     */
+    function collectTargets() {
+        const targets = [];
+        getManagers.forEach((getManager) => {
+            let manager = null;
+            try { manager = getManager(); } catch (e) {}
+            if (!manager || typeof manager.getFocusTargets !== 'function') return;
+            try {
+                targets.push(...manager.getFocusTargets());
+            } catch (e) {
+                console.warn('[keyboardNavigation] getFocusTargets failed', e);
+            }
+        });
+        return targets;
+    }
+
+    function setFocus(target) {
+        focusedId = target ? target.id : null;
+        announcer.textContent = target ? target.label : '';
+        update();
+    }
+
+    function move(targets, step, wrap) {
+        const current = targets.findIndex(t => t.id === focusedId);
+        let next = current === -1 ? (step > 0 ? 0 : targets.length - 1) : current + step;
+        if (wrap) {
+            next = (next + targets.length) % targets.length;
+        } else if (next < 0 || next >= targets.length) {
+            return false;
+        }
+        setFocus(targets[next]);
+        return true;
+    }
+
+    function isVisible(el) {
+        return !!el && el.style.display !== 'none' && window.getComputedStyle(el).display !== 'none';
+    }
+
+    /**
+     * Close the top-most open popup by clicking its close control, so the same cleanup
+     * runs as for a mouse click (object reset, return to chair, ...)
+     * @returns {boolean} True if a popup was closed
+     */
+    function closeTopPopup() {
+        for (const id of ESCAPE_ORDER) {
+            const popup = document.getElementById(id);
+            if (!isVisible(popup)) continue;
+            const closeBtn = popup.querySelector('.popup-close');
+            if (!closeBtn) continue;
+            const hadFocus = popup.contains(document.activeElement);
+            closeBtn.click();
+            if (hadFocus) domElement.focus();
+            return true;
+        }
+        return false;
+    }
+
+    function onKeyDown(event) {
+        if (event.key === 'Escape') {
+            if (closeTopPopup()) event.preventDefault();
+            return;
+        }
+        if (document.activeElement !== domElement) return;
+
+        const isArrow = event.key.startsWith('Arrow');
+        // Arrows drive the camera in Boisvert walk mode
+        if (isArrow && window.__walkModeActive) return;
+
+        if (event.key === 'Tab' || isArrow) {
+            const targets = collectTargets();
+            if (targets.length === 0) return;
+            const step = (event.key === 'Tab' && event.shiftKey) || event.key === 'ArrowLeft' || event.key === 'ArrowUp' ? -1 : 1;
+            // Tab walks off the ends of the list so keyboard users aren't trapped in the canvas
+            if (move(targets, step, isArrow)) {
+                event.preventDefault();
+            } else {
+                setFocus(null);
+            }
+            return;
+        }
+
+        if (event.key === 'Enter' || event.key === ' ') {
+            const target = collectTargets().find(t => t.id === focusedId);
+            if (!target) return;
+            event.preventDefault();
+            try {
+                target.activate();
+            } catch (e) {
+                console.warn('[keyboardNavigation] activate failed', target.label, e);
+            }
+        }
+    }
+
+    function onBlur() {
+        setFocus(null);
+    }
+
+    /**
+     * Keep the highlight over the focused target; call once per frame
+     */
+    function update() {
+        if (!focusedId || document.activeElement !== domElement) {
+            ring.style.display = 'none';
+            return;
+        }
+        const target = collectTargets().find(t => t.id === focusedId);
+        if (!target) {
+            // Target left the reachable set (e.g. we just travelled to it)
+            focusedId = null;
+            ring.style.display = 'none';
+            return;
+        }
+
+        box.setFromObject(target.object);
+        if (box.isEmpty()) {
+            ring.style.display = 'none';
+            return;
+        }
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (let i = 0; i < 8; i++) {
+            corner.set(
+                i & 1 ? box.max.x : box.min.x,
+                i & 2 ? box.max.y : box.min.y,
+                i & 4 ? box.max.z : box.min.z
+            ).project(camera);
+            // Behind the camera: no sensible rectangle to draw
+            if (corner.z > 1) {
+                ring.style.display = 'none';
+                return;
+            }
+            const x = (corner.x * 0.5 + 0.5) * window.innerWidth;
+            const y = (corner.y * -0.5 + 0.5) * window.innerHeight;
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        }
+
+        ring.style.left = `${minX - RING_PADDING}px`;
+        ring.style.top = `${minY - RING_PADDING}px`;
+        ring.style.width = `${maxX - minX + RING_PADDING * 2}px`;
+        ring.style.height = `${maxY - minY + RING_PADDING * 2}px`;
+        ring.style.display = 'block';
+    }
+
+    window.addEventListener('keydown', onKeyDown);
+    domElement.addEventListener('blur', onBlur);
+
+    return {
+        update,
+        dispose() {
+            window.removeEventListener('keydown', onKeyDown);
+            domElement.removeEventListener('blur', onBlur);
+            if (ring.parentNode) ring.parentNode.removeChild(ring);
+            if (announcer.parentNode) announcer.parentNode.removeChild(announcer);
+        }
+    };
+}
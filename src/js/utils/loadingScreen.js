@@ -1,3 +1,5 @@
+import { emit } from './eventBus.js';
+
 /**
  * Loading screen with rotating messages and progress bar
  */
@@ -31,7 +33,8 @@ function shuffleArray(array) {
 }
 
 /**
- * Initialize loading screen
+ * Initialize loading screen. Progress is driven by setupLoadingManager; nothing here
+ * advances the bar on its own.
  */
 export function initLoadingScreen() {
     const loadingScreen = document.getElementById('loadingScreen');
@@ -54,10 +57,13 @@ export function initLoadingScreen() {
     // Track loading progress
     let progress = 0;
     let isComplete = false;
+    let hasError = false;
+    // True while the failed-asset list is up, so rotating messages don't cover it
+    let showingFailures = false;
 
     // Rotate messages every 2 seconds
     const messageInterval = setInterval(() => {
-        if (!isComplete) {
+        if (!isComplete && !showingFailures) {
             currentMessageIndex = (currentMessageIndex + 1) % messageOrder.length;
             loadingMessage.textContent = messageOrder[currentMessageIndex];
         }
@@ -69,7 +75,8 @@ export function initLoadingScreen() {
     function updateProgress(newProgress) {
         if (isComplete) return;
         
-        progress = Math.min(newProgress, 100);
+        // Item totals grow as loaders discover sub-resources, so never move the bar backwards
+        progress = Math.max(progress, Math.min(newProgress, 100));
         loadingBar.style.width = `${progress}%`;
         loadingPercent.textContent = `${Math.floor(progress)}%`;
 
@@ -81,10 +88,12 @@ export function initLoadingScreen() {
             
             // Fade out loading screen after a brief delay
             setTimeout(() => {
+                if (hasError) return;
                 loadingScreen.classList.add('fade-out');
                 
                 // Remove loading screen from DOM after fade completes
                 setTimeout(() => {
+                    if (hasError) return;
                     loadingScreen.style.display = 'none';
                     
                     // Show welcome popup
@@ -95,44 +104,113 @@ export function initLoadingScreen() {
         }
     }
 
-    // Simulate loading progress
-    // In a real scenario, you'd update this based on actual asset loading
-    let simulatedProgress = 0;
-    const progressInterval = setInterval(() => {
-        if (simulatedProgress < 90) {
-            // Faster initial progress
-            simulatedProgress += Math.random() * 15;
-        } else if (simulatedProgress < 100) {
-            // Slower near the end
-            simulatedProgress += Math.random() * 5;
-        }
+    const loadingError = document.getElementById('loadingError');
+    const loadingErrorList = document.getElementById('loadingErrorList');
+    const loadingRetryButton = document.getElementById('loadingRetryButton');
+    let retryHandler = null;
+
+    if (loadingRetryButton) {
+        loadingRetryButton.addEventListener('click', () => {
+            if (!retryHandler) return;
+            const handler = retryHandler;
+            retryHandler = null;
+            showingFailures = false;
+            if (loadingError) loadingError.style.display = 'none';
+            loadingMessage.style.color = '';
+            loadingMessage.textContent = 'RETRYING...';
+            try { handler(); } catch (e) { console.warn('[loadingScreen] retry handler failed', e); }
+        });
+    }
 
-        updateProgress(simulatedProgress);
+    /**
+     * Stop progress and show a fatal error message instead of completing
+     */
+    function showError(message) {
+        isComplete = true;
+        hasError = true;
+        clearInterval(messageInterval);
+        loadingMessage.textContent = message;
+        loadingMessage.style.color = 'red';
+        // Bring the screen back if it had already faded out
+        loadingScreen.classList.remove('fade-out');
+        loadingScreen.style.display = 'flex';
+    }
 
-        if (simulatedProgress >= 100) {
-            clearInterval(progressInterval);
-        }
-    }, 300);
+    /**
+     * Pause on a list of assets that failed to load and offer a retry.
+     * Unlike showError this is recoverable: progress resumes once onRetry re-requests them.
+     * @param {Array<string>} urls - Failed asset URLs
+     * @param {Function} onRetry - Called when the visitor presses RETRY
+     */
+    function showAssetFailures(urls, onRetry) {
+        if (isComplete) return;
+        showingFailures = true;
+        loadingMessage.textContent = urls.length === 1 ? 'AN ASSET FAILED TO LOAD' : `${urls.length} ASSETS FAILED TO LOAD`;
+        loadingMessage.style.color = 'red';
+        if (!loadingError || !loadingErrorList) return;
+        loadingErrorList.innerHTML = '';
+        urls.forEach((url) => {
+            const item = document.createElement('li');
+            item.textContent = url;
+            loadingErrorList.appendChild(item);
+        });
+        retryHandler = typeof onRetry === 'function' ? onRetry : null;
+        if (loadingRetryButton) loadingRetryButton.style.display = retryHandler ? '' : 'none';
+        loadingError.style.display = 'block';
+    }
+
+    /**
+     * Take the loading screen down without completing (no welcome popup), e.g. when
+     * boot switches to the 2D portfolio
+     */
+    function hide() {
+        isComplete = true;
+        clearInterval(messageInterval);
+        loadingScreen.style.display = 'none';
+    }
 
     return {
         updateProgress,
-        complete: () => updateProgress(100)
+        complete: () => updateProgress(100),
+        showError,
+        showAssetFailures,
+        hide
     };
 }
 
 /**
  * Hook into Three.js loading manager to show real progress
+ * @param {THREE.LoadingManager} loadingManager - Manager shared by every boot-time loader
+ * @param {Object} loadingScreenController - Controller returned by initLoadingScreen
+ * @param {Function} onRetry - Re-requests failed assets (e.g. retryFailedAssets)
  */
-export function setupLoadingManager(loadingManager, loadingScreenController) {
+export function setupLoadingManager(loadingManager, loadingScreenController, onRetry) {
     if (!loadingManager || !loadingScreenController) return;
 
+    // URLs that errored during the current batch; cleared when the visitor retries
+    const failedUrls = new Set();
+
     loadingManager.onProgress = (url, loaded, total) => {
-        const progress = (loaded / total) * 100;
+        // Hold back the last percent for onLoad so the bar never reads 100% with work pending
+        const progress = total > 0 ? (loaded / total) * 99 : 0;
         loadingScreenController.updateProgress(progress);
     };
 
+    loadingManager.onError = (url) => {
+        failedUrls.add(url);
+    };
+
     loadingManager.onLoad = () => {
-        loadingScreenController.complete();
+        if (failedUrls.size === 0) {
+            loadingScreenController.complete();
+            return;
+        }
+        const urls = Array.from(failedUrls);
+        console.warn('[loadingScreen] assets failed to load:', urls);
+        loadingScreenController.showAssetFailures(urls, () => {
+            failedUrls.clear();
+            if (typeof onRetry === 'function') onRetry();
+        });
     };
 }
 
@@ -158,7 +236,7 @@ function showWelcomePopup() {
         setTimeout(() => {
             welcomePopup.style.display = 'none';
             // Emit an event so other parts of the app know the user entered
-            try { window.dispatchEvent(new CustomEvent('welcome:entered')); } catch (e) {}
+            emit('welcome:entered');
         }, 300);
     });
 }
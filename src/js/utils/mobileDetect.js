@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { on } from './eventBus.js';
 
 // Mobile detection utility
 export function isMobileDevice() {
@@ -46,7 +47,16 @@ export function getQualitySettings() {
             shadowsEnabled: false,
             fogEnabled: true,
             orbSize: 0.3,  // Larger orbs for easier touch interaction
-            orbRaycastThreshold: 0.5  // Larger hit area for touch
+            orbRaycastThreshold: 0.5,  // Larger hit area for touch
+            // PSX effect passes: keep the cheap colour reduction, skip CRT and bleed on small screens
+            ditherEnabled: true,
+            colorBits: 5,  // 15-bit colour
+            chromaEnabled: false,
+            chromaOffset: 1.0,
+            crtEnabled: false,
+            crtCurvature: 0.08,
+            crtScanlines: 0.25,
+            crtMask: 0.15
         };
     } else {
         return {
@@ -65,7 +75,16 @@ export function getQualitySettings() {
             shadowsEnabled: false,
             fogEnabled: true,
             orbSize: 0.2,  // Standard orb size
-            orbRaycastThreshold: 0.3  // Standard hit area
+            orbRaycastThreshold: 0.3,  // Standard hit area
+            // PSX effect passes
+            ditherEnabled: true,
+            colorBits: 5,  // 15-bit colour
+            chromaEnabled: true,
+            chromaOffset: 1.0,
+            crtEnabled: true,
+            crtCurvature: 0.08,
+            crtScanlines: 0.25,
+            crtMask: 0.15
         };
     }
 }
@@ -104,11 +123,16 @@ if (isMobileDevice()) {
                         const camera = window.camera;
                         if (!camera) return;
 
+                        // Honour the look sensitivity / invert Y settings held by the desktop controls
+                        const fp = window.fpControls;
+                        const sensitivity = fp && typeof fp.getLookSensitivity === 'function' ? fp.getLookSensitivity() : 1;
+                        const pitchSign = fp && typeof fp.getInvertY === 'function' && fp.getInvertY() ? -1 : 1;
+
                         const PI_2 = Math.PI / 2;
                         const euler = new THREE.Euler();
                         euler.setFromQuaternion(camera.quaternion, 'YXZ');
-                        euler.y -= dx * HORIZONTAL_SENSITIVITY;
-                        euler.x -= dy * HORIZONTAL_SENSITIVITY * VERTICAL_MULTI;
+                        euler.y -= dx * HORIZONTAL_SENSITIVITY * sensitivity;
+                        euler.x -= dy * HORIZONTAL_SENSITIVITY * VERTICAL_MULTI * sensitivity * pitchSign;
                         euler.x = Math.max(-PI_2 + 0.1, Math.min(PI_2 - 0.1, euler.x));
                         camera.quaternion.setFromEuler(euler);
 
@@ -122,15 +146,15 @@ if (isMobileDevice()) {
     }
 
     // Listen for the welcome event (fired when user enters the woods) and initialize pad then
-    try {
-        window.addEventListener('welcome:entered', initRotationPadOnce);
-    } catch (e) {}
+    on('welcome:entered', initRotationPadOnce);
 
     // Also hook the welcome button click as a fallback
-    document.addEventListener('DOMContentLoaded', () => {
+    const hookWelcomeButton = () => {
         try {
             const wb = document.getElementById('welcomeButton');
             if (wb) wb.addEventListener('click', initRotationPadOnce, { once: true });
         } catch (e) {}
-    });
+    };
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', hookWelcomeButton);
+    else hookWelcomeButton();
 }
@@ -0,0 +1,80 @@
+import { emit } from './eventBus.js';
+
+/**
+ * Reduced-motion / horror-safe preference. Follows the OS `prefers-reduced-motion` setting
+ * unless the visitor picks a mode in the settings panel (persisted by the settings store
+ * as `motionMode` and pushed in through setMotionMode). When active, camera moves become
+ * cuts and the Boisvert hunt drops its jitter, noise, grayscale flashes and death screen.
+ * Changes are announced with a `motion:changed` event ({ reduced, mode }).
+ */
+
+// 'system' follows prefers-reduced-motion; 'reduced' and 'full' override it
+const MODES = ['system', 'reduced', 'full'];
+
+const mediaQuery = (typeof window !== 'undefined' && typeof window.matchMedia === 'function')
+    ? window.matchMedia('(prefers-reduced-motion: reduce)')
+    : null;
+
+let mode = 'system';
+
+function applyRootClass() {
+    try {
+        document.documentElement.classList.toggle('reduced-motion', isReducedMotion());
+    } catch (e) {}
+}
+
+function notify() {
+    applyRootClass();
+    emit('motion:changed', { reduced: isReducedMotion(), mode });
+}
+
+/**
+ * Whether motion and scares should be toned down right now
+ * @returns {boolean}
+ */
+export function isReducedMotion() {
+    if (mode === 'reduced') return true;
+    if (mode === 'full') return false;
+    return !!(mediaQuery && mediaQuery.matches);
+}
+
+/**
+ * @returns {string} The chosen mode: 'system', 'reduced' or 'full'
+ */
+export function getMotionMode() {
+    return mode;
+}
+
+/**
+ * Choose a motion mode
+ * @param {string} next - 'system', 'reduced' or 'full'
+ */
+export function setMotionMode(next) {
+    if (!MODES.includes(next)) {
+        console.warn('[motionPreferences] unknown motion mode', next);
+        return;
+    }
+    if (next === mode) return;
+    mode = next;
+    notify();
+}
+
+/**
+ * Tween duration to use for a camera move: zero (a cut) when motion is reduced
+ * @param {number} seconds - Normal duration
+ * @returns {number}
+ */
+export function motionDuration(seconds) {
+    return isReducedMotion() ? 0 : seconds;
+}
+
+// Following the OS setting: pick up changes made while the page is open
+if (mediaQuery) {
+    const onSystemChange = () => {
+        if (mode === 'system') notify();
+    };
+    if (typeof mediaQuery.addEventListener === 'function') mediaQuery.addEventListener('change', onSystemChange);
+    else if (typeof mediaQuery.addListener === 'function') mediaQuery.addListener(onSystemChange);
+}
+
+applyRootClass();
@@ -1,4 +1,6 @@
 import gsap from 'gsap';
+import { motionDuration } from './motionPreferences.js';
+import { emit, on } from './eventBus.js';
 
 /**
  * Setup navigation bar functionality
@@ -17,17 +19,23 @@ export function setupNavbar(camera, navigationPositions, orbManager, flashlight)
      * Navigate camera to a specific position with animation
      * @param {Array<number>} targetPosition - [x, y, z] position to navigate to
      * @param {number} flashlightIntensity - Intensity for flashlight at destination
+     * @param {Function} onArrive - Optional callback once the camera reaches the target
+     * @param {Object} options
+     * @param {number} options.duration - Tween length in seconds (before reduced-motion scaling)
+     * @param {string} options.source - Reported in camera:navigate
      */
-    function navigateToPosition(targetPosition, flashlightIntensity = 30) {
+    function navigateToPosition(targetPosition, flashlightIntensity = 30, onArrive, { duration = 2, source = 'navbar' } = {}) {
         // Kill any ongoing camera animations
         gsap.killTweensOf(camera.position);
 
+        emit('camera:navigate', { position: targetPosition.slice(), flashlightIntensity, source });
+
         // Animate camera to target position
         gsap.to(camera.position, {
             x: targetPosition[0],
             y: targetPosition[1],
             z: targetPosition[2],
-            duration: 2,
+            duration: motionDuration(duration),
             ease: 'power2.inOut',
             onComplete: () => {
                 // Update flashlight intensity
@@ -39,17 +47,22 @@ export function setupNavbar(camera, navigationPositions, orbManager, flashlight)
                 if (orbManager && typeof orbManager.update === 'function') {
                     orbManager.update();
                 }
+
+                emit('nav:arrived', { position: targetPosition.slice() });
+
+                if (typeof onArrive === 'function') {
+                    try { onArrive(); } catch (e) { console.warn('[navbar] onArrive callback failed', e); }
+                }
             }
         });
     }
 
-    // Expose helper globally so other modules (e.g. Boisvert click) can reuse the same
-    // navigation behavior without depending on module return values.
-    try {
-        window.navigateToPosition = navigateToPosition;
-    } catch (e) {
-        // ignore if we cannot set global
-    }
+    // Other modules (history, deep links, the Boisvert click) move the camera with a
+    // nav:goto command so every jump goes through the same tween and events
+    const offGoto = on('nav:goto', ({ position, flashlightIntensity, onArrive, duration, source }) => {
+        if (!Array.isArray(position)) return;
+        navigateToPosition(position, flashlightIntensity, onArrive, { duration, source });
+    });
 
     // Back to Start - Navigate to first position
     if (navButtons.start) {
@@ -72,6 +85,7 @@ export function setupNavbar(camera, navigationPositions, orbManager, flashlight)
     return {
         navigateToPosition,
         dispose() {
+            offGoto();
             // Remove event listeners if needed
             Object.values(navButtons).forEach(button => {
                 if (button) {
@@ -0,0 +1,124 @@
+import { emit, on } from './eventBus.js';
+
+/**
+ * Browser history integration for camera navigation. Orb moves, navbar jumps and
+ * camera-interactive moves (the TV) announce themselves with a `camera:navigate` event;
+ * each one becomes a history entry so the browser Back/Forward buttons walk the camera
+ * between nodes instead of leaving the site.
+ */
+
+/**
+ * Setup navigation history
+ * @param {THREE.Camera} camera - The main camera
+ * @param {Object} orbManager - Orb manager, used to restore visible orbs after a move
+ * @param {Object} flashlight - The flashlight whose intensity is restored per entry
+ * @param {HTMLElement} backButton - Optional on-screen back control (shown when there is history to go back to)
+ * @returns {Object} History controller with back, getCurrent, canGoBack and dispose
+ */
+export function setupNavigationHistory(camera, orbManager, flashlight, backButton = null) {
+    // Entries only count as ours if they carry this key; anything else (e.g. a hand-edited hash) is ignored
+    const STATE_KEY = 'psxNav';
+
+    // Position in the stack of entries this session created; 0 is the entry we landed on
+    let current = {
+        index: 0,
+        position: camera.position.toArray(),
+        flashlightIntensity: flashlight ? flashlight.intensity : 30,
+        source: 'start'
+    };
+    function writeState(entry, push) {
+        try {
+            const state = { ...(window.history.state || {}), [STATE_KEY]: entry };
+            if (push) {
+                window.history.pushState(state, '', window.location.href);
+            } else {
+                window.history.replaceState(state, '', window.location.href);
+            }
+        } catch (e) {
+            console.warn('[navigationHistory] failed to write history state', e);
+        }
+    }
+
+    function updateBackButton() {
+        if (!backButton) return;
+        const enabled = current.index > 0;
+        backButton.style.display = enabled ? '' : 'none';
+        backButton.disabled = !enabled;
+    }
+
+    function hideScreenPopup() {
+        const screenPopup = document.getElementById('screenPopup');
+        if (screenPopup) screenPopup.style.display = 'none';
+    }
+
+    function tweenTo(entry, onArrive) {
+        emit('nav:goto', { position: entry.position, flashlightIntensity: entry.flashlightIntensity, source: 'history', onArrive });
+    }
+
+    const onNavigate = (detail) => {
+        // Moves that popstate drives are already in the history
+        if (detail.source === 'history') return;
+        if (!Array.isArray(detail.position)) return;
+        current = {
+            index: current.index + 1,
+            position: detail.position.slice(),
+            flashlightIntensity: typeof detail.flashlightIntensity === 'number' ? detail.flashlightIntensity : 30,
+            source: detail.source || 'unknown'
+        };
+        writeState(current, true);
+        updateBackButton();
+    };
+
+    const onPopState = (e) => {
+        const entry = e && e.state ? e.state[STATE_KEY] : null;
+        if (!entry || !Array.isArray(entry.position)) return;
+        const leaving = current;
+        current = entry;
+        updateBackButton();
+
+        // Leaving the TV: drop its "return to chair" card, the history move replaces it
+        if (leaving.source === 'screen') hideScreenPopup();
+
+        tweenTo(entry, () => {
+            // Stepping forward onto the TV again: orbs behave as they do after clicking the screen
+            if (entry.source === 'screen' && orbManager && typeof orbManager.enablePreviousOrb === 'function') {
+                orbManager.enablePreviousOrb({ x: leaving.position[0], y: leaving.position[1], z: leaving.position[2] });
+            }
+        });
+    };
+
+    const onBackClick = () => back();
+
+    /**
+     * Go back one camera move (same as the browser Back button)
+     * @returns {boolean} False when there is nothing to go back to
+     */
+    function back() {
+        if (current.index <= 0) return false;
+        window.history.back();
+        return true;
+    }
+
+    // Tag the landing entry so Back from the first move returns here instead of leaving the site
+    writeState(current, false);
+    updateBackButton();
+
+    const offNavigate = on('camera:navigate', onNavigate);
+    window.addEventListener('popstate', onPopState);
+    if (backButton) backButton.addEventListener('click', onBackClick);
+
+    return {
+        back,
+        canGoBack() {
+            return current.index > 0;
+        },
+        getCurrent() {
+            return { ...current, position: current.position.slice() };
+        },
+        dispose() {
+            offNavigate();
+            window.removeEventListener('popstate', onPopState);
+            if (backButton) backButton.removeEventListener('click', onBackClick);
+        }
+    };
+}
@@ -0,0 +1,223 @@
+/**
+ * Performance HUD. A small overlay with FPS, a frame-time graph, renderer.info counters,
+ * active lights, particle count, JS heap (Chrome only) and how long each subsystem's
+ * per-frame update took. The animation loop brackets each frame with beginFrame/endFrame
+ * and runs subsystem updates through time(label, fn); while hidden those are near no-ops.
+ */
+
+const GRAPH_SAMPLES = 120;
+const GRAPH_WIDTH = 240;
+const GRAPH_HEIGHT = 48;
+// Frame times at the top of the graph and the reference lines drawn across it
+const GRAPH_MAX_MS = 50;
+const TARGET_LINES_MS = [1000 / 60, 1000 / 30];
+// Text is refreshed at this rate; the graph every frame
+const TEXT_REFRESH_MS = 250;
+// Smoothing for per-subsystem timings (weight of the newest frame)
+const TIMING_SMOOTHING = 0.1;
+const HOTKEY = 'Backquote';
+
+/**
+ * Setup the performance HUD
+ * @param {THREE.WebGLRenderer} renderer - Renderer whose info counters are shown
+ * @param {THREE.Scene} scene - Scene scanned for active lights
+ * @param {Object} options
+ * @param {Function} options.onHotkey - Called when the hotkey (`) is pressed; defaults to toggling
+ * @param {Function} options.getWeather - Returns the weather manager, or null until it has lazy-loaded
+ * @param {Object} options.qualityGovernor - Adaptive quality governor whose level is shown
+ * @returns {Object} HUD with beginFrame, time, endFrame, setVisible, toggle, isVisible and dispose
+ */
+export function setupPerformanceHud(renderer, scene, { onHotkey, getWeather = () => null, qualityGovernor = null } = {}) {
+    let visible = false;
+
+    const root = document.createElement('div');
+    root.id = 'performanceHud';
+    root.className = 'performance-hud';
+    root.setAttribute('aria-hidden', 'true');
+    root.style.display = 'none';
+
+    const canvas = document.createElement('canvas');
+    canvas.width = GRAPH_WIDTH;
+    canvas.height = GRAPH_HEIGHT;
+    canvas.className = 'performance-hud-graph';
+    root.appendChild(canvas);
+    const ctx = canvas.getContext('2d');
+
+    const text = document.createElement('pre');
+    text.className = 'performance-hud-text';
+    root.appendChild(text);
+
+    document.body.appendChild(root);
+
+    const frameTimes = new Float32Array(GRAPH_SAMPLES);
+    let frameCursor = 0;
+    let lastFrameStart = null;
+    let frameStart = 0;
+    let fpsFrames = 0;
+    let fpsWindowStart = performance.now();
+    let fps = 0;
+    let lastTextUpdate = 0;
+    const timings = new Map(); // label -> smoothed ms
+    let cpuFrameMs = 0;
+
+    function countLights() {
+        let count = 0;
+        scene.traverseVisible((child) => {
+            if (child.isLight && child.intensity > 0) count += 1;
+        });
+        return count;
+    }
+
+    function describeWeather() {
+        const weather = getWeather();
+        if (!weather || typeof weather.getState !== 'function') return 'particles 0';
+        const state = weather.getState();
+        return `particles ${state.count}   weather ${state.state} (${state.zone || 'no zone'})`;
+    }
+
+    function formatBytes(bytes) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    function drawGraph() {
+        ctx.clearRect(0, 0, GRAPH_WIDTH, GRAPH_HEIGHT);
+        ctx.fillStyle = 'rgba(0,0,0,0.6)';
+        ctx.fillRect(0, 0, GRAPH_WIDTH, GRAPH_HEIGHT);
+
+        const barWidth = GRAPH_WIDTH / GRAPH_SAMPLES;
+        for (let i = 0; i < GRAPH_SAMPLES; i++) {
+            const ms = frameTimes[(frameCursor + i) % GRAPH_SAMPLES];
+            if (!ms) continue;
+            const h = Math.min(GRAPH_HEIGHT, (ms / GRAPH_MAX_MS) * GRAPH_HEIGHT);
+            ctx.fillStyle = ms > TARGET_LINES_MS[1] ? '#ff4040' : (ms > TARGET_LINES_MS[0] + 1 ? '#ffcc33' : '#55dd66');
+            ctx.fillRect(i * barWidth, GRAPH_HEIGHT - h, Math.max(1, barWidth - 0.5), h);
+        }
+
+        ctx.strokeStyle = 'rgba(255,255,255,0.35)';
+        ctx.lineWidth = 1;
+        TARGET_LINES_MS.forEach((ms) => {
+            const y = Math.round(GRAPH_HEIGHT - (ms / GRAPH_MAX_MS) * GRAPH_HEIGHT) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(GRAPH_WIDTH, y);
+            ctx.stroke();
+        });
+    }
+
+    function updateText(now) {
+        const info = renderer.info;
+        const lines = [
+            `FPS ${fps.toFixed(0)}   frame ${frameTimes[(frameCursor + GRAPH_SAMPLES - 1) % GRAPH_SAMPLES].toFixed(1)} ms   cpu ${cpuFrameMs.toFixed(2)} ms`,
+            `draw calls ${info.render.calls}   triangles ${info.render.triangles}`,
+            `textures ${info.memory.textures}   geometries ${info.memory.geometries}`,
+            `lights ${countLights()}   ${describeWeather()}`
+        ];
+        if (performance.memory && performance.memory.usedJSHeapSize) {
+            lines.push(`heap ${formatBytes(performance.memory.usedJSHeapSize)} / ${formatBytes(performance.memory.jsHeapSizeLimit)}`);
+        }
+        if (qualityGovernor && typeof qualityGovernor.getStats === 'function') {
+            const stats = qualityGovernor.getStats();
+            lines.push(`quality ${stats.level}${stats.pinned ? ' (pinned)' : ''}`);
+        }
+        if (timings.size > 0) {
+            lines.push('');
+            Array.from(timings.entries())
+                .sort((a, b) => b[1] - a[1])
+                .forEach(([label, ms]) => lines.push(`${label.padEnd(18)} ${ms.toFixed(2)} ms`));
+        }
+        text.textContent = lines.join('\n');
+        lastTextUpdate = now;
+    }
+
+    /**
+     * Mark the start of a frame
+     * @param {number} now - Frame timestamp (ms)
+     */
+    function beginFrame(now = performance.now()) {
+        if (!visible) return;
+        if (lastFrameStart !== null) {
+            frameTimes[frameCursor] = now - lastFrameStart;
+            frameCursor = (frameCursor + 1) % GRAPH_SAMPLES;
+        }
+        lastFrameStart = now;
+        frameStart = performance.now();
+
+        fpsFrames += 1;
+        if (now - fpsWindowStart >= 1000) {
+            fps = (fpsFrames * 1000) / (now - fpsWindowStart);
+            fpsFrames = 0;
+            fpsWindowStart = now;
+        }
+        // Composer renders several passes a frame; count all of them, not just the last
+        renderer.info.reset();
+    }
+
+    /**
+     * Run a subsystem's per-frame work and record how long it took
+     * @param {string} label - Row label in the HUD
+     * @param {Function} fn - The work
+     * @returns {*} Whatever fn returns
+     */
+    function time(label, fn) {
+        if (!visible) return fn();
+        const start = performance.now();
+        try {
+            return fn();
+        } finally {
+            const ms = performance.now() - start;
+            const previous = timings.has(label) ? timings.get(label) : ms;
+            timings.set(label, previous + (ms - previous) * TIMING_SMOOTHING);
+        }
+    }
+
+    /**
+     * Mark the end of a frame (after rendering)
+     */
+    function endFrame() {
+        if (!visible) return;
+        const ms = performance.now() - frameStart;
+        cpuFrameMs += (ms - cpuFrameMs) * TIMING_SMOOTHING;
+        drawGraph();
+        const now = performance.now();
+        if (now - lastTextUpdate >= TEXT_REFRESH_MS) updateText(now);
+    }
+
+    function setVisible(next) {
+        visible = !!next;
+        root.style.display = visible ? 'block' : 'none';
+        // Counters are reset once per frame by beginFrame while the HUD is up
+        renderer.info.autoReset = !visible;
+        if (visible) {
+            lastFrameStart = null;
+            frameTimes.fill(0);
+            timings.clear();
+        }
+    }
+
+    function onKeyDown(event) {
+        if (event.code !== HOTKEY || event.repeat) return;
+        const target = event.target;
+        if (target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable)) return;
+        if (typeof onHotkey === 'function') onHotkey(!visible);
+        else setVisible(!visible);
+    }
+    window.addEventListener('keydown', onKeyDown);
+
+    return {
+        beginFrame,
+        time,
+        endFrame,
+        setVisible,
+        toggle() {
+            setVisible(!visible);
+        },
+        isVisible() {
+            return visible;
+        },
+        dispose() {
+            window.removeEventListener('keydown', onKeyDown);
+            renderer.info.autoReset = true;
+            if (root.parentNode) root.parentNode.removeChild(root);
+        }
+    };
+}
@@ -0,0 +1,194 @@
+import { emit } from './eventBus.js';
+
+/**
+ * Plain 2D portfolio view built from the same content as the in-scene popups
+ * (about, resume, LinkedIn). Used automatically when WebGL can't start, and available
+ * from the navbar for visitors who just want the facts.
+ */
+
+// Popup cards to lift into the page, and the 3D object each one belongs to
+const SECTIONS = [
+    { popupId: 'aboutPopup', anchor: 'portfolio-about', object: 'painting' },
+    { popupId: 'resumePopup', anchor: 'portfolio-resume', object: 'paper' },
+    { popupId: 'linkedinPopup', anchor: 'portfolio-linkedin', object: 'cola' }
+];
+
+// Fraction of a section that has to be on screen before it counts as viewed
+const VIEWED_THRESHOLD = 0.5;
+
+function textOf(selector, fallback) {
+    const el = document.querySelector(selector);
+    return el && el.textContent.trim() ? el.textContent.trim() : fallback;
+}
+
+/**
+ * Copy a popup's body into a section. Buttons are dropped (they drive 3D-only UI) and ids
+ * are stripped so the clone can't collide with the original markup.
+ */
+function buildSection(popup, anchor) {
+    const section = document.createElement('section');
+    section.className = 'portfolio-section';
+    section.id = anchor;
+
+    const heading = document.createElement('h2');
+    heading.className = 'portfolio-section-title';
+    heading.textContent = textOf(`#${popup.id} .popup-title`, popup.id);
+    section.appendChild(heading);
+
+    const body = popup.querySelector('.popup-body');
+    if (body) {
+        const clone = body.cloneNode(true);
+        clone.className = 'portfolio-section-body';
+        clone.removeAttribute('id');
+        clone.querySelectorAll('[id]').forEach(el => el.removeAttribute('id'));
+        clone.querySelectorAll('button').forEach(btn => btn.remove());
+        section.appendChild(clone);
+    }
+    return section;
+}
+
+/**
+ * Setup the 2D portfolio view
+ * @param {Object} options
+ * @param {boolean} options.fallback - True when shown because WebGL is unavailable (no way back to 3D)
+ * @returns {Object} Portfolio controller with show, hide, toggle and isOpen
+ */
+export function setupPortfolioMode({ fallback = false } = {}) {
+    const view = document.createElement('div');
+    view.id = 'portfolioView';
+    view.className = 'portfolio-view';
+    view.setAttribute('role', 'dialog');
+    view.setAttribute('aria-modal', 'true');
+    view.setAttribute('aria-labelledby', 'portfolioTitle');
+    view.style.display = 'none';
+
+    const inner = document.createElement('div');
+    inner.className = 'portfolio-inner';
+    view.appendChild(inner);
+
+    const header = document.createElement('header');
+    header.className = 'portfolio-header';
+    const title = document.createElement('h1');
+    title.id = 'portfolioTitle';
+    title.className = 'portfolio-title';
+    title.tabIndex = -1;
+    title.textContent = textOf('#canvasWatermark .watermark-title', 'GRIFFIN HAMPTON');
+    const subtitle = document.createElement('p');
+    subtitle.className = 'portfolio-subtitle';
+    subtitle.textContent = textOf('#canvasWatermark .watermark-sub', '');
+    header.appendChild(title);
+    header.appendChild(subtitle);
+
+    let closeBtn = null;
+    if (fallback) {
+        const notice = document.createElement('p');
+        notice.className = 'portfolio-notice';
+        notice.textContent = 'The 3D woods need WebGL, which isn\'t available in this browser. Here is everything in plain text.';
+        header.appendChild(notice);
+    } else {
+        // .popup-close so Escape handling and shared button styles pick it up
+        closeBtn = document.createElement('button');
+        closeBtn.className = 'popup-close portfolio-close';
+        closeBtn.setAttribute('aria-label', 'Back to the 3D woods');
+        closeBtn.textContent = 'BACK TO THE WOODS';
+        header.appendChild(closeBtn);
+    }
+    inner.appendChild(header);
+
+    const toc = document.createElement('nav');
+    toc.className = 'portfolio-toc';
+    toc.setAttribute('aria-label', 'Sections');
+    inner.appendChild(toc);
+
+    const sectionObjects = new Map();
+    SECTIONS.forEach(({ popupId, anchor, object }) => {
+        const popup = document.getElementById(popupId);
+        if (!popup) return;
+        const section = buildSection(popup, anchor);
+        sectionObjects.set(section, object);
+        inner.appendChild(section);
+
+        const link = document.createElement('a');
+        link.href = `#${anchor}`;
+        link.textContent = section.querySelector('.portfolio-section-title').textContent;
+        link.addEventListener('click', (e) => {
+            // Scroll inside the view without touching the deep-link hash
+            e.preventDefault();
+            section.scrollIntoView({ block: 'start' });
+        });
+        toc.appendChild(link);
+    });
+
+    // The full resume image, which the 3D view only shows from a button
+    const resumeSection = inner.querySelector('#portfolio-resume');
+    if (resumeSection) {
+        const img = document.createElement('img');
+        img.className = 'portfolio-resume-image';
+        img.src = 'src/textures/Resume.webp';
+        img.alt = 'Resume';
+        img.loading = 'lazy';
+        resumeSection.appendChild(img);
+    }
+
+    document.body.appendChild(view);
+
+    function reportViewed(section) {
+        const id = sectionObjects.get(section);
+        if (!id) return;
+        sectionObjects.delete(section);
+        emit('object:inspected', { id, source: 'portfolio' });
+    }
+
+    // Viewing a section counts the same as clicking its object in the 3D scene
+    let observer = null;
+    if (typeof IntersectionObserver !== 'undefined') {
+        observer = new IntersectionObserver((entries) => {
+            entries.forEach((entry) => {
+                if (entry.isIntersecting && entry.intersectionRatio >= VIEWED_THRESHOLD) {
+                    reportViewed(entry.target);
+                    observer.unobserve(entry.target);
+                }
+            });
+        }, { root: view, threshold: VIEWED_THRESHOLD });
+        sectionObjects.forEach((id, section) => observer.observe(section));
+    }
+
+    let returnFocusTo = null;
+
+    function show() {
+        if (view.style.display !== 'none') return;
+        returnFocusTo = document.activeElement;
+        view.style.display = 'block';
+        view.scrollTop = 0;
+        try { title.focus(); } catch (e) {}
+        if (!observer) {
+            // No IntersectionObserver: opening the page is as close as we can get to "viewed"
+            Array.from(sectionObjects.keys()).forEach(reportViewed);
+        }
+        emit('portfolio:shown', { fallback });
+    }
+
+    function hide() {
+        if (fallback || view.style.display === 'none') return;
+        view.style.display = 'none';
+        if (returnFocusTo && typeof returnFocusTo.focus === 'function') {
+            try { returnFocusTo.focus(); } catch (e) {}
+        }
+        returnFocusTo = null;
+        emit('portfolio:hidden');
+    }
+
+    if (closeBtn) closeBtn.addEventListener('click', hide);
+
+    return {
+        show,
+        hide,
+        toggle() {
+            if (view.style.display === 'none') show();
+            else hide();
+        },
+        isOpen() {
+            return view.style.display !== 'none';
+        }
+    };
+}
@@ -0,0 +1,129 @@
+/**
+ * Progress codes: achievements packed into a short, typeable string so progress can move
+ * between devices, e.g. `PSX-040P-0SB2`. The payload is a format byte and a bitset over
+ * PROGRESS_CODE_IDS, followed by a Fletcher-16 checksum, written in Crockford base32
+ * (no I, L, O or U, so misreads can be corrected and typos are caught by the checksum).
+ */
+
+const FORMAT_VERSION = 1;
+const PREFIX = 'PSX';
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const GROUP_SIZE = 4;
+
+/**
+ * Bit positions of achievements in a code. Append only: reordering or removing an entry
+ * changes the meaning of every code already handed out.
+ */
+export const PROGRESS_CODE_IDS = [
+    'welcome_forest',
+    'looked_boisvert',
+    'enter_cabin',
+    'clicked_paper',
+    'clicked_painting',
+    'clicked_cola',
+    'clicked_easter',
+    'watched_screen',
+    'visited_first_dlc',
+    'clicked_boisvert',
+    'master_interactor',
+    'game_start',
+    'game_lost',
+    'game_won',
+    'watched_all_channels'
+];
+
+/**
+ * Thrown when a code can't be read. `reason` is 'format', 'checksum' or 'version'.
+ */
+export class ProgressCodeError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'ProgressCodeError';
+        this.reason = reason;
+    }
+}
+
+function fletcher16(bytes) {
+    let a = 0;
+    let b = 0;
+    for (const byte of bytes) {
+        a = (a + byte) % 255;
+        b = (b + a) % 255;
+    }
+    return [b, a];
+}
+
+function toBase32(bytes) {
+    let bits = 0;
+    let value = 0;
+    let out = '';
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) out += ALPHABET[(value << (5 - bits)) & 31];
+    return out;
+}
+
+function fromBase32(text) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const ch of text) {
+        const index = ALPHABET.indexOf(ch);
+        if (index === -1) throw new ProgressCodeError('format', `"${ch}" can't appear in a progress code`);
+        value = ((value << 5) | index) & 0xffff;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return bytes;
+}
+
+/**
+ * Encode unlocked achievements; ids not in PROGRESS_CODE_IDS are left out
+ * @param {Iterable<string>} ids - Unlocked achievement ids
+ * @returns {string} e.g. 'PSX-040P-0SB2'
+ */
+export function encodeProgressCode(ids) {
+    const unlocked = new Set(ids);
+    const bitset = new Array(Math.ceil(PROGRESS_CODE_IDS.length / 8)).fill(0);
+    PROGRESS_CODE_IDS.forEach((id, i) => {
+        if (unlocked.has(id)) bitset[i >> 3] |= 1 << (i & 7);
+    });
+    const payload = [FORMAT_VERSION, ...bitset];
+    const body = toBase32([...payload, ...fletcher16(payload)]);
+    const groups = body.match(new RegExp(`.{1,${GROUP_SIZE}}`, 'g'));
+    return [PREFIX, ...groups].join('-');
+}
+
+/**
+ * Decode a progress code. Case, spaces and dashes don't matter, and the look-alike
+ * letters O, I and L are read as 0 and 1.
+ * @param {string} code
+ * @returns {Array<string>} Achievement ids in the code
+ * @throws {ProgressCodeError} If the code is malformed, mistyped or from a newer format
+ */
+export function decodeProgressCode(code) {
+    let text = String(code || '').toUpperCase().replace(/[\s-]/g, '');
+    if (!text.startsWith(PREFIX)) throw new ProgressCodeError('format', `Progress codes start with ${PREFIX}-`);
+    text = text.slice(PREFIX.length).replace(/O/g, '0').replace(/[IL]/g, '1');
+    const bytes = fromBase32(text);
+    if (bytes.length < 4) throw new ProgressCodeError('format', 'That code is too short');
+    const payload = bytes.slice(0, -2);
+    const [b, a] = fletcher16(payload);
+    if (bytes[bytes.length - 2] !== b || bytes[bytes.length - 1] !== a) {
+        throw new ProgressCodeError('checksum', 'That code has a typo in it');
+    }
+    if (payload[0] !== FORMAT_VERSION) {
+        throw new ProgressCodeError('version', 'That code is from a newer version of the site');
+    }
+    // Bits past the known ids come from codes made after achievements were added; skip them
+    return PROGRESS_CODE_IDS.filter((id, i) => (payload[1 + (i >> 3)] || 0) & (1 << (i & 7)));
+}
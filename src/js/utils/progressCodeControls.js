@@ -0,0 +1,136 @@
+import { ProgressCodeError } from './progressCode.js';
+import { on } from './eventBus.js';
+
+/**
+ * Export / import of progress codes at the bottom of the achievements popup: the code for
+ * everything unlocked so far with a COPY button, and a field to paste a code from another
+ * device. Imports only ever add achievements.
+ */
+
+function button(label, ariaLabel) {
+    const el = document.createElement('button');
+    el.type = 'button';
+    el.className = 'popup-return-btn';
+    el.textContent = label;
+    el.setAttribute('aria-label', ariaLabel);
+    Object.assign(el.style, { height: '32px', padding: '4px 10px', flex: '0 0 auto' });
+    return el;
+}
+
+/**
+ * Setup the progress code controls
+ * @param {HTMLElement} card - The achievements popup's .popup-card
+ * @param {Object} achievements - Controller from initAchievements
+ * @returns {Object} Controls with refresh and dispose
+ */
+export function setupProgressCodeControls(card, achievements) {
+    if (!card || !achievements) return { refresh() {}, dispose() {} };
+
+    const root = document.createElement('div');
+    root.className = 'progress-code-controls';
+    Object.assign(root.style, {
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '6px',
+        padding: '10px 6px 4px',
+        borderTop: '1px solid rgba(255,255,255,0.15)',
+        color: '#fff',
+        fontFamily: "'VT323', monospace",
+        fontSize: '16px'
+    });
+
+    const heading = document.createElement('div');
+    heading.textContent = 'PROGRESS CODE';
+    heading.style.opacity = '0.7';
+
+    const exportRow = document.createElement('div');
+    Object.assign(exportRow.style, { display: 'flex', alignItems: 'center', gap: '8px' });
+    const code = document.createElement('code');
+    Object.assign(code.style, { flex: '1', letterSpacing: '1px', userSelect: 'all' });
+    const copyBtn = button('COPY', 'Copy progress code');
+    exportRow.append(code, copyBtn);
+
+    const importRow = document.createElement('div');
+    Object.assign(importRow.style, { display: 'flex', alignItems: 'center', gap: '8px' });
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'PSX-XXXX-XXXX';
+    input.spellcheck = false;
+    input.autocomplete = 'off';
+    input.setAttribute('aria-label', 'Progress code to import');
+    Object.assign(input.style, {
+        flex: '1',
+        minWidth: '0',
+        background: 'rgba(0,0,0,0.4)',
+        color: '#fff',
+        border: '1px solid rgba(255,255,255,0.3)',
+        font: 'inherit',
+        padding: '4px 6px',
+        textTransform: 'uppercase'
+    });
+    const importBtn = button('IMPORT', 'Import progress code');
+    importRow.append(input, importBtn);
+
+    const status = document.createElement('div');
+    status.setAttribute('role', 'status');
+    Object.assign(status.style, { minHeight: '18px', fontSize: '14px' });
+
+    root.append(heading, exportRow, importRow, status);
+    card.appendChild(root);
+
+    function setStatus(text, isError = false) {
+        status.textContent = text;
+        status.style.color = isError ? '#e04336' : 'rgba(255,255,255,0.8)';
+    }
+
+    function refresh() {
+        try {
+            code.textContent = achievements.exportCode();
+        } catch (e) {
+            console.warn('[progressCode] export failed', e);
+        }
+    }
+
+    copyBtn.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(code.textContent);
+            setStatus('Copied.');
+        } catch (e) {
+            // Clipboard needs a secure context; the code is selectable as a fallback
+            setStatus('Select the code to copy it.');
+        }
+    });
+
+    function doImport() {
+        if (!input.value.trim()) return;
+        try {
+            const added = achievements.importCode(input.value);
+            input.value = '';
+            setStatus(added.length ? `Imported ${added.length} achievement${added.length === 1 ? '' : 's'}.` : 'Nothing new in that code.');
+            refresh();
+        } catch (e) {
+            if (e instanceof ProgressCodeError) setStatus(e.message, true);
+            else {
+                console.warn('[progressCode] import failed', e);
+                setStatus('Import failed.', true);
+            }
+        }
+    }
+    importBtn.addEventListener('click', doImport);
+    input.addEventListener('keydown', (e) => {
+        // Don't let typing reach the first-person controls
+        e.stopPropagation();
+        if (e.key === 'Enter') doImport();
+    });
+
+    const offUnlocked = on('achievement:unlocked', refresh);
+    refresh();
+
+    return {
+        refresh,
+        dispose() {
+            offUnlocked();
+            root.remove();
+        }
+    };
+}
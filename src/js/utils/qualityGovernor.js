@@ -0,0 +1,175 @@
+/**
+ * Adaptive quality governor. The animation loop feeds it a timestamp every frame; it
+ * averages frame times over a window and steps through QUALITY_LEVELS when the scene is
+ * consistently too slow or has headroom. Stepping down reacts after one slow window,
+ * stepping up needs several fast ones in a row and backs off further each time a step
+ * up has to be undone, so the level doesn't flap between two neighbours.
+ */
+
+/**
+ * Quality levels from cheapest to richest. Pixel size and particle count are multipliers
+ * on the user's settings so the sliders keep meaning "at full quality".
+ */
+export const QUALITY_LEVELS = [
+    { name: 'low', renderScale: 0.6, pixelScale: 1.4, particleScale: 0.25, shadowMapSize: 256, extraLights: false },
+    { name: 'medium', renderScale: 0.8, pixelScale: 1.2, particleScale: 0.5, shadowMapSize: 512, extraLights: false },
+    { name: 'high', renderScale: 1.0, pixelScale: 1.0, particleScale: 1.0, shadowMapSize: 512, extraLights: true },
+    { name: 'ultra', renderScale: 1.0, pixelScale: 1.0, particleScale: 1.5, shadowMapSize: 1024, extraLights: true }
+];
+
+// Average frame time (ms) above which we step down (~45 fps) and below which we may step up (~57 fps)
+const STEP_DOWN_MS = 1000 / 45;
+const STEP_UP_MS = 1000 / 57;
+const WINDOW_MS = 2000;
+// Fast windows needed before stepping up; doubled each time a step up gets reverted
+const BASE_UP_WINDOWS = 3;
+const MAX_UP_WINDOWS = 24;
+// Ignore frames right after boot or a level change (shader compiles, buffer rebuilds)
+const WARMUP_MS = 4000;
+const SETTLE_MS = 3000;
+// Longer gaps are tab switches or breakpoints, not rendering cost
+const MAX_FRAME_MS = 250;
+
+/**
+ * Find a level by name
+ * @param {string} name
+ * @returns {number} Index into QUALITY_LEVELS, or -1
+ */
+export function findQualityLevel(name) {
+    return QUALITY_LEVELS.findIndex(level => level.name === name);
+}
+
+/**
+ * Setup the quality governor
+ * @param {Object} options
+ * @param {string} options.startLevel - Level to begin at (e.g. 'medium' on mobile)
+ * @param {string|null} options.pinned - Level to hold regardless of frame time, or null for automatic
+ * @param {Function} options.onChange - Called with (level, index, reason) whenever the level changes
+ * @returns {Object} Governor with sample, setPinned, getLevel, getStats and dispose
+ */
+export function setupQualityGovernor({ startLevel = 'high', pinned = null, onChange } = {}) {
+    let index = Math.max(0, findQualityLevel(startLevel));
+    let pinnedIndex = pinned ? findQualityLevel(pinned) : -1;
+    if (pinnedIndex !== -1) index = pinnedIndex;
+
+    let lastFrame = null;
+    let ignoreUntil = performance.now() + WARMUP_MS;
+    let windowStart = null;
+    let windowTotal = 0;
+    let windowFrames = 0;
+    let fastWindows = 0;
+    let upWindowsNeeded = BASE_UP_WINDOWS;
+    let lastStepWasUp = false;
+    let lastAverage = null;
+
+    function resetWindow(now) {
+        windowStart = now;
+        windowTotal = 0;
+        windowFrames = 0;
+    }
+
+    function setIndex(next, reason) {
+        if (next === index || next < 0 || next >= QUALITY_LEVELS.length) return;
+        const goingUp = next > index;
+        // A step down straight after a step up means the higher level wasn't sustainable
+        if (!goingUp && lastStepWasUp) {
+            upWindowsNeeded = Math.min(MAX_UP_WINDOWS, upWindowsNeeded * 2);
+        }
+        lastStepWasUp = goingUp;
+        index = next;
+        fastWindows = 0;
+        console.info(`[qualityGovernor] ${goingUp ? 'raising' : 'lowering'} quality to ${QUALITY_LEVELS[index].name}: ${reason}`);
+        if (typeof onChange === 'function') {
+            try {
+                onChange(QUALITY_LEVELS[index], index, reason);
+            } catch (e) {
+                console.warn('[qualityGovernor] onChange failed', e);
+            }
+        }
+    }
+
+    function evaluate(average) {
+        lastAverage = average;
+        if (pinnedIndex !== -1) return;
+        const summary = `${average.toFixed(1)}ms average over ${windowFrames} frames`;
+        if (average > STEP_DOWN_MS) {
+            fastWindows = 0;
+            if (index > 0) {
+                setIndex(index - 1, summary);
+                ignoreUntil = performance.now() + SETTLE_MS;
+            }
+        } else if (average < STEP_UP_MS) {
+            fastWindows += 1;
+            if (fastWindows >= upWindowsNeeded && index < QUALITY_LEVELS.length - 1) {
+                setIndex(index + 1, `${summary}, ${fastWindows} fast windows in a row`);
+                ignoreUntil = performance.now() + SETTLE_MS;
+            }
+        } else {
+            // In the dead band: neither direction
+            fastWindows = 0;
+        }
+    }
+
+    /**
+     * Record a frame; call once per animation frame
+     * @param {number} now - Frame timestamp (ms)
+     */
+    function sample(now = performance.now()) {
+        const delta = lastFrame === null ? null : now - lastFrame;
+        lastFrame = now;
+        if (delta === null || delta > MAX_FRAME_MS || now < ignoreUntil) {
+            resetWindow(now);
+            return;
+        }
+        if (windowStart === null) resetWindow(now);
+        windowTotal += delta;
+        windowFrames += 1;
+        if (now - windowStart >= WINDOW_MS && windowFrames > 0) {
+            evaluate(windowTotal / windowFrames);
+            resetWindow(now);
+        }
+    }
+
+    const onVisibilityChange = () => {
+        // Background tabs are throttled; start measuring afresh when we're visible again
+        lastFrame = null;
+        ignoreUntil = performance.now() + SETTLE_MS;
+    };
+    document.addEventListener('visibilitychange', onVisibilityChange);
+
+    return {
+        sample,
+        /**
+         * Hold a level, or pass null to go back to automatic
+         * @param {string|null} name - Level name
+         */
+        setPinned(name) {
+            pinnedIndex = name ? findQualityLevel(name) : -1;
+            if (name && pinnedIndex === -1) console.warn('[qualityGovernor] unknown level', name);
+            if (pinnedIndex !== -1) {
+                setIndex(pinnedIndex, 'pinned in settings');
+            } else {
+                console.info('[qualityGovernor] automatic quality enabled');
+            }
+            // A manual choice starts the automatic back-off from scratch
+            fastWindows = 0;
+            upWindowsNeeded = BASE_UP_WINDOWS;
+            lastStepWasUp = false;
+            ignoreUntil = performance.now() + SETTLE_MS;
+        },
+        getLevel() {
+            return QUALITY_LEVELS[index];
+        },
+        getStats() {
+            return {
+                level: QUALITY_LEVELS[index].name,
+                pinned: pinnedIndex !== -1,
+                averageFrameMs: lastAverage,
+                upWindowsNeeded
+            };
+        },
+        dispose() {
+            document.removeEventListener('visibilitychange', onVisibilityChange);
+        }
+    };
+}
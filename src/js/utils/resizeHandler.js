@@ -4,15 +4,16 @@ import { getQualitySettings } from './mobileDetect.js';
  * Set up window resize handler
  * @param {THREE.Camera} camera - The camera to update
  * @param {THREE.WebGLRenderer} renderer - The renderer to update
- * @param {Object} composer - The effect composer (optional)
- * @param {Object} pixelationPass - The pixelation pass (optional)
+ * @param {Object} postProcessing - Post-processing manager (see postProcessingManager.js); optional
  * @param {Object} qualitySettings - The quality settings object (will be updated on resize)
+ * @param {Function} getOverrides - Optional; returns user settings that win over the re-evaluated quality settings
  */
-export function setupResizeHandler(camera, renderer, composer, pixelationPass, qualitySettings) {
+export function setupResizeHandler(camera, renderer, postProcessing, qualitySettings, getOverrides = null) {
     function handleWindowResize() {
         // Re-evaluate quality settings for orientation changes
         const newSettings = getQualitySettings();
         Object.assign(qualitySettings, newSettings);
+        if (typeof getOverrides === 'function') Object.assign(qualitySettings, getOverrides());
         const width = window.innerWidth;
         const height = window.innerHeight;
         
@@ -23,13 +24,10 @@ export function setupResizeHandler(camera, renderer, composer, pixelationPass, q
         // Update renderer size
         renderer.setSize(width, height);
         
-        // Update composer and pixelation shader resolution - only if post-processing is enabled
-        if (qualitySettings.enablePostProcessing && composer && pixelationPass) {
-            const renderScale = qualitySettings.renderScale || 1.0;
-            const renderWidth = Math.floor(width * renderScale);
-            const renderHeight = Math.floor(height * renderScale);
-            composer.setSize(renderWidth, renderHeight);
-            pixelationPass.uniforms.resolution.value.set(renderWidth, renderHeight);
+        // The manager exists before its composer is lazy-loaded, so this is safe at any time
+        if (postProcessing) {
+            postProcessing.setRenderScale(qualitySettings.renderScale || 1.0);
+            postProcessing.resize(width, height);
         }
     }
 
@@ -1,24 +1,162 @@
 import * as THREE from 'three';
-import { registerVideo, getMuteState } from './audioController.js';
+import { registerVideo, getMuteState, setMediaLevel } from './audioController.js';
+import { emit } from './eventBus.js';
+
+/**
+ * The TV: a playlist of local videos ("channels") played onto the screen mesh through one
+ * video element. Each channel loops until the visitor switches. Channels can carry WebVTT
+ * captions, which are drawn as an HTML overlay while the camera sits at the screen.
+ * Changes are announced with `tv:channel` ({ index, id, title }); once most of a video has
+ * actually played, `tv:watched` fires ({ id, title, watched, total }).
+ *
+ * Videos are large, so nothing is downloaded up front: the screen shows a small canvas
+ * poster (the channel's `poster` image, or a generated title card) until the camera comes
+ * near the load position or the screen is clicked. While the video buffers, the poster
+ * shows a progress bar. Walking away releases the video element's data again.
+ */
+
+// Share of a video that must play before it counts as watched
+const WATCHED_FRACTION = 0.8;
+// The camera counts as "at the screen" within this distance of the view position
+const VIEW_DISTANCE = 0.3;
+// Start streaming within this distance of the load position, release beyond the other
+// (the gap stops it thrashing at the edge)
+const LOAD_DISTANCE = 4;
+const RELEASE_DISTANCE = 8;
+const POSTER_WIDTH = 256;
+const POSTER_HEIGHT = 192;
+// Redraw rate of the buffering animation
+const BUFFERING_REDRAW_MS = 250;
+
+function normalizePlaylist(playlist) {
+    if (typeof playlist === 'string') return [{ id: playlist, title: playlist.split('/').pop(), src: playlist }];
+    return (Array.isArray(playlist) ? playlist : []).filter(v => v && v.src);
+}
+
+/**
+ * Poster / buffering card drawn on a canvas, so it costs a few KB instead of a video
+ */
+function createPosterScreen() {
+    const canvas = document.createElement('canvas');
+    canvas.width = POSTER_WIDTH;
+    canvas.height = POSTER_HEIGHT;
+    const ctx = canvas.getContext('2d');
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.minFilter = THREE.LinearFilter;
+    texture.magFilter = THREE.NearestFilter;
+    // Same orientation as the video texture
+    texture.center.set(0.5, 0.5);
+    texture.rotation = Math.PI / 2;
+
+    const images = new Map();
+    let last = null;
+
+    function posterImage(url, onReady) {
+        if (!url) return null;
+        if (!images.has(url)) {
+            const img = new Image();
+            img.onload = onReady;
+            img.onerror = () => console.warn('[tv] failed to load poster', url);
+            img.src = url;
+            images.set(url, img);
+        }
+        const img = images.get(url);
+        return img.complete && img.naturalWidth > 0 ? img : null;
+    }
+
+    /**
+     * @param {Object} state
+     * @param {Object} state.channel - Playlist entry (title, poster)
+     * @param {number} state.index - Channel number shown in the corner
+     * @param {number|null} state.progress - 0..1 while buffering, null for the plain poster
+     */
+    function draw(state) {
+        last = state;
+        const { channel, index, progress } = state;
+        const img = posterImage(channel && channel.poster, () => last && draw(last));
+        ctx.fillStyle = '#0d0d10';
+        ctx.fillRect(0, 0, POSTER_WIDTH, POSTER_HEIGHT);
+        if (img) {
+            ctx.drawImage(img, 0, 0, POSTER_WIDTH, POSTER_HEIGHT);
+        } else {
+            ctx.fillStyle = '#e6e6e6';
+            ctx.font = '28px VT323, monospace';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(channel ? channel.title : 'NO SIGNAL', POSTER_WIDTH / 2, POSTER_HEIGHT / 2 - 8, POSTER_WIDTH - 24);
+        }
+        // Scanlines
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+        for (let y = 0; y < POSTER_HEIGHT; y += 3) ctx.fillRect(0, y, POSTER_WIDTH, 1);
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'top';
+        ctx.font = '18px VT323, monospace';
+        ctx.fillStyle = '#7cff7c';
+        if (channel) ctx.fillText(`CH ${index + 1}`, 10, 8);
+
+        if (progress !== null && progress !== undefined) {
+            const dots = '.'.repeat(Math.floor(performance.now() / 400) % 4);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(`BUFFERING${dots}`, 20, POSTER_HEIGHT - 44);
+            ctx.strokeStyle = '#ffffff';
+            ctx.strokeRect(20, POSTER_HEIGHT - 22, POSTER_WIDTH - 40, 10);
+            ctx.fillRect(22, POSTER_HEIGHT - 20, (POSTER_WIDTH - 44) * Math.max(0, Math.min(1, progress)), 6);
+        }
+        texture.needsUpdate = true;
+    }
+
+    return { texture, draw };
+}
+
+function createCaptionOverlay() {
+    const el = document.createElement('div');
+    el.id = 'tvCaptions';
+    el.setAttribute('aria-live', 'polite');
+    Object.assign(el.style, {
+        position: 'fixed',
+        left: '50%',
+        bottom: '22%',
+        transform: 'translateX(-50%)',
+        maxWidth: '70vw',
+        padding: '4px 10px',
+        background: 'rgba(0, 0, 0, 0.75)',
+        color: '#fff',
+        fontFamily: "'VT323', monospace",
+        fontSize: '22px',
+        lineHeight: '1.2',
+        textAlign: 'center',
+        whiteSpace: 'pre-line',
+        pointerEvents: 'none',
+        zIndex: '9000',
+        display: 'none'
+    });
+    document.body.appendChild(el);
+    return el;
+}
 
 /**
  * Setup video texture on a screen object
  * @param {THREE.Object3D} screenObject - The 3D screen object
- * @param {string} videoSrc - Path to video file (e.g., 'src/videos/my-video.mp4')
+ * @param {Array|string} playlist - [{ id, title, src, captions }] (captions: optional .vtt path),
+ *   or a single video path
+ * @param {Object} options
+ * @param {Array} options.viewPosition - [x, y, z] camera position in front of the screen; captions show there
+ * @param {Array} options.loadPosition - [x, y, z] the video streams in when the camera comes near this
  * @returns {Object} Video controller
  */
-export function setupScreenVideoTexture(screenObject, videoSrc) {
-    // Create video element
+export function setupScreenVideoTexture(screenObject, playlist, { viewPosition = null, loadPosition = null } = {}) {
+    const channels = normalizePlaylist(playlist);
+    let channelIndex = 0;
+
+    // The element stays empty (and out of the page) until load()
     const video = document.createElement('video');
-    video.src = videoSrc;
     video.crossOrigin = 'anonymous';
     video.loop = true;
     video.muted = getMuteState(); // Use global mute state
     video.playsInline = true;
-    video.preload = 'auto';
+    video.preload = 'none';
     video.style.display = 'none';
-    document.body.appendChild(video);
-    
+
     // Register video with audio controller
     registerVideo(video);
 
@@ -26,39 +164,199 @@ export function setupScreenVideoTexture(screenObject, videoSrc) {
     const videoTexture = new THREE.VideoTexture(video);
     videoTexture.minFilter = THREE.LinearFilter;
     videoTexture.magFilter = THREE.LinearFilter;
-    
+
     // Rotate texture 90 degrees counterclockwise
     videoTexture.center.set(0.5, 0.5);
     videoTexture.rotation = Math.PI / 2; // 90 degrees in radians
 
-    // Find the screen mesh and apply texture
+    const poster = createPosterScreen();
+
+    // Find the screen mesh and apply texture; the poster shows until the video has frames
+    const screenMaterial = new THREE.MeshBasicMaterial({
+        map: poster.texture,
+        side: THREE.FrontSide, // Try FrontSide first, change to BackSide if video is on wrong side
+        toneMapped: false
+    });
     let screenMesh = null;
     screenObject.traverse((child) => {
         if (child.isMesh) {
             screenMesh = child;
             // Store original material
             child.userData.originalMaterial = child.material;
-            
-            // Create new material with video texture
-            child.material = new THREE.MeshBasicMaterial({
-                map: videoTexture,
-                side: THREE.FrontSide, // Try FrontSide first, change to BackSide if video is on wrong side
-                toneMapped: false
-            });
+            child.material = screenMaterial;
         }
     });
 
+    // 'poster' -> 'buffering' -> 'playing'; 'buffering' again while the stream stalls
+    let loaded = false;
+    let bufferingTimer = null;
+
+    function bufferedFraction() {
+        try {
+            if (!(video.duration > 0) || video.buffered.length === 0) return 0;
+            return video.buffered.end(video.buffered.length - 1) / video.duration;
+        } catch (e) {
+            return 0;
+        }
+    }
+
+    function showScreen(state) {
+        clearInterval(bufferingTimer);
+        bufferingTimer = null;
+        if (state === 'playing') {
+            screenMaterial.map = videoTexture;
+        } else {
+            const drawPoster = () => poster.draw({
+                channel: channels[channelIndex],
+                index: channelIndex,
+                progress: state === 'buffering' ? bufferedFraction() : null
+            });
+            drawPoster();
+            if (state === 'buffering') bufferingTimer = setInterval(drawPoster, BUFFERING_REDRAW_MS);
+            screenMaterial.map = poster.texture;
+        }
+        screenMaterial.needsUpdate = true;
+    }
+
+    const onFrames = () => { if (loaded) showScreen('playing'); };
+    const onWaiting = () => { if (loaded) showScreen('buffering'); };
+    video.addEventListener('loadeddata', onFrames);
+    video.addEventListener('playing', onFrames);
+    video.addEventListener('waiting', onWaiting);
+
+    /**
+     * Start streaming the current channel
+     */
+    function load() {
+        if (loaded || channels.length === 0) return;
+        loaded = true;
+        if (!video.parentNode) document.body.appendChild(video);
+        video.preload = 'auto';
+        video.src = channels[channelIndex].src;
+        lastTime = 0;
+        showScreen('buffering');
+        video.load();
+    }
+
+    /**
+     * Drop the video data and go back to the poster
+     */
+    function release() {
+        if (!loaded) return;
+        loaded = false;
+        video.pause();
+        video.removeAttribute('src');
+        video.preload = 'none';
+        // load() with no source makes the browser let go of the buffered data
+        video.load();
+        if (video.parentNode) video.parentNode.removeChild(video);
+        showScreen('poster');
+    }
+
+    showScreen('poster');
+
+    // Captions: a hidden <track> per channel, its active cues copied into the overlay
+    const captionEl = createCaptionOverlay();
+    const viewPoint = Array.isArray(viewPosition) ? new THREE.Vector3(...viewPosition) : null;
+    const loadPoint = Array.isArray(loadPosition) ? new THREE.Vector3(...loadPosition) : null;
+    let trackEl = null;
+    let captionText = '';
+    let captionsEnabled = true;
+    let atScreen = false;
+
+    function renderCaptions() {
+        const visible = captionsEnabled && atScreen && captionText;
+        captionEl.style.display = visible ? 'block' : 'none';
+        if (visible) captionEl.textContent = captionText;
+    }
+
+    function onCueChange(event) {
+        const cues = event.target.activeCues;
+        captionText = cues ? Array.from(cues).map(cue => cue.text.replace(/<[^>]+>/g, '')).join('\n') : '';
+        renderCaptions();
+    }
+
+    function loadCaptions(channel) {
+        if (trackEl) {
+            trackEl.track.removeEventListener('cuechange', onCueChange);
+            trackEl.remove();
+            trackEl = null;
+        }
+        captionText = '';
+        renderCaptions();
+        if (!channel || !channel.captions) return;
+        trackEl = document.createElement('track');
+        trackEl.kind = 'captions';
+        trackEl.label = channel.title;
+        trackEl.src = channel.captions;
+        trackEl.addEventListener('error', () => console.warn('[tv] failed to load captions', channel.captions));
+        video.appendChild(trackEl);
+        // 'hidden' loads cues and fires cuechange without the browser drawing them
+        trackEl.track.mode = 'hidden';
+        trackEl.track.addEventListener('cuechange', onCueChange);
+    }
+
+    // Watched tracking: seconds actually played per channel (seeking doesn't count)
+    const playedSeconds = new Map();
+    const watched = new Set();
+    let lastTime = 0;
+
+    function onTimeUpdate() {
+        const channel = channels[channelIndex];
+        if (!channel) return;
+        const delta = video.currentTime - lastTime;
+        lastTime = video.currentTime;
+        if (video.paused || delta <= 0 || delta > 1.5) return;
+        const played = (playedSeconds.get(channel.id) || 0) + delta;
+        playedSeconds.set(channel.id, played);
+        if (!watched.has(channel.id) && video.duration > 0 && played >= video.duration * WATCHED_FRACTION) {
+            watched.add(channel.id);
+            emit('tv:watched', { id: channel.id, title: channel.title, watched: Array.from(watched), total: channels.length });
+        }
+    }
+    const onSeeked = () => { lastTime = video.currentTime; };
+    video.addEventListener('timeupdate', onTimeUpdate);
+    video.addEventListener('seeked', onSeeked);
+
+    /**
+     * Tune to a channel; keeps playing if the TV was playing
+     * @param {number} index - Playlist index (wraps around)
+     */
+    function setChannel(index) {
+        if (channels.length === 0) return;
+        const next = ((index % channels.length) + channels.length) % channels.length;
+        const wasPlaying = !video.paused;
+        if (next !== channelIndex) {
+            channelIndex = next;
+            lastTime = 0;
+            if (loaded) {
+                video.src = channels[next].src;
+                showScreen('buffering');
+                if (wasPlaying) video.play().catch(err => console.warn('Video play failed:', err));
+            } else {
+                showScreen('poster');
+            }
+        }
+        loadCaptions(channels[next]);
+        const { id, title } = channels[next];
+        emit('tv:channel', { index: next, id, title });
+    }
+
+    loadCaptions(channels[0]);
+
     return {
         show() {
+            load();
             video.play().catch(err => {
                 console.warn('Video autoplay blocked, user interaction required');
             });
         },
         hide() {
             video.pause();
-            video.currentTime = 0;
+            if (loaded) video.currentTime = 0;
         },
         play() {
+            load();
             video.play().catch(err => {
                 console.warn('Video play failed:', err);
             });
@@ -66,8 +364,62 @@ export function setupScreenVideoTexture(screenObject, videoSrc) {
         pause() {
             video.pause();
         },
+        /**
+         * @returns {boolean} True if the video is now playing
+         */
+        togglePlay() {
+            if (video.paused) this.play();
+            else video.pause();
+            return !video.paused;
+        },
+        isPaused() {
+            return video.paused;
+        },
+        /**
+         * @param {number} seconds - Position to jump to
+         */
+        seek(seconds) {
+            if (!Number.isFinite(seconds)) return;
+            const max = Number.isFinite(video.duration) ? video.duration : seconds;
+            video.currentTime = Math.max(0, Math.min(max, seconds));
+        },
+        getCurrentTime() {
+            return video.currentTime;
+        },
+        getDuration() {
+            return Number.isFinite(video.duration) ? video.duration : 0;
+        },
+        setChannel,
+        channelUp() {
+            setChannel(channelIndex + 1);
+        },
+        channelDown() {
+            setChannel(channelIndex - 1);
+        },
+        /**
+         * @returns {Object|null} { index, id, title, hasCaptions, count }
+         */
+        getChannel() {
+            const channel = channels[channelIndex];
+            if (!channel) return null;
+            return { index: channelIndex, id: channel.id, title: channel.title, hasCaptions: !!channel.captions, count: channels.length };
+        },
+        /**
+         * @returns {Array<string>} Ids of channels watched this session
+         */
+        getWatched() {
+            return Array.from(watched);
+        },
+        setCaptionsEnabled(enabled) {
+            captionsEnabled = !!enabled;
+            renderCaptions();
+        },
+        getCaptionsEnabled() {
+            return captionsEnabled;
+        },
         setVolume(level) {
-            video.volume = Math.max(0, Math.min(1, level));
+            // Scaled by the music and master volume settings
+            setMediaLevel(video, level);
         },
         mute() {
             video.muted = true;
@@ -82,16 +434,41 @@ export function setupScreenVideoTexture(screenObject, videoSrc) {
         getVideo() {
             return video;
         },
+        load,
+        release,
+        isLoaded() {
+            return loaded;
+        },
         render(camera) {
-            // No-op for compatibility with animation loop
+            if (!camera) return;
+            // Captions only while the camera is in front of the screen
+            const next = !!(viewPoint && camera.position.distanceTo(viewPoint) < VIEW_DISTANCE);
+            if (next !== atScreen) {
+                atScreen = next;
+                renderCaptions();
+            }
+            if (loadPoint) {
+                const distance = camera.position.distanceTo(loadPoint);
+                if (!loaded && distance < LOAD_DISTANCE) load();
+                else if (loaded && distance > RELEASE_DISTANCE) release();
+            }
         },
         setSize(width, height) {
             // No-op for compatibility
         },
         dispose() {
-            video.pause();
-            document.body.removeChild(video);
+            release();
+            clearInterval(bufferingTimer);
+            video.removeEventListener('timeupdate', onTimeUpdate);
+            video.removeEventListener('seeked', onSeeked);
+            video.removeEventListener('loadeddata', onFrames);
+            video.removeEventListener('playing', onFrames);
+            video.removeEventListener('waiting', onWaiting);
+            loadCaptions(null);
+            if (captionEl.parentNode) captionEl.parentNode.removeChild(captionEl);
             videoTexture.dispose();
+            poster.texture.dispose();
+            screenMaterial.dispose();
             if (screenMesh && screenMesh.userData.originalMaterial) {
                 screenMesh.material = screenMesh.userData.originalMaterial;
             }
@@ -0,0 +1,132 @@
+import { SETTINGS_SCHEMA } from './settingsStore.js';
+
+/**
+ * Settings panel UI. Builds one control per entry in SETTINGS_SCHEMA, grouped under
+ * headings, into the #settingsPanel markup. Controls write straight to the store; the
+ * store's subscribers apply the values live.
+ */
+
+function formatValue(key, value) {
+    const def = SETTINGS_SCHEMA[key];
+    if (key === 'fov') return `${Math.round(value)}°`;
+    if (key === 'particleCount') return String(Math.round(value));
+    if (def.max === 1 && def.min === 0) return `${Math.round(value * 100)}%`;
+    return Number(value).toFixed(2).replace(/\.?0+$/, '');
+}
+
+function createControl(key, store) {
+    const def = SETTINGS_SCHEMA[key];
+    const id = `setting-${key}`;
+    const row = document.createElement('div');
+    row.className = 'settings-row';
+    row.style.marginBottom = '10px';
+
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.style.fontSize = '13px';
+    label.style.display = 'block';
+    label.style.marginBottom = '4px';
+    label.textContent = def.label;
+    row.appendChild(label);
+
+    let input;
+    let render;
+    if (def.type === 'boolean') {
+        input = document.createElement('input');
+        input.type = 'checkbox';
+        // Checkbox sits before the text
+        label.style.display = 'flex';
+        label.style.alignItems = 'center';
+        label.style.gap = '8px';
+        label.textContent = '';
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(def.label));
+        input.addEventListener('change', () => store.set(key, input.checked));
+        render = (value) => { input.checked = !!value; };
+    } else if (def.type === 'enum') {
+        input = document.createElement('select');
+        input.style.width = '100%';
+        def.options.forEach((opt) => {
+            const option = document.createElement('option');
+            option.value = opt.value;
+            option.textContent = opt.label;
+            input.appendChild(option);
+        });
+        input.addEventListener('change', () => store.set(key, input.value));
+        render = (value) => { input.value = value; };
+        row.appendChild(input);
+    } else {
+        const valueEl = document.createElement('span');
+        valueEl.className = 'settings-value';
+        label.appendChild(document.createTextNode(': '));
+        label.appendChild(valueEl);
+        input = document.createElement('input');
+        input.type = 'range';
+        input.min = def.min;
+        input.max = def.max;
+        input.step = def.step;
+        input.style.width = '100%';
+        input.addEventListener('input', () => {
+            valueEl.textContent = formatValue(key, Number(input.value));
+            store.set(key, Number(input.value));
+        });
+        render = (value) => {
+            input.value = value;
+            valueEl.textContent = formatValue(key, value);
+        };
+        row.appendChild(input);
+    }
+    input.id = id;
+    render(store.get(key));
+    return { row, render };
+}
+
+/**
+ * Setup the settings panel controls
+ * @param {Object} store - Settings store from initSettings
+ * @param {HTMLElement} container - Element the controls are built into
+ * @param {HTMLElement} resetButton - Optional "reset to defaults" button
+ * @returns {Object} Panel controller with refresh and dispose
+ */
+export function setupSettingsPanel(store, container, resetButton = null) {
+    const renderers = {};
+    let currentGroup = null;
+
+    Object.keys(SETTINGS_SCHEMA).forEach((key) => {
+        const group = SETTINGS_SCHEMA[key].group;
+        if (group !== currentGroup) {
+            currentGroup = group;
+            const heading = document.createElement('div');
+            heading.className = 'settings-group-title';
+            heading.textContent = group.toUpperCase();
+            heading.style.fontSize = '12px';
+            heading.style.opacity = '0.7';
+            heading.style.letterSpacing = '1px';
+            heading.style.margin = '8px 0 6px';
+            container.appendChild(heading);
+        }
+        const { row, render } = createControl(key, store);
+        renderers[key] = render;
+        container.appendChild(row);
+    });
+
+    // Keep controls in sync with changes made elsewhere (reset to defaults, the console)
+    const unsubscribe = store.subscribe((key, value) => {
+        if (renderers[key]) renderers[key](value);
+    });
+
+    const onReset = () => store.reset();
+    if (resetButton) resetButton.addEventListener('click', onReset);
+
+    return {
+        refresh() {
+            const values = store.getAll();
+            Object.keys(renderers).forEach(key => renderers[key](values[key]));
+        },
+        dispose() {
+            unsubscribe();
+            if (resetButton) resetButton.removeEventListener('click', onReset);
+            container.innerHTML = '';
+        }
+    };
+}
@@ -0,0 +1,276 @@
+import { emit } from './eventBus.js';
+
+/**
+ * Persisted user settings. Values live in localStorage under one key together with a
+ * schema version; older payloads are upgraded through MIGRATIONS before use, and
+ * anything that doesn't validate falls back to the default.
+ * Every change dispatches `settings:changed` ({ key, value, settings }) on window.
+ */
+
+const STORAGE_KEY = 'psx.settings';
+export const SETTINGS_VERSION = 1;
+
+/**
+ * Setting definitions. Defaults that depend on the device (pixel size, particles, fog,
+ * shadows, PSX effects) are filled in from the quality settings by initSettings.
+ * `group` and `label` drive the settings panel.
+ */
+export const SETTINGS_SCHEMA = {
+    lookSensitivity: { type: 'number', min: 0.25, max: 4, step: 0.05, default: 1, group: 'Controls', label: 'Look sensitivity' },
+    invertY: { type: 'boolean', default: false, group: 'Controls', label: 'Invert Y' },
+    fov: { type: 'number', min: 50, max: 100, step: 1, default: 75, group: 'Controls', label: 'Field of view' },
+    pixelSize: { type: 'number', min: 1, max: 6, step: 0.25, default: 2.75, group: 'Graphics', label: 'Pixel size' },
+    particleCount: { type: 'number', min: 0, max: 30000, step: 500, default: 2000, group: 'Graphics', label: 'Weather particles' },
+    qualityPreset: {
+        type: 'enum',
+        options: [
+            { value: 'auto', label: 'Automatic' },
+            { value: 'low', label: 'Low' },
+            { value: 'medium', label: 'Medium' },
+            { value: 'high', label: 'High' },
+            { value: 'ultra', label: 'Ultra' }
+        ],
+        default: 'auto',
+        group: 'Graphics',
+        label: 'Quality preset'
+    },
+    fogEnabled: { type: 'boolean', default: true, group: 'Graphics', label: 'Fog' },
+    shadowsEnabled: { type: 'boolean', default: false, group: 'Graphics', label: 'Shadows' },
+    weatherMode: {
+        type: 'enum',
+        options: [
+            { value: 'auto', label: 'Follow location' },
+            { value: 'random', label: 'Random' },
+            { value: 'snow', label: 'Snow' },
+            { value: 'rain', label: 'Rain' },
+            { value: 'still', label: 'Still air' }
+        ],
+        default: 'auto',
+        group: 'World',
+        label: 'Weather'
+    },
+    timeOfDay: {
+        type: 'enum',
+        options: [
+            { value: 'clock', label: 'Follow my clock' },
+            { value: 'dusk', label: 'Dusk' },
+            { value: 'night', label: 'Night' },
+            { value: 'predawn', label: 'Pre-dawn' }
+        ],
+        default: 'clock',
+        group: 'World',
+        label: 'Time of day'
+    },
+    ditherEnabled: { type: 'boolean', default: true, group: 'Effects', label: '15-bit colour + dithering' },
+    colorBits: { type: 'number', min: 3, max: 8, step: 1, default: 5, group: 'Effects', label: 'Bits per channel' },
+    chromaEnabled: { type: 'boolean', default: true, group: 'Effects', label: 'Chromatic bleed' },
+    chromaOffset: { type: 'number', min: 0.25, max: 4, step: 0.25, default: 1, group: 'Effects', label: 'Bleed width' },
+    crtEnabled: { type: 'boolean', default: true, group: 'Effects', label: 'CRT' },
+    crtCurvature: { type: 'number', min: 0, max: 0.3, step: 0.01, default: 0.08, group: 'Effects', label: 'CRT curvature' },
+    crtScanlines: { type: 'number', min: 0, max: 1, step: 0.05, default: 0.25, group: 'Effects', label: 'Scanlines' },
+    crtMask: { type: 'number', min: 0, max: 1, step: 0.05, default: 0.15, group: 'Effects', label: 'Shadow mask' },
+    psxGeometry: { type: 'boolean', default: false, group: 'Effects', label: 'Wobbly geometry (vertex snap + affine textures)' },
+    vertexSnap: { type: 'number', min: 0, max: 1, step: 0.05, default: 0.5, group: 'Effects', label: 'Vertex snapping' },
+    affineWarp: { type: 'number', min: 0, max: 1, step: 0.05, default: 0.6, group: 'Effects', label: 'Texture warping' },
+    muted: { type: 'boolean', default: false, group: 'Audio', label: 'Mute' },
+    masterVolume: { type: 'number', min: 0, max: 1, step: 0.05, default: 1, group: 'Audio', label: 'Master volume' },
+    musicVolume: { type: 'number', min: 0, max: 1, step: 0.05, default: 1, group: 'Audio', label: 'Music volume' },
+    sfxVolume: { type: 'number', min: 0, max: 1, step: 0.05, default: 1, group: 'Audio', label: 'SFX volume' },
+    voiceVolume: { type: 'number', min: 0, max: 1, step: 0.05, default: 1, group: 'Audio', label: 'Voice volume' },
+    motionMode: {
+        type: 'enum',
+        options: [
+            { value: 'system', label: 'Follow system setting' },
+            { value: 'reduced', label: 'Reduced (horror-safe)' },
+            { value: 'full', label: 'Full' }
+        ],
+        default: 'system',
+        group: 'Accessibility',
+        label: 'Motion & scares'
+    },
+    chaseVignette: { type: 'boolean', default: true, group: 'Accessibility', label: 'Chase vignette' },
+    achievementProgress: {
+        type: 'enum',
+        options: [
+            { value: 'session', label: 'This visit only' },
+            { value: 'persistent', label: 'Remember on this device' }
+        ],
+        default: 'session',
+        group: 'Progress',
+        label: 'Achievements'
+    },
+    toastDuration: { type: 'number', min: 2, max: 10, step: 0.5, default: 4, group: 'Progress', label: 'Achievement pop-up time (s)' },
+    showPerformanceHud: { type: 'boolean', default: false, group: 'Developer', label: 'Performance HUD (` key)' },
+    logEvents: { type: 'boolean', default: false, group: 'Developer', label: 'Log app events to console' }
+};
+
+/**
+ * Upgrades keyed by the version they produce. Each receives the values object from the
+ * previous version and returns the new one.
+ */
+const MIGRATIONS = {
+    // v0 -> v1: nothing was persisted except the motion mode, which had its own key
+    1: (values) => {
+        const next = { ...values };
+        try {
+            const legacyMotion = window.localStorage.getItem('psx.motionMode');
+            if (legacyMotion && next.motionMode === undefined) next.motionMode = legacyMotion;
+            window.localStorage.removeItem('psx.motionMode');
+        } catch (e) {}
+        return next;
+    }
+};
+
+/**
+ * Coerce a value to the setting's type and range
+ * @returns {*} The cleaned value, or undefined if it can't be used
+ */
+function sanitize(key, value) {
+    const def = SETTINGS_SCHEMA[key];
+    if (!def) return undefined;
+    if (def.type === 'boolean') {
+        return typeof value === 'boolean' ? value : undefined;
+    }
+    if (def.type === 'number') {
+        const n = Number(value);
+        if (value === null || value === '' || !Number.isFinite(n)) return undefined;
+        return Math.max(def.min, Math.min(def.max, n));
+    }
+    if (def.type === 'enum') {
+        return def.options.some(o => o.value === value) ? value : undefined;
+    }
+    return undefined;
+}
+
+/**
+ * Read and upgrade the stored payload
+ * @returns {{values: Object, migrated: boolean}}
+ */
+function readStored() {
+    let payload = null;
+    try {
+        const raw = window.localStorage.getItem(STORAGE_KEY);
+        payload = raw ? JSON.parse(raw) : null;
+    } catch (e) {
+        console.warn('[settings] stored settings unreadable, using defaults', e);
+    }
+    let version = payload && typeof payload.version === 'number' ? payload.version : 0;
+    let values = payload && payload.values && typeof payload.values === 'object' ? payload.values : {};
+
+    if (version > SETTINGS_VERSION) {
+        // Written by a newer build: keep what still validates rather than throwing it away
+        console.warn('[settings] stored settings are from a newer version', version);
+        return { values, migrated: false };
+    }
+    const migrated = version < SETTINGS_VERSION;
+    while (version < SETTINGS_VERSION) {
+        version += 1;
+        const migrate = MIGRATIONS[version];
+        if (typeof migrate === 'function') {
+            try {
+                values = migrate(values) || {};
+            } catch (e) {
+                console.warn('[settings] migration to version', version, 'failed', e);
+            }
+        }
+    }
+    return { values, migrated };
+}
+
+/**
+ * Load settings and create the store
+ * @param {Object} qualitySettings - Device quality settings, used for device-dependent defaults
+ * @returns {Object} Settings store with get, getAll, getDefaults, set, reset and subscribe
+ */
+export function initSettings(qualitySettings = {}) {
+    const defaults = {};
+    Object.keys(SETTINGS_SCHEMA).forEach((key) => {
+        const fromQuality = sanitize(key, qualitySettings[key]);
+        defaults[key] = fromQuality !== undefined ? fromQuality : SETTINGS_SCHEMA[key].default;
+    });
+
+    const { values: stored, migrated } = readStored();
+    const values = { ...defaults };
+    Object.keys(SETTINGS_SCHEMA).forEach((key) => {
+        const v = sanitize(key, stored[key]);
+        if (v !== undefined) values[key] = v;
+    });
+
+    const listeners = new Set();
+
+    function save() {
+        // Only values that differ from the defaults are stored, so changed defaults reach existing visitors
+        const changed = {};
+        Object.keys(values).forEach((key) => {
+            if (values[key] !== defaults[key]) changed[key] = values[key];
+        });
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SETTINGS_VERSION, values: changed }));
+        } catch (e) {
+            console.warn('[settings] failed to save settings', e);
+        }
+    }
+
+    function notify(key) {
+        const snapshot = { ...values };
+        listeners.forEach((fn) => {
+            try {
+                fn(key, values[key], snapshot);
+            } catch (e) {
+                console.warn('[settings] listener failed for', key, e);
+            }
+        });
+        emit('settings:changed', { key, value: values[key], settings: snapshot });
+    }
+
+    // Store a migrated payload at the current version straight away
+    if (migrated) save();
+
+    return {
+        get(key) {
+            return values[key];
+        },
+        getAll() {
+            return { ...values };
+        },
+        getDefaults() {
+            return { ...defaults };
+        },
+        /**
+         * Change one setting
+         * @param {string} key - Setting name (see SETTINGS_SCHEMA)
+         * @param {*} value - New value; clamped to the setting's range
+         * @returns {boolean} False if the key or value was rejected
+         */
+        set(key, value) {
+            const v = sanitize(key, value);
+            if (v === undefined) {
+                console.warn('[settings] rejected value for', key, value);
+                return false;
+            }
+            if (values[key] === v) return true;
+            values[key] = v;
+            save();
+            notify(key);
+            return true;
+        },
+        /**
+         * Put every setting back to its default
+         */
+        reset() {
+            const changed = Object.keys(defaults).filter(key => values[key] !== defaults[key]);
+            Object.assign(values, defaults);
+            save();
+            changed.forEach(notify);
+        },
+        /**
+         * Listen for changes
+         * @param {Function} fn - Called with (key, value, allSettings)
+         * @returns {Function} Unsubscribe
+         */
+        subscribe(fn) {
+            listeners.add(fn);
+            return () => listeners.delete(fn);
+        }
+    };
+}
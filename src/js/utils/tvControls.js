@@ -0,0 +1,143 @@
+import { on } from './eventBus.js';
+
+/**
+ * Remote for the TV, built into the screen popup card: channel down/up with the channel
+ * title, play/pause, a seek bar, captions on/off and the TV's own volume (scaled by the
+ * music and master volume like before).
+ */
+
+// Seek bar resolution
+const SEEK_STEPS = 1000;
+
+function button(label, ariaLabel) {
+    const el = document.createElement('button');
+    el.type = 'button';
+    el.className = 'popup-return-btn';
+    el.textContent = label;
+    el.setAttribute('aria-label', ariaLabel);
+    Object.assign(el.style, { height: '36px', minWidth: '36px', padding: '4px 8px' });
+    return el;
+}
+
+function range(min, max, step, value, ariaLabel) {
+    const el = document.createElement('input');
+    el.type = 'range';
+    el.min = String(min);
+    el.max = String(max);
+    el.step = String(step);
+    el.value = String(value);
+    el.setAttribute('aria-label', ariaLabel);
+    Object.assign(el.style, { width: '100%', accentColor: '#e04336', cursor: 'pointer' });
+    return el;
+}
+
+function formatTime(seconds) {
+    const s = Math.max(0, Math.floor(seconds || 0));
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Setup the TV remote
+ * @param {HTMLElement} card - The screen popup's .popup-card
+ * @param {Object} tv - Controller from setupScreenVideoTexture
+ * @returns {Object} Remote with refresh and dispose
+ */
+export function setupTvControls(card, tv) {
+    if (!card || !tv) return { refresh() {}, dispose() {} };
+    const video = tv.getVideo();
+
+    const root = document.createElement('div');
+    root.className = 'tv-controls';
+    Object.assign(root.style, {
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '8px',
+        minWidth: '240px',
+        paddingTop: '28px',
+        color: '#fff',
+        fontFamily: "'VT323', monospace",
+        fontSize: '16px'
+    });
+
+    const channelRow = document.createElement('div');
+    Object.assign(channelRow.style, { display: 'flex', alignItems: 'center', gap: '8px' });
+    const prevBtn = button('CH -', 'Previous channel');
+    const nextBtn = button('CH +', 'Next channel');
+    const title = document.createElement('span');
+    Object.assign(title.style, { flex: '1', textAlign: 'center', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' });
+    channelRow.append(prevBtn, title, nextBtn);
+
+    const playRow = document.createElement('div');
+    Object.assign(playRow.style, { display: 'flex', alignItems: 'center', gap: '8px' });
+    const playBtn = button('PLAY', 'Play');
+    const ccBtn = button('CC', 'Captions');
+    const time = document.createElement('span');
+    Object.assign(time.style, { marginLeft: 'auto', fontVariantNumeric: 'tabular-nums' });
+    playRow.append(playBtn, ccBtn, time);
+
+    const seek = range(0, SEEK_STEPS, 1, 0, 'Seek');
+    const volumeRow = document.createElement('label');
+    Object.assign(volumeRow.style, { display: 'flex', alignItems: 'center', gap: '8px' });
+    const volumeLabel = document.createElement('span');
+    volumeLabel.textContent = 'VOL';
+    const volume = range(0, 1, 0.05, 1, 'TV volume');
+    volumeRow.append(volumeLabel, volume);
+
+    root.append(channelRow, playRow, seek, volumeRow);
+    card.appendChild(root);
+    // The card has no header, so the whole card is its drag handle; keep sliders usable
+    root.addEventListener('mousedown', e => e.stopPropagation());
+
+    let seeking = false;
+
+    function refresh() {
+        const channel = tv.getChannel();
+        title.textContent = channel ? `CH ${channel.index + 1} · ${channel.title}` : 'NO SIGNAL';
+        const single = !channel || channel.count < 2;
+        prevBtn.disabled = single;
+        nextBtn.disabled = single;
+        const paused = tv.isPaused();
+        playBtn.textContent = paused ? 'PLAY' : 'PAUSE';
+        playBtn.setAttribute('aria-label', paused ? 'Play' : 'Pause');
+        ccBtn.disabled = !(channel && channel.hasCaptions);
+        ccBtn.setAttribute('aria-pressed', tv.getCaptionsEnabled() ? 'true' : 'false');
+        ccBtn.style.opacity = tv.getCaptionsEnabled() ? '1' : '0.5';
+        updateTime();
+    }
+
+    function updateTime() {
+        const duration = tv.getDuration();
+        time.textContent = `${formatTime(tv.getCurrentTime())} / ${formatTime(duration)}`;
+        if (!seeking) seek.value = String(duration > 0 ? Math.round((tv.getCurrentTime() / duration) * SEEK_STEPS) : 0);
+    }
+
+    prevBtn.addEventListener('click', () => tv.channelDown());
+    nextBtn.addEventListener('click', () => tv.channelUp());
+    playBtn.addEventListener('click', () => tv.togglePlay());
+    ccBtn.addEventListener('click', () => {
+        tv.setCaptionsEnabled(!tv.getCaptionsEnabled());
+        refresh();
+    });
+    seek.addEventListener('input', () => {
+        seeking = true;
+        tv.seek((Number(seek.value) / SEEK_STEPS) * tv.getDuration());
+    });
+    seek.addEventListener('change', () => { seeking = false; });
+    volume.addEventListener('input', () => tv.setVolume(Number(volume.value)));
+
+    const mediaEvents = ['play', 'pause', 'loadedmetadata', 'emptied'];
+    mediaEvents.forEach(type => video.addEventListener(type, refresh));
+    video.addEventListener('timeupdate', updateTime);
+    const offChannel = on('tv:channel', refresh);
+    refresh();
+
+    return {
+        refresh,
+        dispose() {
+            mediaEvents.forEach(type => video.removeEventListener(type, refresh));
+            video.removeEventListener('timeupdate', updateTime);
+            offChannel();
+            root.remove();
+        }
+    };
+}